@@ -1,10 +1,12 @@
 import { Command, Flags } from '@oclif/core';
+import crypto from 'node:crypto';
 import { WebSocket } from 'ws';
 import { terminal } from 'terminal-tool-protocol';
+import { Backoff } from '../lib/backoff.js';
+import { ClientCredentials, clientSocketUrl, issueClientToken } from '../lib/relay-client.js';
+import { TAB_KEY_HELP, TabAction, TabKeys } from '../lib/tab-keys.js';
 
-interface ClientTokenResponse {
-  token: string;
-}
+const PROTOCOL_VERSION = terminal.ProtocolVersion.PROTOCOL_VERSION_2;
 
 export default class Client extends Command {
   static description = 'Connect to a remote terminal host';
@@ -12,24 +14,57 @@ export default class Client extends Command {
   static flags = {
     server: Flags.string({ char: 's', description: 'Relay server URL', default: 'https://terminal-tool.onrender.com' }),
     hostId: Flags.string({ char: 'i', description: 'Host ID to connect to', required: true }),
-    password: Flags.string({ char: 'p', description: 'Admin password for issuing a client token' }),
+    username: Flags.string({ char: 'u', description: 'Relay account used to issue a client token' }),
+    password: Flags.string({ char: 'p', description: 'Account password for issuing a client token' }),
+    accessSecret: Flags.string({ char: 'a', description: 'Host access secret for issuing a client token' }),
     token: Flags.string({ char: 't', description: 'Client JWT token' }),
+    session: Flags.string({ description: 'Named session to attach to; it keeps running after you disconnect' }),
+    listSessions: Flags.boolean({ description: 'List the sessions running on the host and exit' }),
+    spectate: Flags.boolean({ description: 'Join the session as a spectator; press Ctrl-] r to ask for control' }),
+    reconnect: Flags.boolean({
+      description: 'Reconnect and resume the session after the connection drops',
+      default: true,
+      allowNo: true,
+    }),
   };
 
   async run() {
     const { flags } = await this.parse(Client);
 
-    if (!flags.token && !flags.password) {
-      this.error('Provide either --token or --password.');
+    if (!flags.token && !flags.password && !flags.accessSecret) {
+      this.error('Provide --token, --password or --accessSecret.');
     }
 
-    const token = flags.token || (await this.issueClientToken(flags.server, flags.hostId, flags.password!));
+    const issueToken = async () =>
+      flags.token ||
+      this.issueClientToken(flags.server, flags.hostId, {
+        username: flags.username,
+        password: flags.password,
+        accessSecret: flags.accessSecret,
+      });
+    let token = await issueToken();
 
-    const wsUrl = new URL(flags.server);
-    wsUrl.protocol = wsUrl.protocol === 'https:' ? 'wss:' : 'ws:';
-    wsUrl.pathname = '/ws/client';
+    const wsUrl = clientSocketUrl(flags.server);
 
-    const ws = new WebSocket(wsUrl.toString());
+    let ws: WebSocket;
+    const sessionId = flags.session || crypto.randomUUID();
+    const backoff = new Backoff({ initialDelayMs: 1000, maxDelayMs: 30_000 });
+    let lastSeq = 0;
+    // Extra terminals on this connection; only the active one is drawn, the others replay when selected.
+    const tabs = [
+      {
+        channelId: '',
+        sessionId,
+        role: flags.spectate ? terminal.SessionRole.SPECTATOR : terminal.SessionRole.DRIVER,
+      },
+    ];
+    // The latest member of a shared session who asked this client for control, per channel.
+    const controlRequests = new Map<string, string>();
+    const tabKeys = new TabKeys();
+    let activeTab = 0;
+    let nextChannel = 1;
+    let inputAttached = false;
+    let exiting = false;
     let rawModeEnabled = false;
 
     const teardownRawMode = () => {
@@ -45,7 +80,114 @@ export default class Client extends Command {
       }
     };
 
+    const sendSize = () => {
+      if (process.stdout.isTTY) {
+        send({
+          ptyResize: {
+            cols: process.stdout.columns || 80,
+            rows: process.stdout.rows || 24,
+            channelId: tabs[activeTab].channelId,
+          },
+        });
+      }
+    };
+
+    const attachTab = (tab: (typeof tabs)[number]) => {
+      send({
+        sessionControl: {
+          action: terminal.SessionControl.Action.ATTACH,
+          channelId: tab.channelId,
+          sessionId: tab.sessionId,
+          role: tab.role,
+        },
+      });
+    };
+
+    const switchTab = (index: number) => {
+      activeTab = index;
+      // Re-attaching replays the tab's scrollback onto the cleared screen.
+      process.stdout.write(`\x1bc\x1b]0;${flags.hostId} [tab ${index + 1}/${tabs.length}]\x07`);
+      attachTab(tabs[index]);
+      sendSize();
+    };
+
+    const removeTab = (index: number) => {
+      tabs.splice(index, 1);
+      if (activeTab === index) {
+        switchTab(Math.max(0, index - 1));
+      } else if (activeTab > index) {
+        activeTab -= 1;
+      }
+    };
+
+    const runTabAction = (action: TabAction) => {
+      switch (action.type) {
+        case 'new': {
+          tabs.push({
+            channelId: String(nextChannel++),
+            sessionId: crypto.randomUUID(),
+            role: terminal.SessionRole.DRIVER,
+          });
+          switchTab(tabs.length - 1);
+          break;
+        }
+        case 'next':
+        case 'previous': {
+          const step = action.type === 'next' ? 1 : tabs.length - 1;
+          switchTab((activeTab + step) % tabs.length);
+          break;
+        }
+        case 'select': {
+          if (action.index < tabs.length) {
+            switchTab(action.index);
+          }
+          break;
+        }
+        case 'close': {
+          if (tabs.length > 1) {
+            send({
+              sessionControl: {
+                action: terminal.SessionControl.Action.CLOSE,
+                channelId: tabs[activeTab].channelId,
+              },
+            });
+            removeTab(activeTab);
+          }
+          break;
+        }
+        case 'request-control': {
+          send({
+            sessionControl: {
+              action: terminal.SessionControl.Action.REQUEST_CONTROL,
+              channelId: tabs[activeTab].channelId,
+            },
+          });
+          break;
+        }
+        case 'hand-over': {
+          const channelId = tabs[activeTab].channelId;
+          const targetClientId = controlRequests.get(channelId);
+          if (!targetClientId) {
+            this.log('\r\n[System] Nobody has asked for control of this terminal\r');
+            break;
+          }
+          controlRequests.delete(channelId);
+          send({
+            sessionControl: { action: terminal.SessionControl.Action.HAND_OVER, channelId, targetClientId },
+          });
+          break;
+        }
+      }
+    };
+
     const setupRawMode = () => {
+      // Reconnects re-enter here; stdin listeners must only be added once.
+      if (inputAttached) {
+        sendSize();
+        return;
+      }
+
+      inputAttached = true;
       if (process.stdin.isTTY) {
         rawModeEnabled = true;
         process.stdin.setRawMode(true);
@@ -53,20 +195,17 @@ export default class Client extends Command {
         process.stdin.setEncoding('utf8');
 
         process.stdin.on('data', (data) => {
-          send({ ptyInput: { data: data.toString() } });
+          const { input, actions } = tabKeys.feed(data.toString());
+          // The relay would reject a spectator's keystrokes anyway.
+          if (input && tabs[activeTab].role !== terminal.SessionRole.SPECTATOR) {
+            send({ ptyInput: { data: input, channelId: tabs[activeTab].channelId } });
+          }
+          actions.forEach(runTabAction);
         });
 
-        const onResize = () => {
-          send({
-            ptyResize: {
-              cols: process.stdout.columns || 80,
-              rows: process.stdout.rows || 24,
-            },
-          });
-        };
-
-        process.stdout.on('resize', onResize);
-        onResize();
+        this.log(TAB_KEY_HELP);
+        process.stdout.on('resize', sendSize);
+        sendSize();
         return;
       }
 
@@ -76,25 +215,91 @@ export default class Client extends Command {
       });
     };
 
-    ws.on('open', () => {
+    const quit = () => {
+      exiting = true;
+      ws.close();
+    };
+
+    const onOpen = () => {
       this.log('Connected to relay. Authenticating...');
-      send({ authRequest: { hostId: flags.hostId, token } });
-    });
+      send({
+        authRequest: {
+          hostId: flags.hostId,
+          token,
+          sessionId,
+          persistent: Boolean(flags.session),
+          lastSeq,
+          role: tabs[0].role,
+          protocolVersion: PROTOCOL_VERSION,
+        },
+      });
+    };
 
-    ws.on('message', (data: Buffer) => {
+    const onMessage = (data: Buffer) => {
       try {
         const serverMessage = terminal.ServerMessage.decode(new Uint8Array(data));
 
         if (serverMessage.authResponse) {
           if (!serverMessage.authResponse.ok) {
-            this.error(`Authentication failed: ${serverMessage.authResponse.error}`);
+            this.warn(`Authentication failed: ${serverMessage.authResponse.error}`);
+            quit();
+            return;
+          }
+
+          if (serverMessage.authResponse.pending) {
+            this.log('Waiting for the host to approve this connection...');
+            return;
           }
 
+          backoff.reset();
           this.log('Authenticated successfully.');
+          if (flags.listSessions) {
+            send({ sessionControl: { action: terminal.SessionControl.Action.LIST } });
+            return;
+          }
+
+          // A new connection has a new client id, so extra tabs have to be bound again.
+          tabs.filter((tab) => tab.channelId).forEach(attachTab);
           setupRawMode();
           return;
         }
 
+        if (serverMessage.sessionList) {
+          if (serverMessage.sessionList.error) {
+            this.warn(serverMessage.sessionList.error);
+          }
+          if (flags.listSessions) {
+            this.printSessions(serverMessage.sessionList.sessions || []);
+            quit();
+          }
+          return;
+        }
+
+        if (serverMessage.roleUpdate) {
+          const update = serverMessage.roleUpdate;
+          const channelId = update.channelId || '';
+          if (update.requesterId) {
+            controlRequests.set(channelId, update.requesterId);
+            this.log(
+              `\r\n[System] ${update.requesterName || update.requesterId} asks for control. ` +
+                'Press Ctrl-] g to hand it over.\r',
+            );
+            return;
+          }
+
+          const tab = tabs.find((candidate) => candidate.channelId === channelId);
+          const role = update.role || terminal.SessionRole.DRIVER;
+          if (tab && tab.role !== role) {
+            tab.role = role;
+            this.log(
+              role === terminal.SessionRole.SPECTATOR
+                ? '\r\n[System] You are now spectating. Press Ctrl-] r to ask for control.\r'
+                : '\r\n[System] You now have control.\r',
+            );
+          }
+          return;
+        }
+
         if (serverMessage.registerHostResponse) {
           if (!serverMessage.registerHostResponse.ok) {
             this.error(`Authentication failed: ${serverMessage.registerHostResponse.error}`);
@@ -106,13 +311,31 @@ export default class Client extends Command {
         }
 
         if (serverMessage.ptyOutput) {
+          const channelId = serverMessage.ptyOutput.channelId || '';
+          if (!channelId) {
+            lastSeq = serverMessage.ptyOutput.seq || lastSeq;
+          }
+          if (channelId !== tabs[activeTab].channelId) {
+            return;
+          }
+
+          if (serverMessage.ptyOutput.replay) {
+            // Reset the local screen so replayed scrollback is not drawn on top of stale output.
+            process.stdout.write('\x1bc');
+          }
           process.stdout.write(serverMessage.ptyOutput.data || '');
           return;
         }
 
         if (serverMessage.ptyExit) {
+          const index = tabs.findIndex((tab) => tab.channelId === (serverMessage.ptyExit!.channelId || ''));
+          if (tabs.length > 1 && index !== -1) {
+            removeTab(index);
+            return;
+          }
+
           this.log(`\n[Remote process exited with code ${serverMessage.ptyExit.code}]`);
-          ws.close();
+          quit();
           return;
         }
 
@@ -127,38 +350,67 @@ export default class Client extends Command {
       } catch {
         this.warn('Received unreadable message from relay');
       }
-    });
+    };
 
-    ws.on('error', (error) => {
-      teardownRawMode();
-      this.error(`WebSocket error: ${error.message}`);
-    });
+    const connect = () => {
+      ws = new WebSocket(wsUrl);
+      ws.on('open', onOpen);
+      ws.on('message', onMessage);
+      ws.on('error', (error) => {
+        this.warn(`WebSocket error: ${error.message}`);
+      });
+      ws.on('close', (code) => {
+        // 1008 is the relay refusing this client (e.g. the host denied it), so retrying won't help.
+        if (exiting || !flags.reconnect || flags.listSessions || code === 1008) {
+          teardownRawMode();
+          this.log('Disconnected from relay.');
+          process.exit(0);
+        }
 
-    ws.on('close', () => {
-      teardownRawMode();
-      this.log('Disconnected from relay.');
-      process.exit(0);
-    });
+        const delay = backoff.next();
+        this.log(`\r\n[Connection lost, reconnecting in ${Math.round(delay / 1000)}s]\r`);
+        setTimeout(async () => {
+          try {
+            token = await issueToken();
+          } catch {
+            // Keep the old token; the relay may simply still be unreachable.
+          }
+          connect();
+        }, delay);
+      });
+    };
+
+    connect();
 
     process.on('SIGINT', () => {
       teardownRawMode();
-      ws.close();
+      quit();
     });
   }
 
-  private async issueClientToken(server: string, hostId: string, password: string) {
-    const response = await fetch(new URL(`/api/hosts/${hostId}/client-token`, server), {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ password }),
-    });
+  private printSessions(sessions: terminal.ISessionInfo[]) {
+    if (sessions.length === 0) {
+      this.log('No sessions are running on this host.');
+      return;
+    }
 
-    if (!response.ok) {
-      const payload = (await response.json().catch(() => ({}))) as { error?: string };
-      this.error(payload.error || `Failed to issue client token (${response.status})`);
+    this.log(`${'Session'.padEnd(38)}${'Kind'.padEnd(12)}${'Clients'.padEnd(9)}${'Size'.padEnd(10)}Started`);
+    for (const session of sessions) {
+      this.log(
+        `${(session.sessionId || '').padEnd(38)}` +
+          `${(session.persistent ? 'named' : 'temporary').padEnd(12)}` +
+          `${String(session.clients || 0).padEnd(9)}` +
+          `${`${session.cols}x${session.rows}`.padEnd(10)}` +
+          `${session.createdAt ? new Date(session.createdAt).toLocaleString() : ''}`,
+      );
     }
+  }
 
-    const payload = (await response.json()) as ClientTokenResponse;
-    return payload.token;
+  private async issueClientToken(server: string, hostId: string, credentials: ClientCredentials) {
+    try {
+      return await issueClientToken(server, hostId, credentials);
+    } catch (error) {
+      this.error((error as Error).message);
+    }
   }
 }
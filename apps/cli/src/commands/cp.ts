@@ -0,0 +1,226 @@
+import { Args, Command, Flags } from '@oclif/core';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { WebSocket } from 'ws';
+import { terminal } from 'terminal-tool-protocol';
+import { ChunkReader, ChunkWriter, RemotePath, parseRemotePath, sha256File } from '../lib/file-transfer.js';
+import { clientSocketUrl, issueClientToken } from '../lib/relay-client.js';
+
+const PROTOCOL_VERSION = terminal.ProtocolVersion.PROTOCOL_VERSION_2;
+const { Action } = terminal.FileTransfer;
+
+function formatBytes(bytes: number) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+export default class Cp extends Command {
+  static description = "Copy a file to or from a host's working directory";
+
+  static examples = [
+    '<%= config.bin %> cp ./build.log my-host:logs/build.log',
+    '<%= config.bin %> cp my-host:logs/app.log .',
+  ];
+
+  static args = {
+    source: Args.string({ description: 'Local path, or host:path on the host', required: true }),
+    destination: Args.string({ description: 'Local path, or host:path on the host', required: true }),
+  };
+
+  static flags = {
+    server: Flags.string({ char: 's', description: 'Relay server URL', default: 'https://terminal-tool.onrender.com' }),
+    username: Flags.string({ char: 'u', description: 'Relay account used to issue a client token' }),
+    password: Flags.string({ char: 'p', description: 'Account password for issuing a client token' }),
+    accessSecret: Flags.string({ char: 'a', description: 'Host access secret for issuing a client token' }),
+    token: Flags.string({ char: 't', description: 'Client JWT token' }),
+  };
+
+  async run() {
+    const { args, flags } = await this.parse(Cp);
+    const source = parseRemotePath(args.source);
+    const destination = parseRemotePath(args.destination);
+    if (Boolean(source) === Boolean(destination)) {
+      this.error('Exactly one of source and destination must be a remote path (host:path).');
+    }
+
+    if (!flags.token && !flags.password && !flags.accessSecret) {
+      this.error('Provide --token, --password or --accessSecret.');
+    }
+
+    const remote = (source || destination)!;
+    let token = flags.token;
+    try {
+      token ||= await issueClientToken(flags.server, remote.hostId, {
+        username: flags.username,
+        password: flags.password,
+        accessSecret: flags.accessSecret,
+      });
+    } catch (error) {
+      this.error((error as Error).message);
+    }
+
+    try {
+      await this.transfer(flags.server, token, {
+        remote,
+        local: source ? args.destination : args.source,
+        upload: !source,
+      });
+    } catch (error) {
+      this.error((error as Error).message);
+    }
+  }
+
+  private async transfer(server: string, token: string, job: { remote: RemotePath; local: string; upload: boolean }) {
+    const ws = new WebSocket(clientSocketUrl(server));
+    const transferId = crypto.randomUUID();
+    // Assigned from message handlers, which control-flow narrowing cannot see.
+    let reader = null as ChunkReader | null;
+    let writer = null as ChunkWriter | null;
+    let label = '';
+    let size = 0;
+
+    const send = (message: terminal.IClientMessage) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(terminal.ClientMessage.encode(message).finish());
+      }
+    };
+    const sendTransfer = (fileTransfer: terminal.IFileTransfer) => send({ fileTransfer: { ...fileTransfer, transferId } });
+
+    const progress = (done: number) => {
+      if (process.stderr.isTTY) {
+        const percent = size ? Math.floor((done / size) * 100) : 100;
+        process.stderr.write(`\r${label}: ${percent}% (${formatBytes(done)} / ${formatBytes(size)})\x1b[K`);
+      }
+    };
+
+    const start = async () => {
+      if (!job.upload) {
+        label = path.basename(job.remote.path) || job.remote.path;
+        sendTransfer({ action: Action.DOWNLOAD_START, path: job.remote.path });
+        return;
+      }
+
+      const stat = await fs.stat(job.local);
+      if (!stat.isFile()) {
+        throw new Error(`${job.local} is not a file`);
+      }
+
+      // Like cp, a destination that names a directory keeps the local file name.
+      const remotePath = !job.remote.path || job.remote.path.endsWith('/')
+        ? `${job.remote.path}${path.basename(job.local)}`
+        : job.remote.path;
+      label = path.basename(job.local);
+      size = stat.size;
+      sendTransfer({ action: Action.UPLOAD_START, path: remotePath, size, sha256: await sha256File(job.local) });
+    };
+
+    // Returns true once the copy is complete.
+    const onTransfer = async (message: terminal.IFileTransfer) => {
+      switch (message.action) {
+        case Action.READY: {
+          if (job.upload) {
+            reader = await ChunkReader.open(job.local, message.offset || 0, (offset, data) =>
+              sendTransfer({ action: Action.DATA, offset, data }),
+            );
+            progress(message.offset || 0);
+            await reader.pump();
+            return false;
+          }
+
+          const local = await fs.stat(job.local).catch(() => null);
+          const target = local?.isDirectory() ? path.join(job.local, path.basename(job.remote.path)) : job.local;
+          size = message.size || 0;
+          writer = await ChunkWriter.open(target, size, message.sha256 || '');
+          // Tells the host where a resumed download continues.
+          sendTransfer({ action: Action.ACK, offset: writer.offset });
+          progress(writer.offset);
+          if (writer.done) {
+            await writer.finish();
+            return true;
+          }
+          return false;
+        }
+        case Action.DATA: {
+          if (!writer) {
+            return false;
+          }
+
+          const offset = await writer.write(message.offset || 0, message.data || new Uint8Array());
+          sendTransfer({ action: Action.ACK, offset });
+          progress(offset);
+          if (writer.done) {
+            await writer.finish();
+            return true;
+          }
+          return false;
+        }
+        case Action.ACK:
+          progress(message.offset || 0);
+          await reader?.acknowledge();
+          return false;
+        case Action.COMPLETE:
+          return job.upload;
+        case Action.ERROR:
+          throw new Error(message.error || 'Transfer failed');
+        default:
+          return false;
+      }
+    };
+
+    const cancel = () => {
+      sendTransfer({ action: Action.CANCEL });
+      ws.close();
+    };
+    process.once('SIGINT', cancel);
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        // Chunks must be written in arrival order, so messages are handled one at a time.
+        let queue = Promise.resolve();
+        ws.on('open', () => {
+          send({ authRequest: { hostId: job.remote.hostId, token, protocolVersion: PROTOCOL_VERSION } });
+        });
+        ws.on('message', (data: Buffer) => {
+          queue = queue
+            .then(async () => {
+              const message = terminal.ServerMessage.decode(new Uint8Array(data));
+              if (message.authResponse) {
+                if (!message.authResponse.ok) {
+                  throw new Error(`Authentication failed: ${message.authResponse.error}`);
+                }
+                if (message.authResponse.pending) {
+                  this.log('Waiting for the host to approve this connection...');
+                  return;
+                }
+                await start();
+              } else if (message.errorMessage) {
+                throw new Error(message.errorMessage.message || 'Relay error');
+              } else if (message.fileTransfer?.transferId === transferId && (await onTransfer(message.fileTransfer))) {
+                resolve();
+              }
+            })
+            .catch(reject);
+        });
+        ws.on('error', reject);
+        ws.on('close', () => reject(new Error('The connection closed before the transfer finished; run the same command again to resume.')));
+      });
+    } finally {
+      process.removeListener('SIGINT', cancel);
+      await reader?.close();
+      await writer?.close();
+      ws.close();
+      if (process.stderr.isTTY && label) {
+        process.stderr.write('\n');
+      }
+    }
+
+    this.log(`${job.upload ? 'Uploaded' : 'Downloaded'} ${label} (${formatBytes(size)})`);
+  }
+}
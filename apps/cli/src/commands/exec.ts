@@ -0,0 +1,204 @@
+import { Command, Flags } from '@oclif/core';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import { WebSocket } from 'ws';
+import { terminal } from 'terminal-tool-protocol';
+import { EXEC_WINDOW } from '../lib/exec-runner.js';
+import { clientSocketUrl, issueClientToken } from '../lib/relay-client.js';
+
+const PROTOCOL_VERSION = terminal.ProtocolVersion.PROTOCOL_VERSION_2;
+
+// Exit codes for outcomes the command's own code cannot describe, as timeout(1) and ssh use them.
+const EXIT_TIMED_OUT = 124;
+const EXIT_FAILED = 255;
+// Time the host gets past --timeout to report that it killed the command.
+const TIMEOUT_GRACE_MS = 15_000;
+
+export default class Exec extends Command {
+  static description = 'Run one command on a host without a terminal and exit with its exit code';
+
+  static examples = [
+    '<%= config.bin %> exec --hostId my-host -- uname -a',
+    'cat schema.sql | <%= config.bin %> exec --hostId db-box -- psql app',
+    '<%= config.bin %> exec --hostId my-host --shell --timeout 60 -- "make test | tail -n 20"',
+  ];
+
+  static strict = false;
+
+  static flags = {
+    server: Flags.string({ char: 's', description: 'Relay server URL', default: 'https://terminal-tool.onrender.com' }),
+    hostId: Flags.string({ char: 'i', description: 'Host ID to run the command on', required: true }),
+    username: Flags.string({ char: 'u', description: 'Relay account used to issue a client token' }),
+    password: Flags.string({ char: 'p', description: 'Account password for issuing a client token' }),
+    accessSecret: Flags.string({ char: 'a', description: 'Host access secret for issuing a client token' }),
+    token: Flags.string({ char: 't', description: 'Client JWT token' }),
+    shell: Flags.boolean({ description: "Run the command as a script of the host's shell, so pipes and globs work" }),
+    cwd: Flags.string({ description: "Directory to run in, relative to the host's working directory" }),
+    timeout: Flags.integer({ description: 'Kill the command after this many seconds and exit with 124', min: 1 }),
+  };
+
+  async run() {
+    const { argv, flags } = await this.parse(Exec);
+    const [command, ...args] = argv as string[];
+    if (!command) {
+      this.error('Give the command to run after --, e.g. terminal-tool exec --hostId my-host -- ls -la');
+    }
+
+    if (!flags.token && !flags.password && !flags.accessSecret) {
+      this.error('Provide --token, --password or --accessSecret.');
+    }
+
+    let token = flags.token;
+    try {
+      token ||= await issueClientToken(flags.server, flags.hostId, {
+        username: flags.username,
+        password: flags.password,
+        accessSecret: flags.accessSecret,
+      });
+    } catch (error) {
+      this.error((error as Error).message, { exit: EXIT_FAILED });
+    }
+
+    const execId = crypto.randomUUID();
+    const ws = new WebSocket(clientSocketUrl(flags.server));
+    let started = false;
+    let interrupted = false;
+    let exiting = false;
+    let stdinUnacked = 0;
+
+    const send = (message: terminal.IClientMessage) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(terminal.ClientMessage.encode(message).finish());
+      }
+    };
+    const sendInput = (input: terminal.IExecInput) => send({ execInput: { ...input, execId } });
+
+    const exit = (code: number, message?: string) => {
+      if (exiting) {
+        return;
+      }
+
+      exiting = true;
+      if (message) {
+        process.stderr.write(`${message}\n`);
+      }
+      ws.close();
+      // Let piped output drain before the process goes.
+      process.stdout.write('', () => process.exit(code));
+    };
+
+    const pipeStdin = () => {
+      // A terminal on stdin means nothing is piped in; the command reads EOF, as under ssh -T.
+      if (process.stdin.isTTY) {
+        sendInput({ eof: true });
+        return;
+      }
+
+      process.stdin.on('data', (data: Buffer) => {
+        stdinUnacked += data.length;
+        sendInput({ data });
+        if (stdinUnacked >= EXEC_WINDOW) {
+          process.stdin.pause();
+        }
+      });
+      process.stdin.on('end', () => sendInput({ eof: true }));
+    };
+
+    const onMessage = (data: Buffer) => {
+      const message = terminal.ServerMessage.decode(new Uint8Array(data));
+      if (message.authResponse) {
+        if (!message.authResponse.ok) {
+          exit(EXIT_FAILED, `Authentication failed: ${message.authResponse.error}`);
+          return;
+        }
+        if (message.authResponse.pending) {
+          process.stderr.write('Waiting for the host to approve this connection...\n');
+          return;
+        }
+        if (started) {
+          return;
+        }
+        const capabilities = message.authResponse.hostCapabilities;
+        if (!capabilities?.supportsExec) {
+          exit(
+            EXIT_FAILED,
+            capabilities
+              ? `Host ${flags.hostId} does not support exec; update terminal-tool on it.`
+              : `Host ${flags.hostId} has not reported what it supports yet; is it online?`,
+          );
+          return;
+        }
+
+        started = true;
+        send({
+          execStart: {
+            execId,
+            command,
+            args,
+            shell: flags.shell,
+            cwd: flags.cwd,
+            timeoutSeconds: flags.timeout,
+          },
+        });
+        pipeStdin();
+        if (flags.timeout) {
+          setTimeout(
+            () => exit(EXIT_TIMED_OUT, `The host did not stop the command after ${flags.timeout}s`),
+            flags.timeout * 1000 + TIMEOUT_GRACE_MS,
+          ).unref();
+        }
+        return;
+      }
+
+      if (message.errorMessage) {
+        exit(EXIT_FAILED, message.errorMessage.message || 'Relay error');
+        return;
+      }
+
+      const output = message.execOutput;
+      if (output?.execId === execId) {
+        if (output.ack) {
+          stdinUnacked = Math.max(0, stdinUnacked - output.ack);
+          if (stdinUnacked < EXEC_WINDOW) {
+            process.stdin.resume();
+          }
+        }
+        if (output.data?.length) {
+          const size = output.data.length;
+          const target = output.stream === terminal.ExecOutput.Stream.STDERR ? process.stderr : process.stdout;
+          target.write(output.data, () => sendInput({ ack: size }));
+        }
+        return;
+      }
+
+      const result = message.execExit;
+      if (result?.execId === execId) {
+        if (result.error) {
+          exit(EXIT_FAILED, result.error);
+        } else if (result.timedOut) {
+          exit(EXIT_TIMED_OUT, `Timed out after ${flags.timeout}s`);
+        } else if (result.signal) {
+          exit(128 + (os.constants.signals[result.signal as NodeJS.Signals] ?? 0));
+        } else {
+          exit(result.code ?? 0);
+        }
+      }
+    };
+
+    ws.on('open', () => send({ authRequest: { hostId: flags.hostId, token, protocolVersion: PROTOCOL_VERSION } }));
+    ws.on('message', onMessage);
+    ws.on('error', (error) => exit(EXIT_FAILED, `Connection failed: ${error.message}`));
+    ws.on('close', () => exit(EXIT_FAILED, 'The connection closed before the command finished'));
+
+    // The first Ctrl-C goes to the command; a second one gives up on it.
+    process.on('SIGINT', () => {
+      if (!started || interrupted) {
+        exit(130);
+        return;
+      }
+
+      interrupted = true;
+      sendInput({ signal: 'SIGINT' });
+    });
+  }
+}
@@ -0,0 +1,191 @@
+import { Command, Flags } from '@oclif/core';
+import crypto from 'node:crypto';
+import net from 'node:net';
+import { WebSocket } from 'ws';
+import { terminal } from 'terminal-tool-protocol';
+import { Backoff } from '../lib/backoff.js';
+import { clientSocketUrl, issueClientToken } from '../lib/relay-client.js';
+import { StreamMux, formatDestination, parseDestination } from '../lib/port-forward.js';
+
+const PROTOCOL_VERSION = terminal.ProtocolVersion.PROTOCOL_VERSION_2;
+const { Action } = terminal.PortForward;
+
+export default class Forward extends Command {
+  static description = 'Forward a local TCP port to a destination reachable from a host';
+
+  static examples = [
+    '<%= config.bin %> forward --hostId my-host --local 8080 --remote 127.0.0.1:3000',
+    '<%= config.bin %> forward --hostId db-box --local 5433 --remote 127.0.0.1:5432 --bind 0.0.0.0',
+  ];
+
+  static flags = {
+    server: Flags.string({ char: 's', description: 'Relay server URL', default: 'https://terminal-tool.onrender.com' }),
+    hostId: Flags.string({ char: 'i', description: 'Host ID to forward through', required: true }),
+    username: Flags.string({ char: 'u', description: 'Relay account used to issue a client token' }),
+    password: Flags.string({ char: 'p', description: 'Account password for issuing a client token' }),
+    accessSecret: Flags.string({ char: 'a', description: 'Host access secret for issuing a client token' }),
+    token: Flags.string({ char: 't', description: 'Client JWT token' }),
+    local: Flags.integer({ char: 'l', description: 'Local port to listen on', required: true, min: 1, max: 65_535 }),
+    remote: Flags.string({
+      char: 'r',
+      description: 'Destination as seen from the host, as host:port; it must be on the host\'s --allowForward list',
+      required: true,
+    }),
+    bind: Flags.string({ description: 'Local address to listen on', default: '127.0.0.1' }),
+    reconnect: Flags.boolean({
+      description: 'Reconnect to the relay after the connection drops',
+      default: true,
+      allowNo: true,
+    }),
+  };
+
+  async run() {
+    const { flags } = await this.parse(Forward);
+
+    if (!flags.token && !flags.password && !flags.accessSecret) {
+      this.error('Provide --token, --password or --accessSecret.');
+    }
+
+    let destination;
+    try {
+      destination = parseDestination(flags.remote);
+    } catch (error) {
+      this.error((error as Error).message);
+    }
+
+    const issueToken = async () => {
+      try {
+        return (
+          flags.token ||
+          (await issueClientToken(flags.server, flags.hostId, {
+            username: flags.username,
+            password: flags.password,
+            accessSecret: flags.accessSecret,
+          }))
+        );
+      } catch (error) {
+        this.error((error as Error).message);
+      }
+    };
+    let token = await issueToken();
+
+    const target = formatDestination(destination);
+    const backoff = new Backoff({ initialDelayMs: 1000, maxDelayMs: 30_000 });
+    let ws: WebSocket;
+    let ready = false;
+    let exiting = false;
+
+    const send = (message: terminal.IClientMessage) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(terminal.ClientMessage.encode(message).finish());
+      }
+    };
+    const mux = new StreamMux(
+      (portForward) => send({ portForward }),
+      (streamId, stats) =>
+        this.log(
+          `Connection ${streamId.slice(0, 8)} closed: ${stats.sent} bytes sent, ${stats.received} received` +
+            (stats.error ? ` (${stats.error})` : ''),
+        ),
+    );
+
+    const listener = net.createServer((socket) => {
+      if (!ready) {
+        socket.destroy();
+        return;
+      }
+
+      const streamId = crypto.randomUUID();
+      mux.attach(streamId, socket);
+      // Nothing is read until the host has connected to the destination.
+      socket.pause();
+      send({ portForward: { action: Action.OPEN, streamId, host: destination.host, port: destination.port } });
+    });
+    listener.on('error', (error) => this.error(`Cannot listen on ${flags.bind}:${flags.local}: ${error.message}`));
+
+    const onMessage = (data: Buffer) => {
+      const message = terminal.ServerMessage.decode(new Uint8Array(data));
+      if (message.authResponse) {
+        if (!message.authResponse.ok) {
+          this.warn(`Authentication failed: ${message.authResponse.error}`);
+          quit(1);
+          return;
+        }
+        if (message.authResponse.pending) {
+          this.log('Waiting for the host to approve this connection...');
+          return;
+        }
+        const capabilities = message.authResponse.hostCapabilities;
+        if (!capabilities?.supportsPortForward) {
+          this.warn(
+            capabilities
+              ? `Host ${flags.hostId} does not allow port forwarding; start it with --allowForward ${target}.`
+              : `Host ${flags.hostId} has not reported what it supports yet; is it online?`,
+          );
+          quit(1);
+          return;
+        }
+
+        backoff.reset();
+        ready = true;
+        if (!listener.listening) {
+          listener.listen(flags.local, flags.bind, () =>
+            this.log(`Forwarding ${flags.bind}:${flags.local} to ${target} on ${flags.hostId}. Press Ctrl-C to stop.`),
+          );
+        }
+        return;
+      }
+
+      if (message.errorMessage) {
+        this.warn(message.errorMessage.message || 'Relay error');
+        return;
+      }
+
+      const forward = message.portForward;
+      if (forward?.action === Action.OPENED) {
+        mux.resume(forward.streamId || '');
+      } else if (forward) {
+        mux.receive(forward);
+      }
+    };
+
+    const quit = (code = 0) => {
+      exiting = true;
+      mux.destroyAll();
+      listener.close();
+      ws.close();
+      process.exit(code);
+    };
+
+    const connect = () => {
+      ws = new WebSocket(clientSocketUrl(flags.server));
+      ws.on('open', () => {
+        send({ authRequest: { hostId: flags.hostId, token, protocolVersion: PROTOCOL_VERSION } });
+      });
+      ws.on('message', onMessage);
+      ws.on('error', (error) => {
+        this.warn(`WebSocket error: ${error.message}`);
+      });
+      ws.on('close', (code) => {
+        ready = false;
+        mux.destroyAll();
+        // 1008 is the relay refusing this client, so retrying won't help.
+        if (exiting || !flags.reconnect || code === 1008) {
+          this.log('Disconnected from relay.');
+          quit();
+          return;
+        }
+
+        const delay = backoff.next();
+        this.log(`Connection lost, reconnecting in ${Math.round(delay / 1000)}s; new connections are refused meanwhile.`);
+        setTimeout(async () => {
+          token = await issueToken().catch(() => token);
+          connect();
+        }, delay);
+      });
+    };
+
+    connect();
+    process.on('SIGINT', () => quit());
+  }
+}
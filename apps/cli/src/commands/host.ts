@@ -1,31 +1,21 @@
 import { Command, Flags } from '@oclif/core';
 import os from 'node:os';
 import crypto from 'node:crypto';
+import readline from 'node:readline/promises';
 import { WebSocket } from 'ws';
 import { terminal } from 'terminal-tool-protocol';
 import screenshot from 'screenshot-desktop';
+import { ApprovalQueue } from '../lib/approval-queue.js';
+import { Backoff } from '../lib/backoff.js';
+import { ExecHost } from '../lib/exec-runner.js';
+import { FileBrowserHost } from '../lib/file-browser.js';
+import { FileTransferHost } from '../lib/file-transfer.js';
+import { INPUT_BACKENDS, InputBackendName, createInputBackend } from '../lib/input-backend.js';
+import { ForwardRule, PortForwardHost, parseForwardRule } from '../lib/port-forward.js';
+import { SCREEN_FORMATS, ScreenFormat, ScreenStreamer, loadSharpCodec } from '../lib/screen-stream.js';
+import { PtyModule, SessionManager } from '../lib/session-manager.js';
 
-interface PtyProcess {
-  onData(callback: (data: string) => void): void;
-  onExit(callback: (event: { exitCode: number }) => void): void;
-  write(data: string): void;
-  resize(cols: number, rows: number): void;
-  kill(): void;
-}
-
-interface PtyModule {
-  spawn(
-    file: string,
-    args: string[],
-    options: {
-      name: string;
-      cols: number;
-      rows: number;
-      cwd: string;
-      env: NodeJS.ProcessEnv;
-    },
-  ): PtyProcess;
-}
+const PROTOCOL_VERSION = terminal.ProtocolVersion.PROTOCOL_VERSION_2;
 
 export default class Host extends Command {
   static description = 'Expose a local PTY to the relay server';
@@ -33,14 +23,55 @@ export default class Host extends Command {
   static flags = {
     server: Flags.string({ char: 's', description: 'Relay server URL', default: 'https://terminal-tool.onrender.com' }),
     hostId: Flags.string({ char: 'i', description: 'Stable host ID' }),
-    password: Flags.string({ char: 'p', description: 'Admin password for registration', required: true }),
+    username: Flags.string({ char: 'u', description: 'Relay account used for registration (defaults to the built-in owner)' }),
+    password: Flags.string({ char: 'p', description: 'Account password for registration', required: true }),
+    accessSecret: Flags.string({ description: 'Secret that lets clients connect to this host without a relay account' }),
     shell: Flags.string({ description: 'Shell executable override' }),
     cwd: Flags.string({ description: 'Working directory', default: process.cwd() }),
     displayName: Flags.string({ description: 'Display name shown in the dashboard' }),
     notes: Flags.string({ description: 'Host notes shown in the dashboard' }),
     welcomeMessage: Flags.string({ description: 'Message shown to connecting clients' }),
     readOnly: Flags.boolean({ description: 'Block client input at the relay layer' }),
+    requireApproval: Flags.boolean({ description: 'Ask before letting each client connect' }),
     admin: Flags.boolean({ description: 'Start shell with elevated privileges' }),
+    allowRemoteInput: Flags.boolean({
+      description: 'Let clients with control access drive the mouse and keyboard while the screen is shared',
+    }),
+    inputBackend: Flags.string({
+      description: 'How remote mouse and keyboard events are injected',
+      options: [...INPUT_BACKENDS],
+      default: 'xdotool',
+    }),
+    screenFps: Flags.integer({ description: 'Target frame rate while the screen is shared', default: 2, min: 1, max: 30 }),
+    screenMaxWidth: Flags.integer({ description: 'Downscale shared frames wider than this many pixels', default: 1280 }),
+    screenQuality: Flags.integer({ description: 'Encoding quality of shared frames (1-100)', default: 60, min: 1, max: 100 }),
+    screenFormat: Flags.string({ description: 'Image format of shared frames', options: [...SCREEN_FORMATS], default: 'jpeg' }),
+    fileTransfer: Flags.boolean({
+      description: 'Let clients browse, upload and download files inside --cwd',
+      default: true,
+      allowNo: true,
+    }),
+    exec: Flags.boolean({
+      description: 'Let clients run commands on this host without a terminal',
+      default: true,
+      allowNo: true,
+    }),
+    allowForward: Flags.string({
+      description:
+        'Destination clients may forward TCP connections to, as host:port; the port may be a range (8000-8100) ' +
+        'or *. Repeat for more. Forwarding is off without it',
+      multiple: true,
+    }),
+    scrollback: Flags.integer({ description: 'Scrollback kept per session for replay, in KB', default: 256 }),
+    sessionGrace: Flags.integer({
+      description: 'Seconds a session survives without attached clients',
+      default: 120,
+    }),
+    reconnect: Flags.boolean({
+      description: 'Reconnect to the relay after the connection drops, keeping shells running',
+      default: true,
+      allowNo: true,
+    }),
   };
 
   private state = {
@@ -67,12 +98,23 @@ export default class Host extends Command {
       );
     }
 
+    let forwardRules: ForwardRule[] = [];
+    try {
+      forwardRules = (flags.allowForward ?? []).map(parseForwardRule);
+    } catch (error) {
+      this.error(`--allowForward: ${(error as Error).message}`);
+    }
+
+    if (flags.requireApproval && !process.stdin.isTTY) {
+      this.error('--requireApproval needs an interactive terminal to answer connection requests.');
+    }
+
     const hwid = this.getHwid();
     const ip = await this.getPublicIp();
     const shell = flags.shell || (os.platform() === 'win32' ? 'powershell.exe' : process.env.SHELL || 'bash');
     const hostId = flags.hostId || `${os.hostname().toLowerCase()}-${hwid.slice(0, 4)}`;
 
-    await this.persistHostSettings(flags.server, hostId, flags.password, {
+    await this.persistHostSettings(flags.server, hostId, flags.username, flags.password, {
       displayName: flags.displayName || os.hostname(),
       notes: flags.notes,
       welcomeMessage: flags.welcomeMessage,
@@ -85,8 +127,10 @@ export default class Host extends Command {
     wsUrl.protocol = wsUrl.protocol === 'https:' ? 'wss:' : 'ws:';
     wsUrl.pathname = '/ws/host';
 
-    const ws = new WebSocket(wsUrl.toString());
-    const sessions = new Map<string, any>();
+    let ws: WebSocket;
+    let machineToken: string | undefined;
+    let alive = true;
+    const backoff = new Backoff({ initialDelayMs: 1000, maxDelayMs: 30_000 });
 
     const send = (message: terminal.IHostMessage) => {
       if (ws.readyState === WebSocket.OPEN) {
@@ -94,71 +138,109 @@ export default class Host extends Command {
       }
     };
 
-    const createSession = (clientId: string) => {
-      if (sessions.has(clientId)) {
-        return sessions.get(clientId);
-      }
+    let approvals: ApprovalQueue | null = null;
+    if (flags.requireApproval) {
+      const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+      approvals = new ApprovalQueue(
+        (question, signal) => prompt.question(question, { signal }),
+        (decision) => {
+          this.log(`${decision.approved ? 'Approved' : 'Denied'} client ${decision.clientId}`);
+          send({ connectionDecision: decision });
+        },
+      );
+    }
 
-      this.log(`Spawning PTY for client ${clientId} (Admin: ${this.state.adminEnabled})`);
-      
-      let spawnFile = shell;
-      let spawnArgs: string[] = [];
-
-      if (this.state.adminEnabled) {
-        if (os.platform() === 'win32') {
-          // Note: In a real CLI you might use 'gsudo' or similar
-          // Basic 'powershell -Command Start-Process ... -Verb RunAs' is hard to pipe
-          spawnFile = 'powershell.exe';
-        } else {
-          spawnFile = 'sudo';
-          spawnArgs = [shell];
+    const sessions = new SessionManager({
+      spawn: (cols, rows) => {
+        let spawnFile = shell;
+        let spawnArgs: string[] = [];
+
+        if (this.state.adminEnabled) {
+          if (os.platform() === 'win32') {
+            // Note: In a real CLI you might use 'gsudo' or similar
+            // Basic 'powershell -Command Start-Process ... -Verb RunAs' is hard to pipe
+            spawnFile = 'powershell.exe';
+          } else {
+            spawnFile = 'sudo';
+            spawnArgs = [shell];
+          }
         }
-      }
 
-      const proc = ptyModule.spawn(spawnFile, spawnArgs, {
-        name: 'xterm-256color',
-        cols: 80,
-        rows: 24,
-        cwd: flags.cwd,
-        env: process.env,
-      });
+        return ptyModule.spawn(spawnFile, spawnArgs, {
+          name: 'xterm-256color',
+          cols,
+          rows,
+          cwd: flags.cwd,
+          env: process.env,
+        });
+      },
+      send,
+      log: (message) => this.log(message),
+      scrollbackBytes: flags.scrollback * 1024,
+      detachGraceMs: flags.sessionGrace * 1000,
+    });
 
-      proc.onData((data: string) => {
-        send({ ptyOutput: { data, clientId } });
-      });
+    const inputBackend = flags.allowRemoteInput
+      ? createInputBackend(flags.inputBackend as InputBackendName, (message) => this.log(message))
+      : null;
 
-      proc.onExit(({ exitCode }: { exitCode: number }) => {
-        this.log(`PTY for ${clientId} exited with code ${exitCode}`);
-        send({ ptyExit: { code: exitCode, clientId } });
-        sessions.delete(clientId);
-      });
+    const codec = await loadSharpCodec();
+    if (!codec) {
+      this.log('sharp is not installed; shared screens are sent as full, unscaled screenshots.');
+    }
 
-      sessions.set(clientId, proc);
-      return proc;
-    };
+    const files = new FileTransferHost({
+      root: flags.cwd,
+      enabled: flags.fileTransfer,
+      send: (fileTransfer) => send({ fileTransfer }),
+      log: (message) => this.log(message),
+    });
+    const forwards = new PortForwardHost({
+      rules: forwardRules,
+      send: (portForward) => send({ portForward }),
+      log: (message) => this.log(message),
+    });
+    const execs = new ExecHost({
+      cwd: flags.cwd,
+      enabled: flags.exec,
+      shell,
+      send,
+      log: (message) => this.log(message),
+    });
+    const browser = new FileBrowserHost({
+      root: flags.cwd,
+      enabled: flags.fileTransfer,
+      send: (fileSystemResponse) => send({ fileSystemResponse }),
+      log: (message) => this.log(message),
+    });
 
-    // Screen Share Loop
-    setInterval(async () => {
-        if (this.state.screenEnabled && ws.readyState === WebSocket.OPEN) {
-            try {
-                const img = await screenshot();
-                // Basic image sizing logic could be added here
-                send({
-                    screenFrame: {
-                        data: img,
-                        width: 1920,
-                        height: 1080,
-                    }
-                });
-            } catch {
-                // Ignore screen capture errors
-            }
-        }
-    }, 2000); // 2 seconds for CLI version to be less intensive
+    // Captures only while sharing is on and the relay reports viewers.
+    const screen = new ScreenStreamer({
+      capture: async () => {
+        // screenshot-desktop leaves a failed display lookup unhandled on Linux, so fail here instead.
+        await screenshot.listDisplays();
+        // Lossless captures keep compression noise out of the tile diff; without a codec they would only be larger.
+        return codec ? screenshot({ format: 'png' }) : screenshot();
+      },
+      codec,
+      send: (screenFrame) => send({ screenFrame }),
+      log: (message) => this.log(message),
+      bufferedBytes: () => ws.bufferedAmount,
+      fps: flags.screenFps,
+      maxWidth: flags.screenMaxWidth,
+      quality: flags.screenQuality,
+      format: flags.screenFormat as ScreenFormat,
+    });
 
     // Heartbeat Loop
     setInterval(() => {
         if (ws.readyState === WebSocket.OPEN) {
+            // No pong since the last beat means the link is dead even if no close arrived.
+            if (!alive) {
+                ws.terminate();
+                return;
+            }
+            alive = false;
             ws.ping();
             // Explicitly ping the website if it's the production one
             if (flags.server.includes('onrender.com')) {
@@ -167,53 +249,159 @@ export default class Host extends Command {
         }
     }, 30000); // 30 seconds heartbeat for the socket, website ping if needed
 
-    ws.on('open', () => {
-      this.log(`Connected to relay. Registering host ${hostId}...`);
+    const reportState = () => {
+      send({
+        capabilities: {
+          supportsScreenShare: true,
+          supportsAdminMode: true,
+          isAdmin: this.state.adminEnabled,
+          supportsRemoteInput: Boolean(inputBackend),
+          supportsFileTransfer: flags.fileTransfer,
+          supportsFileBrowser: flags.fileTransfer,
+          supportsPortForward: forwardRules.length > 0,
+          supportsExec: flags.exec,
+          protocolVersion: PROTOCOL_VERSION,
+          version: `terminal-tool/${this.config.version}`,
+          platform: os.platform(),
+        },
+      });
+      send({ toggleAdmin: { enabled: this.state.adminEnabled } });
+      send({ toggleScreen: { enabled: this.state.screenEnabled } });
+    };
+
+    // The relay has already checked that the requesting client may change this feature.
+    const applyHostControl = (clientId: string, control: terminal.IHostControl): terminal.IHostControlAck => {
+      const feature = control.feature || terminal.HostControl.Feature.ADMIN;
+      const enabled = Boolean(control.enabled);
+
+      if (feature === terminal.HostControl.Feature.SCREEN) {
+        if (this.state.screenEnabled !== enabled) {
+          this.state.screenEnabled = enabled;
+          screen.setEnabled(enabled);
+          this.log(`Screen sharing ${enabled ? 'enabled' : 'disabled'} by client ${clientId}`);
+          send({ toggleScreen: { enabled } });
+        }
+      } else if (this.state.adminEnabled !== enabled) {
+        this.state.adminEnabled = enabled;
+        this.log(`Admin mode now: ${enabled} (requested by client ${clientId}). Restarting active sessions...`);
+        // Restart all active sessions with the new privilege level
+        sessions.restartAll();
+        send({ toggleAdmin: { enabled } });
+      }
+
+      return { clientId, requestId: control.requestId || '', feature, enabled, ok: true };
+    };
+
+    const register = () => {
       send({
         registerHost: {
           hostId,
+          username: flags.username,
           password: flags.password,
+          accessSecret: flags.accessSecret,
           hwid,
           ip,
-          runAsAdmin: this.state.adminEnabled
+          runAsAdmin: this.state.adminEnabled,
+          requireApproval: flags.requireApproval,
+          protocolVersion: PROTOCOL_VERSION,
         },
       });
-    });
+    };
+
+    const onOpen = () => {
+      alive = true;
+      if (machineToken) {
+        this.log(`Reconnected to relay. Resuming host ${hostId}...`);
+        send({ authRequest: { hostId, token: machineToken, protocolVersion: PROTOCOL_VERSION } });
+        return;
+      }
+
+      this.log(`Connected to relay. Registering host ${hostId}...`);
+      register();
+    };
 
-    ws.on('message', (data: Buffer) => {
+    const onMessage = (data: Buffer) => {
       try {
         const serverMessage = terminal.ServerMessage.decode(new Uint8Array(data));
         if (serverMessage.registerHostResponse) {
           const resp = serverMessage.registerHostResponse;
           if (!resp.ok) {
-            this.error(`Registration failed: ${resp.error}`);
+            this.warn(`Registration failed: ${resp.error}`);
+            process.exit(1);
           }
 
+          machineToken = resp.token || undefined;
+          backoff.reset();
           this.log(`Host ready! Secure Token: ${resp.token}`);
+          reportState();
+          sessions.reapDetached();
           return;
         }
 
-        if (serverMessage.systemMessage) {
-          const msg = serverMessage.systemMessage.message || '';
-          this.log(`[System] ${msg}`);
-          
-          if (msg.includes('TOGGLE_ADMIN')) {
-              this.state.adminEnabled = !this.state.adminEnabled;
-              this.log(`Admin mode now: ${this.state.adminEnabled}. Restarting active sessions...`);
-              
-              // Restart all active sessions with the new privilege level
-              for (const [clientId, oldProc] of sessions.entries()) {
-                  oldProc.kill();
-                  sessions.delete(clientId);
-                  createSession(clientId);
-              }
-              
-              send({ toggleAdmin: { enabled: this.state.adminEnabled } });
+        if (serverMessage.authResponse) {
+          if (serverMessage.authResponse.ok) {
+            backoff.reset();
+            this.log('Host session resumed.');
+            reportState();
+            sessions.reapDetached();
+            return;
+          }
+
+          // The relay no longer knows the machine token (e.g. its store was reset), so register again.
+          this.log(`Token resume failed (${serverMessage.authResponse.error}). Registering again...`);
+          machineToken = undefined;
+          register();
+          return;
+        }
+
+        if (serverMessage.connectionRequest) {
+          const request = serverMessage.connectionRequest;
+          if (approvals) {
+            approvals.handle(request);
+          } else if (!request.cancelled) {
+            send({
+              connectionDecision: {
+                clientId: request.clientId,
+                approved: false,
+                reason: 'Host does not accept approval requests',
+              },
+            });
           }
-          if (msg.includes('TOGGLE_SCREEN')) {
-              this.state.screenEnabled = !this.state.screenEnabled;
-              send({ toggleScreen: { enabled: this.state.screenEnabled } });
+          return;
+        }
+
+        if (serverMessage.clientAttached) {
+          const attached = serverMessage.clientAttached;
+          // The relay re-sends detached channels without a session so they stay detached.
+          if (!attached.sessionId) {
+            sessions.detach(attached.clientId || '', attached.channelId || '');
+            return;
           }
+          sessions.attach(attached.clientId || '', attached.sessionId, {
+            channelId: attached.channelId || '',
+            persistent: Boolean(attached.persistent),
+            lastSeq: attached.lastSeq || 0,
+            username: attached.username || undefined,
+          });
+          return;
+        }
+
+        if (serverMessage.clientDetached) {
+          sessions.release(serverMessage.clientDetached.clientId || '');
+          void files.release(serverMessage.clientDetached.clientId || '');
+          forwards.release(serverMessage.clientDetached.clientId || '');
+          execs.release(serverMessage.clientDetached.clientId || '');
+          return;
+        }
+
+        if (serverMessage.screenViewers) {
+          const { count, keyframe } = serverMessage.screenViewers;
+          screen.setViewers(count || 0, Boolean(keyframe));
+          return;
+        }
+
+        if (serverMessage.systemMessage) {
+          this.log(`[System] ${serverMessage.systemMessage.message || ''}`);
           return;
         }
       } catch { /* Ignored */ }
@@ -223,20 +411,82 @@ export default class Host extends Command {
         const clientId = clientMessage.clientId;
         if (!clientId) return;
 
-        const proc = createSession(clientId);
+        if (clientMessage.sessionControl) {
+          send({ sessionList: sessions.control(clientId, clientMessage.sessionControl) });
+          return;
+        }
+        if (clientMessage.hostControl) {
+          send({ hostControlAck: applyHostControl(clientId, clientMessage.hostControl) });
+          return;
+        }
+        if (clientMessage.fileTransfer) {
+          void files.handle(clientId, clientMessage.fileTransfer);
+          return;
+        }
+        if (clientMessage.portForward) {
+          forwards.handle(clientId, clientMessage.portForward);
+          return;
+        }
+        if (clientMessage.execStart) {
+          execs.start(clientId, clientMessage.execStart);
+          return;
+        }
+        if (clientMessage.execInput) {
+          execs.input(clientId, clientMessage.execInput);
+          return;
+        }
+        if (clientMessage.fileSystemRequest) {
+          void browser.handle(clientId, clientMessage.fileSystemRequest);
+          return;
+        }
+        if (clientMessage.remoteInput) {
+          // Only while sharing, so nobody steers a desktop they cannot see.
+          if (inputBackend && this.state.screenEnabled) {
+            inputBackend.handle(clientMessage.remoteInput);
+          }
+          return;
+        }
         if (clientMessage.ptyInput) {
-          proc.write(clientMessage.ptyInput.data || '');
+          sessions.input(clientId, clientMessage.ptyInput.data || '', clientMessage.ptyInput.channelId || '');
         }
         if (clientMessage.ptyResize) {
-          proc.resize(clientMessage.ptyResize.cols || 80, clientMessage.ptyResize.rows || 24);
+          const { cols, rows, channelId } = clientMessage.ptyResize;
+          sessions.resize(clientId, cols || 80, rows || 24, channelId || '');
         }
       } catch { /* Ignored */ }
-    });
+    };
 
-    ws.on('close', () => {
-      this.log('Disconnected from relay.');
-      process.exit(0);
-    });
+    const connect = () => {
+      ws = new WebSocket(wsUrl.toString());
+      ws.on('open', onOpen);
+      ws.on('message', onMessage);
+      ws.on('pong', () => {
+        alive = true;
+      });
+      ws.on('error', (error) => {
+        this.log(`Relay connection error: ${error.message}`);
+      });
+      ws.on('close', (code) => {
+        // Shells keep running; the relay re-sends attachments once we are back.
+        sessions.releaseAll();
+        approvals?.cancelAll();
+        screen.setViewers(0);
+        void files.releaseAll();
+        forwards.releaseAll();
+        execs.releaseAll();
+
+        if (!flags.reconnect || code === 1008) {
+          this.log('Disconnected from relay.');
+          process.exit(0);
+        }
+
+        const delay = backoff.next();
+        this.log(`Disconnected from relay. Reconnecting in ${Math.round(delay / 1000)}s...`);
+        setTimeout(connect, delay);
+      });
+    };
+
+    connect();
   }
 
   private getHwid(): string {
@@ -263,13 +513,14 @@ export default class Host extends Command {
   private async persistHostSettings(
     server: string,
     hostId: string,
+    username: string | undefined,
     password: string,
     patch: Record<string, unknown>,
   ) {
     await fetch(new URL(`/api/hosts/${hostId}/settings`, server), {
       method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ password, ...patch }),
+      body: JSON.stringify({ username, password, ...patch }),
     });
   }
 }
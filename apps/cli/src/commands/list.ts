@@ -1,4 +1,5 @@
-import { Command, Flags, ux } from '@oclif/core';
+import { Command, Flags } from '@oclif/core';
+import { renderTable } from '../lib/table.js';
 
 interface HostSummary {
   hostId: string;
@@ -11,6 +12,19 @@ interface HostSummary {
   isAdmin: boolean;
   screenActive: boolean;
   adminActive: boolean;
+  capabilities: {
+    protocolVersion: number;
+    version: string | null;
+    platform: string | null;
+  } | null;
+  features: string[];
+}
+
+// Relays from before the capability handshake only report what is switched on.
+function describeFeatures(host: HostSummary) {
+  const active: Record<string, boolean> = { screen: host.screenActive, admin: host.adminActive };
+  const features = host.features ?? Object.keys(active).filter((feature) => active[feature]);
+  return features.map((feature) => (active[feature] ? `${feature} (on)` : feature)).join(', ') || '-';
 }
 
 export default class List extends Command {
@@ -42,33 +56,22 @@ export default class List extends Command {
         return;
       }
 
-      ux.table(items, {
-        hostId: {
-          header: 'Host ID',
-          minWidth: 15,
-        },
-        name: {
-          header: 'Name',
-          get: (row) => row.settings.displayName || row.hostId,
-        },
-        status: {
-          header: 'Status',
-          get: (row) => (row.online ? '🟢 Online' : '🔴 Offline'),
-        },
-        clients: {
-          header: 'Clients',
-          get: (row) => row.clients.toString(),
-        },
-        features: {
-          header: 'Features',
-          get: (row) => {
-            const features = [];
-            if (row.adminActive) features.push('Shield');
-            if (row.screenActive) features.push('Monitor');
-            return features.join(', ') || '-';
+      this.log(
+        renderTable(items, [
+          { header: 'Host ID', get: (row) => row.hostId },
+          { header: 'Name', get: (row) => row.settings.displayName || row.hostId },
+          { header: 'Status', get: (row) => (row.online ? '🟢 Online' : '🔴 Offline') },
+          { header: 'Clients', get: (row) => row.clients.toString() },
+          {
+            header: 'Version',
+            get: (row) =>
+              row.capabilities
+                ? `${row.capabilities.version || 'unknown'} (protocol ${row.capabilities.protocolVersion})`
+                : '-',
           },
-        },
-      });
+          { header: 'Features', get: describeFeatures },
+        ]),
+      );
     } catch (error) {
       this.error(`Error connecting to relay server: ${(error as Error).message}`);
     }
@@ -0,0 +1,55 @@
+import { Command, Flags } from '@oclif/core';
+import { IssuedToken, listHostTokens, loginToRelay } from '../../lib/relay-client.js';
+import { renderTable } from '../../lib/table.js';
+
+function describeIssuedTo(token: IssuedToken) {
+  return token.issuedTo || (token.kind === 'machine' ? 'host registration' : 'unknown');
+}
+
+export default class TokenList extends Command {
+  static description = "List a host's active machine and client tokens";
+
+  static examples = ['<%= config.bin %> token list --hostId my-host --password $RELAY_PASSWORD'];
+
+  static flags = {
+    server: Flags.string({ char: 's', description: 'Relay server URL', default: 'https://terminal-tool.onrender.com' }),
+    hostId: Flags.string({ char: 'i', description: 'Host whose tokens to list', required: true }),
+    username: Flags.string({ char: 'u', description: 'Relay account with settings access to the host (defaults to the built-in owner)' }),
+    password: Flags.string({ char: 'p', description: 'Account password', required: true }),
+    json: Flags.boolean({ description: 'Output in JSON format' }),
+  };
+
+  async run() {
+    const { flags } = await this.parse(TokenList);
+
+    let items: IssuedToken[];
+    try {
+      const bearer = await loginToRelay(flags.server, flags.username, flags.password);
+      items = await listHostTokens(flags.server, flags.hostId, bearer);
+    } catch (error) {
+      this.error((error as Error).message);
+    }
+
+    if (flags.json) {
+      this.log(JSON.stringify(items, null, 2));
+      return;
+    }
+
+    if (items.length === 0) {
+      this.log(`No active tokens for ${flags.hostId}.`);
+      return;
+    }
+
+    this.log(
+      renderTable(items, [
+        { header: 'Token ID', get: (row) => row.id },
+        { header: 'Kind', get: (row) => row.kind },
+        { header: 'Issued to', get: describeIssuedTo },
+        { header: 'Access', get: (row) => row.access },
+        { header: 'Issued', get: (row) => new Date(row.issuedAt).toLocaleString() },
+        { header: 'Expires', get: (row) => new Date(row.expiresAt).toLocaleString() },
+        { header: 'Connections', get: (row) => row.connections.toString() },
+      ]),
+    );
+  }
+}
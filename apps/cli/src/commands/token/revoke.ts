@@ -0,0 +1,35 @@
+import { Args, Command, Flags } from '@oclif/core';
+import { loginToRelay, revokeHostToken } from '../../lib/relay-client.js';
+
+export default class TokenRevoke extends Command {
+  static description = 'Revoke a machine or client token and disconnect everyone using it';
+
+  static examples = ['<%= config.bin %> token revoke 0b6f1c2e-9a4d-4c1e-8f3a-2d5e7b9c1a40 --hostId my-host --password $RELAY_PASSWORD'];
+
+  static args = {
+    tokenId: Args.string({ description: 'Token ID, as shown by token list', required: true }),
+  };
+
+  static flags = {
+    server: Flags.string({ char: 's', description: 'Relay server URL', default: 'https://terminal-tool.onrender.com' }),
+    hostId: Flags.string({ char: 'i', description: 'Host the token was issued for', required: true }),
+    username: Flags.string({ char: 'u', description: 'Relay account with settings access to the host (defaults to the built-in owner)' }),
+    password: Flags.string({ char: 'p', description: 'Account password', required: true }),
+  };
+
+  async run() {
+    const { args, flags } = await this.parse(TokenRevoke);
+
+    try {
+      const bearer = await loginToRelay(flags.server, flags.username, flags.password);
+      const { token, disconnected } = await revokeHostToken(flags.server, flags.hostId, args.tokenId, bearer);
+      const sockets = disconnected === 1 ? '1 connection' : `${disconnected} connections`;
+      this.log(`Revoked ${token.kind} token ${token.id} and closed ${sockets}.`);
+      if (token.kind === 'machine') {
+        this.log('The host must register again with an account password to reconnect.');
+      }
+    } catch (error) {
+      this.error((error as Error).message);
+    }
+  }
+}
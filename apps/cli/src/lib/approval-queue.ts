@@ -0,0 +1,88 @@
+import { terminal } from 'terminal-tool-protocol';
+
+export type AskFn = (question: string, signal: AbortSignal) => Promise<string>;
+
+export interface ApprovalDecision {
+  clientId: string;
+  approved: boolean;
+  reason: string;
+}
+
+export function describeConnectionRequest(request: terminal.IConnectionRequest) {
+  const who = request.username ? `user ${request.username}` : 'a token holder';
+  const from = request.sourceIp || 'unknown address';
+  const agent = request.userAgent ? ` using ${request.userAgent}` : '';
+  const timeout = request.timeoutSeconds ? ` (${request.timeoutSeconds}s to answer)` : '';
+  return `Client ${request.clientId} (${who} from ${from}${agent}) wants to connect${timeout}. Allow? [y/N] `;
+}
+
+/**
+ * Prompts for one connection request at a time so answers never race each other.
+ * Requests the relay withdraws (client left, timed out) are dropped or aborted.
+ */
+export class ApprovalQueue {
+  private readonly queue: terminal.IConnectionRequest[] = [];
+  private active: { clientId: string; controller: AbortController } | null = null;
+
+  constructor(
+    private readonly ask: AskFn,
+    private readonly decide: (decision: ApprovalDecision) => void,
+  ) {}
+
+  handle(request: terminal.IConnectionRequest) {
+    if (request.cancelled) {
+      this.cancel(request.clientId || '');
+      return;
+    }
+
+    this.queue.push(request);
+    void this.drain();
+  }
+
+  cancel(clientId: string) {
+    const index = this.queue.findIndex((request) => request.clientId === clientId);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+
+    if (this.active?.clientId === clientId) {
+      this.active.controller.abort();
+    }
+  }
+
+  /** Drops every queued and active prompt, e.g. after the relay connection was lost. */
+  cancelAll() {
+    this.queue.length = 0;
+    this.active?.controller.abort();
+  }
+
+  private async drain() {
+    if (this.active) {
+      return;
+    }
+
+    const request = this.queue.shift();
+    if (!request) {
+      return;
+    }
+
+    const clientId = request.clientId || '';
+    const controller = new AbortController();
+    this.active = { clientId, controller };
+
+    try {
+      const answer = await this.ask(describeConnectionRequest(request), controller.signal);
+      const approved = /^y(es)?$/i.test(answer.trim());
+      this.decide({
+        clientId,
+        approved,
+        reason: approved ? '' : 'Connection denied by host operator',
+      });
+    } catch {
+      // Aborted: the relay already settled this request.
+    } finally {
+      this.active = null;
+      void this.drain();
+    }
+  }
+}
@@ -0,0 +1,30 @@
+export interface BackoffOptions {
+  initialDelayMs: number;
+  maxDelayMs: number;
+  factor?: number;
+  /** Fraction of each delay that is randomised so many hosts don't reconnect in lockstep. */
+  jitter?: number;
+  random?: () => number;
+}
+
+/** Exponential reconnect delays: initial, initial*factor, ... capped at maxDelayMs. */
+export class Backoff {
+  private attempt = 0;
+
+  constructor(private readonly options: BackoffOptions) {}
+
+  get attempts() {
+    return this.attempt;
+  }
+
+  next() {
+    const { initialDelayMs, maxDelayMs, factor = 2, jitter = 0.2, random = Math.random } = this.options;
+    const base = Math.min(maxDelayMs, initialDelayMs * factor ** this.attempt);
+    this.attempt += 1;
+    return Math.round(base - base * jitter * random());
+  }
+
+  reset() {
+    this.attempt = 0;
+  }
+}
@@ -0,0 +1,201 @@
+import { ChildProcess, spawn } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { terminal } from 'terminal-tool-protocol';
+
+const { Stream } = terminal.ExecOutput;
+
+// Output a command may have in flight before it stops being read, as for PortForward.
+export const EXEC_WINDOW = 1024 * 1024;
+// How long a command gets to exit after SIGTERM before it is killed outright.
+const KILL_GRACE_MS = 5000;
+
+/** Arguments that make the host's shell run one script. */
+export function shellArgs(shell: string, script: string) {
+  const name = path.basename(shell).toLowerCase();
+  if (name.startsWith('powershell') || name.startsWith('pwsh')) {
+    return ['-NoProfile', '-Command', script];
+  }
+  if (name === 'cmd.exe' || name === 'cmd') {
+    return ['/d', '/s', '/c', script];
+  }
+  return ['-c', script];
+}
+
+function isSignal(name: string): name is NodeJS.Signals {
+  return name in os.constants.signals;
+}
+
+interface RunningExec {
+  child: ChildProcess;
+  unacked: number;
+  timedOut: boolean;
+  timer?: NodeJS.Timeout;
+  killTimer?: NodeJS.Timeout;
+}
+
+export interface ExecHostOptions {
+  /** Directory commands start in; ExecStart.cwd is relative to it. */
+  cwd: string;
+  /** Runs ExecStart.shell scripts. */
+  shell: string;
+  /** Refuses every ExecStart when off (`--no-exec`). */
+  enabled: boolean;
+  send(message: terminal.IHostMessage): void;
+  log(message: string): void;
+}
+
+/**
+ * The host side of ExecStart: runs commands without a PTY and streams their
+ * stdout and stderr separately. On POSIX each command gets its own process
+ * group, so signals and timeouts also reach whatever it started.
+ */
+export class ExecHost {
+  private readonly running = new Map<string, RunningExec>();
+
+  constructor(private readonly options: ExecHostOptions) {}
+
+  start(clientId: string, request: terminal.IExecStart) {
+    const execId = request.execId || '';
+    const key = `${clientId}\n${execId}`;
+    const command = request.command || '';
+    const exit = (result: terminal.IExecExit) =>
+      this.options.send({ execExit: { code: -1, ...result, execId, clientId } });
+
+    if (!this.options.enabled) {
+      exit({ error: 'Running commands is disabled on this host' });
+      return;
+    }
+    if (this.running.has(key)) {
+      exit({ error: `Exec ${execId} is already running` });
+      return;
+    }
+    if (!command) {
+      exit({ error: 'No command given' });
+      return;
+    }
+
+    const [file, args] = request.shell
+      ? [this.options.shell, shellArgs(this.options.shell, command)]
+      : [command, request.args || []];
+    const child = spawn(file, args, {
+      cwd: path.resolve(this.options.cwd, request.cwd || ''),
+      stdio: 'pipe',
+      detached: os.platform() !== 'win32',
+      windowsHide: true,
+    });
+    const exec: RunningExec = { child, unacked: 0, timedOut: false };
+    this.running.set(key, exec);
+    this.options.log(`Client ${clientId} ran ${request.shell ? command : [command, ...args].join(' ')}`);
+
+    let finished = false;
+    const finish = (result: terminal.IExecExit) => {
+      if (finished) {
+        return;
+      }
+
+      finished = true;
+      clearTimeout(exec.timer);
+      clearTimeout(exec.killTimer);
+      this.running.delete(key);
+      exit({ ...result, timedOut: exec.timedOut });
+    };
+
+    for (const [stream, readable] of [
+      [Stream.STDOUT, child.stdout],
+      [Stream.STDERR, child.stderr],
+    ] as const) {
+      readable.on('data', (data: Buffer) => {
+        exec.unacked += data.length;
+        this.options.send({ execOutput: { execId, clientId, stream, data } });
+        if (exec.unacked >= EXEC_WINDOW) {
+          child.stdout.pause();
+          child.stderr.pause();
+        }
+      });
+    }
+    // The command may exit without reading its input.
+    child.stdin.on('error', () => {});
+
+    child.on('error', (error) => {
+      // A command that never started emits no close.
+      if (child.pid === undefined) {
+        const missing = (error as NodeJS.ErrnoException).code === 'ENOENT';
+        finish({ error: missing ? `${request.shell ? file : command}: command not found` : error.message });
+      }
+    });
+    child.on('close', (code, signal) => {
+      finish({ code: code ?? -1, signal: signal ?? '' });
+    });
+
+    if (request.timeoutSeconds) {
+      exec.timer = setTimeout(() => {
+        exec.timedOut = true;
+        this.terminate(exec);
+      }, request.timeoutSeconds * 1000);
+    }
+  }
+
+  input(clientId: string, input: terminal.IExecInput) {
+    const execId = input.execId || '';
+    const exec = this.running.get(`${clientId}\n${execId}`);
+    if (!exec) {
+      return;
+    }
+
+    const { child } = exec;
+    if (input.ack) {
+      exec.unacked = Math.max(0, exec.unacked - input.ack);
+      if (exec.unacked < EXEC_WINDOW) {
+        child.stdout?.resume();
+        child.stderr?.resume();
+      }
+    }
+    if (input.data?.length) {
+      const size = input.data.length;
+      child.stdin?.write(input.data, () =>
+        this.options.send({ execOutput: { execId, clientId, ack: size } }),
+      );
+    }
+    if (input.eof) {
+      child.stdin?.end();
+    }
+    if (input.signal && isSignal(input.signal)) {
+      this.signal(child, input.signal);
+    }
+  }
+
+  /** Stops a departed client's commands. */
+  release(clientId: string) {
+    for (const [key, exec] of this.running) {
+      if (key.startsWith(`${clientId}\n`)) {
+        this.terminate(exec);
+      }
+    }
+  }
+
+  /** Nobody is left to read the output after the relay connection drops. */
+  releaseAll() {
+    for (const exec of this.running.values()) {
+      this.terminate(exec);
+    }
+  }
+
+  private terminate(exec: RunningExec) {
+    this.signal(exec.child, 'SIGTERM');
+    clearTimeout(exec.killTimer);
+    exec.killTimer = setTimeout(() => this.signal(exec.child, 'SIGKILL'), KILL_GRACE_MS);
+  }
+
+  private signal(child: ChildProcess, signal: NodeJS.Signals) {
+    try {
+      if (os.platform() !== 'win32' && child.pid) {
+        process.kill(-child.pid, signal);
+      } else {
+        child.kill(signal);
+      }
+    } catch {
+      // Already gone.
+    }
+  }
+}
@@ -0,0 +1,164 @@
+import { Stats } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { terminal } from 'terminal-tool-protocol';
+import { resolveInsideRoot, resolveMessageRoot } from './file-transfer.js';
+
+const { Action } = terminal.FileSystemRequest;
+const { Kind } = terminal.FileEntry;
+
+// Both keep a response well under the relay's 1 MiB WebSocket payload limit.
+export const MAX_ENTRIES = 2000;
+export const PREVIEW_BYTES = 64 * 1024;
+
+function entryKind(stat: Stats) {
+  if (stat.isSymbolicLink()) {
+    return Kind.SYMLINK;
+  }
+  if (stat.isDirectory()) {
+    return Kind.DIRECTORY;
+  }
+  return stat.isFile() ? Kind.FILE : Kind.OTHER;
+}
+
+/** The requested path as the client should show it: relative to the root, with forward slashes. */
+function clientPath(root: string, requested: string) {
+  return path.relative(root, path.resolve(root, requested)).split(path.sep).join('/');
+}
+
+/**
+ * Resolves the entry a rename or delete acts on. Unlike resolveInsideRoot it
+ * does not follow a symlink at the end of the path, so removing a link leaves
+ * its target alone. The root itself cannot be picked.
+ */
+async function resolveEntry(root: string, requested: string) {
+  const parent = await resolveInsideRoot(root, path.dirname(requested));
+  const entry = path.join(parent, path.basename(requested));
+  if (path.dirname(entry) !== parent) {
+    throw new Error(`${requested || 'The shared directory'} cannot be renamed or deleted`);
+  }
+
+  return entry;
+}
+
+export interface FileBrowserHostOptions {
+  /** Fallback directory when the relay names none; see FileTransferHostOptions.root. */
+  root: string;
+  enabled: boolean;
+  send(message: terminal.IFileSystemResponse): void;
+  log(message: string): void;
+}
+
+/** The host side of FileSystemRequest, confined to the same directory as file transfers. */
+export class FileBrowserHost {
+  constructor(private readonly options: FileBrowserHostOptions) {}
+
+  async handle(clientId: string, request: terminal.IFileSystemRequest) {
+    const action = request.action || Action.LIST;
+    const requested = request.path || '';
+    const reply = (response: terminal.IFileSystemResponse) =>
+      this.options.send({ ...response, clientId, requestId: request.requestId || '', action });
+
+    try {
+      if (!this.options.enabled) {
+        throw new Error('File access is disabled on this host');
+      }
+
+      const root = await fs.realpath(await resolveMessageRoot(this.options.root, request.root));
+      const response: terminal.IFileSystemResponse = { ok: true, path: clientPath(root, requested) };
+      switch (action) {
+        case Action.LIST:
+          Object.assign(response, await this.list(root, requested));
+          break;
+        case Action.READ:
+          Object.assign(response, await this.read(root, requested));
+          break;
+        case Action.RENAME:
+          await this.rename(root, requested, request.newPath || '');
+          this.options.log(`Client ${clientId} renamed ${requested} to ${request.newPath}`);
+          break;
+        case Action.DELETE:
+          await this.delete(root, requested);
+          this.options.log(`Client ${clientId} deleted ${requested}`);
+          break;
+      }
+
+      reply(response);
+    } catch (error) {
+      // Name the path the client asked for rather than where it lives on the host.
+      const missing = (error as NodeJS.ErrnoException).code === 'ENOENT';
+      reply({
+        ok: false,
+        path: requested,
+        error: missing ? `${requested} does not exist` : error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  private async list(root: string, requested: string) {
+    const directory = await resolveInsideRoot(root, requested);
+    const dirents = await fs.readdir(directory, { withFileTypes: true });
+    // Directories first, then by name, so a truncated listing keeps the ones to navigate into.
+    dirents.sort((a, b) => Number(b.isDirectory()) - Number(a.isDirectory()) || a.name.localeCompare(b.name));
+
+    const entries = await Promise.all(
+      dirents.slice(0, MAX_ENTRIES).map(async (dirent): Promise<terminal.IFileEntry | null> => {
+        // Entries can disappear between reading the directory and looking at them.
+        const stat = await fs.lstat(path.join(directory, dirent.name)).catch(() => null);
+        return stat
+          ? {
+              name: dirent.name,
+              kind: entryKind(stat),
+              size: stat.size,
+              modifiedAt: stat.mtime.toISOString(),
+              mode: stat.mode & 0o7777,
+            }
+          : null;
+      }),
+    );
+
+    return {
+      entries: entries.filter((entry): entry is terminal.IFileEntry => entry !== null),
+      truncated: dirents.length > MAX_ENTRIES,
+    };
+  }
+
+  private async read(root: string, requested: string) {
+    const file = await resolveInsideRoot(root, requested);
+    const handle = await fs.open(file, 'r');
+    try {
+      const stat = await handle.stat();
+      if (!stat.isFile()) {
+        throw new Error(`${requested} is not a file`);
+      }
+
+      const buffer = Buffer.alloc(Math.min(PREVIEW_BYTES, stat.size));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      const content = buffer.subarray(0, bytesRead);
+      const binary = content.includes(0);
+      return { content: binary ? new Uint8Array() : content, binary, truncated: stat.size > bytesRead };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  private async rename(root: string, requested: string, newPath: string) {
+    const source = await resolveEntry(root, requested);
+    const target = await resolveEntry(root, newPath);
+    await fs.lstat(source);
+    if (await fs.lstat(target).catch(() => null)) {
+      throw new Error(`${newPath} already exists`);
+    }
+    if (!(await fs.stat(path.dirname(target)).catch(() => null))?.isDirectory()) {
+      throw new Error(`${path.dirname(newPath)} is not a directory`);
+    }
+
+    await fs.rename(source, target);
+  }
+
+  private async delete(root: string, requested: string) {
+    const entry = await resolveEntry(root, requested);
+    await fs.lstat(entry);
+    await fs.rm(entry, { recursive: true });
+  }
+}
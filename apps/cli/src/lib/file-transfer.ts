@@ -0,0 +1,373 @@
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs, { FileHandle } from 'node:fs/promises';
+import path from 'node:path';
+import { terminal } from 'terminal-tool-protocol';
+
+const { Action } = terminal.FileTransfer;
+
+// Well under the relay's 1 MiB WebSocket payload limit.
+export const CHUNK_SIZE = 256 * 1024;
+export const CHUNK_WINDOW = 4;
+
+export async function sha256File(file: string) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(file)) {
+    hash.update(chunk as Buffer);
+  }
+  return hash.digest('hex');
+}
+
+function isInside(root: string, target: string) {
+  const relative = path.relative(root, target);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolves a client-supplied path against root and refuses anything that ends
+ * up outside it, including through symlinks. The path itself need not exist
+ * yet; its deepest existing ancestor decides where it really points.
+ */
+export async function resolveInsideRoot(root: string, requested: string) {
+  const realRoot = await fs.realpath(root);
+  let existing = path.resolve(realRoot, requested);
+  const missing: string[] = [];
+
+  for (;;) {
+    try {
+      existing = await fs.realpath(existing);
+      break;
+    } catch (error) {
+      const parent = path.dirname(existing);
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT' || parent === existing) {
+        throw error;
+      }
+      missing.unshift(path.basename(existing));
+      existing = parent;
+    }
+  }
+
+  const resolved = path.join(existing, ...missing);
+  if (!isInside(realRoot, resolved)) {
+    throw new Error(`${requested} is outside the shared directory`);
+  }
+
+  return resolved;
+}
+
+/**
+ * The directory a message works in. The relay names one from the host's
+ * preferredCwd setting, which anyone allowed to change settings controls, so it
+ * may narrow the host's own root but never leave it.
+ */
+export async function resolveMessageRoot(hostRoot: string, relayRoot: string | null | undefined) {
+  if (!relayRoot) {
+    return fs.realpath(hostRoot);
+  }
+
+  try {
+    return await resolveInsideRoot(hostRoot, relayRoot);
+  } catch {
+    throw new Error(`The host's preferred directory ${relayRoot} is not inside the directory it shares`);
+  }
+}
+
+/**
+ * Writes received chunks to a partial file next to the destination, named
+ * after the file's checksum so only a transfer of the same content resumes
+ * it, and moves it into place once the whole file checks out.
+ */
+export class ChunkWriter {
+  private constructor(
+    private readonly handle: FileHandle,
+    private readonly partPath: string,
+    readonly destination: string,
+    readonly size: number,
+    private readonly sha256: string,
+    public offset: number,
+  ) {}
+
+  static async open(destination: string, size: number, sha256: string) {
+    if (!/^[0-9a-f]{64}$/.test(sha256)) {
+      throw new Error('A transfer needs the SHA-256 of the file');
+    }
+
+    const partPath = path.join(path.dirname(destination), `.${path.basename(destination)}.${sha256.slice(0, 16)}.part`);
+    const handle = await fs.open(partPath, 'a');
+    let { size: offset } = await handle.stat();
+    if (offset > size) {
+      await handle.truncate(0);
+      offset = 0;
+    }
+
+    return new ChunkWriter(handle, partPath, destination, size, sha256, offset);
+  }
+
+  get done() {
+    return this.offset >= this.size;
+  }
+
+  async write(offset: number, data: Uint8Array) {
+    if (offset !== this.offset) {
+      throw new Error(`Expected data at offset ${this.offset}, got ${offset}`);
+    }
+    if (offset + data.length > this.size) {
+      throw new Error('Received more data than the file size');
+    }
+
+    await this.handle.write(data);
+    this.offset += data.length;
+    return this.offset;
+  }
+
+  /** Checks the whole file against its checksum and replaces the destination with it. */
+  async finish() {
+    await this.close();
+    if ((await sha256File(this.partPath)) !== this.sha256) {
+      await fs.rm(this.partPath, { force: true });
+      throw new Error('Checksum mismatch; the partial file was discarded');
+    }
+
+    await fs.rename(this.partPath, this.destination);
+  }
+
+  /** Stops writing but keeps the partial file so the transfer can resume. */
+  async close() {
+    await this.handle.close().catch(() => {});
+  }
+}
+
+/** Reads a file in chunks and keeps at most CHUNK_WINDOW of them unacknowledged. */
+export class ChunkReader {
+  private inFlight = 0;
+  private pumping = false;
+  private closed = false;
+
+  private constructor(
+    private readonly handle: FileHandle,
+    readonly size: number,
+    private offset: number,
+    private readonly sendChunk: (offset: number, data: Uint8Array) => void,
+  ) {}
+
+  static async open(file: string, offset: number, sendChunk: (offset: number, data: Uint8Array) => void) {
+    const handle = await fs.open(file, 'r');
+    const { size } = await handle.stat();
+    return new ChunkReader(handle, size, Math.min(Math.max(0, offset), size), sendChunk);
+  }
+
+  get finished() {
+    return this.offset >= this.size && this.inFlight === 0;
+  }
+
+  acknowledge() {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+    return this.pump();
+  }
+
+  async pump() {
+    if (this.pumping) {
+      return;
+    }
+
+    this.pumping = true;
+    try {
+      while (!this.closed && this.inFlight < CHUNK_WINDOW && this.offset < this.size) {
+        const buffer = Buffer.alloc(Math.min(CHUNK_SIZE, this.size - this.offset));
+        const { bytesRead } = await this.handle.read(buffer, 0, buffer.length, this.offset);
+        if (bytesRead === 0) {
+          throw new Error('The file shrank while it was being sent');
+        }
+
+        const start = this.offset;
+        this.offset += bytesRead;
+        this.inFlight += 1;
+        this.sendChunk(start, buffer.subarray(0, bytesRead));
+      }
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    await this.handle.close().catch(() => {});
+  }
+}
+
+interface HostTransfer {
+  clientId: string;
+  file: string;
+  writer?: ChunkWriter;
+  reader?: ChunkReader;
+}
+
+export interface FileTransferHostOptions {
+  /**
+   * Directory clients may read and write; nothing outside it is reachable. The
+   * relay may name a directory inside it, the host's preferredCwd setting, per message.
+   */
+  root: string;
+  enabled: boolean;
+  send(message: terminal.IFileTransfer): void;
+  log(message: string): void;
+}
+
+/**
+ * The host side of FileTransfer: uploads land under the root directory and
+ * downloads are served from it. Messages are handled one at a time so chunks
+ * are written in the order they arrived.
+ */
+export class FileTransferHost {
+  private readonly transfers = new Map<string, HostTransfer>();
+  private queue = Promise.resolve();
+
+  constructor(private readonly options: FileTransferHostOptions) {}
+
+  handle(clientId: string, message: terminal.IFileTransfer) {
+    this.queue = this.queue.then(() => this.process(clientId, message));
+    return this.queue;
+  }
+
+  /** Stops a departed client's transfers; uploads keep their partial files for a resume. */
+  release(clientId: string) {
+    return this.releaseWhere((transfer) => transfer.clientId === clientId);
+  }
+
+  /** Clients get new ids after a relay reconnect, so nothing running can continue. */
+  releaseAll() {
+    return this.releaseWhere(() => true);
+  }
+
+  private releaseWhere(matches: (transfer: HostTransfer) => boolean) {
+    this.queue = this.queue.then(async () => {
+      for (const [key, transfer] of this.transfers) {
+        if (matches(transfer)) {
+          await this.drop(key);
+        }
+      }
+    });
+    return this.queue;
+  }
+
+  private async process(clientId: string, message: terminal.IFileTransfer) {
+    const transferId = message.transferId || '';
+    const key = `${clientId}\n${transferId}`;
+    const reply = (response: terminal.IFileTransfer) => this.options.send({ ...response, transferId, clientId });
+
+    try {
+      switch (message.action || Action.UPLOAD_START) {
+        case Action.UPLOAD_START:
+        case Action.DOWNLOAD_START: {
+          if (!this.options.enabled) {
+            throw new Error('File transfer is disabled on this host');
+          }
+          if (this.transfers.has(key)) {
+            throw new Error(`Transfer ${transferId} is already running`);
+          }
+
+          const root = await resolveMessageRoot(this.options.root, message.root);
+          const file = await resolveInsideRoot(root, message.path || '');
+          if (message.action === Action.DOWNLOAD_START) {
+            const stat = await fs.stat(file);
+            if (!stat.isFile()) {
+              throw new Error(`${message.path} is not a file`);
+            }
+
+            this.transfers.set(key, { clientId, file });
+            reply({ action: Action.READY, size: stat.size, sha256: await sha256File(file) });
+            return;
+          }
+
+          const existing = await fs.stat(file).catch(() => null);
+          if (existing?.isDirectory()) {
+            throw new Error(`${message.path} is a directory`);
+          }
+
+          const writer = await ChunkWriter.open(file, message.size || 0, message.sha256 || '');
+          this.transfers.set(key, { clientId, file, writer });
+          reply({ action: Action.READY, offset: writer.offset });
+          await this.completeUpload(key, reply);
+          return;
+        }
+        case Action.DATA: {
+          const writer = this.transfers.get(key)?.writer;
+          if (!writer) {
+            throw new Error(`Unknown upload ${transferId}`);
+          }
+
+          reply({ action: Action.ACK, offset: await writer.write(message.offset || 0, message.data || new Uint8Array()) });
+          await this.completeUpload(key, reply);
+          return;
+        }
+        case Action.ACK: {
+          const transfer = this.transfers.get(key);
+          if (!transfer || transfer.writer) {
+            throw new Error(`Unknown download ${transferId}`);
+          }
+
+          // The first ACK says how much the client already has.
+          if (transfer.reader) {
+            await transfer.reader.acknowledge();
+          } else {
+            transfer.reader = await ChunkReader.open(transfer.file, message.offset || 0, (offset, data) =>
+              reply({ action: Action.DATA, offset, data }),
+            );
+            await transfer.reader.pump();
+          }
+
+          if (transfer.reader.finished) {
+            await this.drop(key);
+            reply({ action: Action.COMPLETE, size: transfer.reader.size });
+            this.options.log(`Client ${clientId} downloaded ${transfer.file}`);
+          }
+          return;
+        }
+        case Action.CANCEL:
+        case Action.ERROR:
+          await this.drop(key);
+          return;
+        default:
+          return;
+      }
+    } catch (error) {
+      await this.drop(key);
+      // Name the path the client asked for rather than where it lives on the host.
+      const missing = (error as NodeJS.ErrnoException).code === 'ENOENT';
+      reply({
+        action: Action.ERROR,
+        error: missing ? `${message.path} does not exist` : error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  private async completeUpload(key: string, reply: (response: terminal.IFileTransfer) => void) {
+    const transfer = this.transfers.get(key);
+    if (!transfer?.writer?.done) {
+      return;
+    }
+
+    this.transfers.delete(key);
+    await transfer.writer.finish();
+    reply({ action: Action.COMPLETE, size: transfer.writer.size });
+    this.options.log(`Client ${transfer.clientId} uploaded ${transfer.file}`);
+  }
+
+  private async drop(key: string) {
+    const transfer = this.transfers.get(key);
+    this.transfers.delete(key);
+    await transfer?.writer?.close();
+    await transfer?.reader?.close();
+  }
+}
+
+export interface RemotePath {
+  hostId: string;
+  path: string;
+}
+
+/** Parses scp-style `host:path`; one-letter prefixes are Windows drive letters, not hosts. */
+export function parseRemotePath(spec: string): RemotePath | null {
+  const match = /^([^:/\\]{2,}):(.*)$/.exec(spec);
+  return match ? { hostId: match[1], path: match[2] } : null;
+}
@@ -0,0 +1,202 @@
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { terminal } from 'terminal-tool-protocol';
+
+const { Kind } = terminal.RemoteInput;
+
+export interface DisplaySize {
+  width: number;
+  height: number;
+}
+
+/** Injects remote pointer and key events into the host's desktop. */
+export interface InputBackend {
+  readonly name: string;
+  handle(event: terminal.IRemoteInput): void;
+}
+
+export type RunCommand = (file: string, args: string[]) => Promise<string>;
+
+export const INPUT_BACKENDS = ['xdotool'] as const;
+export type InputBackendName = (typeof INPUT_BACKENDS)[number];
+
+// DOM KeyboardEvent.key names that differ from X keysym names.
+const KEYSYMS: Record<string, string> = {
+  Enter: 'Return',
+  Backspace: 'BackSpace',
+  Escape: 'Escape',
+  Tab: 'Tab',
+  Delete: 'Delete',
+  Insert: 'Insert',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'Prior',
+  PageDown: 'Next',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  CapsLock: 'Caps_Lock',
+  ' ': 'space',
+  '!': 'exclam',
+  '"': 'quotedbl',
+  '#': 'numbersign',
+  $: 'dollar',
+  '%': 'percent',
+  '&': 'ampersand',
+  "'": 'apostrophe',
+  '(': 'parenleft',
+  ')': 'parenright',
+  '*': 'asterisk',
+  '+': 'plus',
+  ',': 'comma',
+  '-': 'minus',
+  '.': 'period',
+  '/': 'slash',
+  ':': 'colon',
+  ';': 'semicolon',
+  '<': 'less',
+  '=': 'equal',
+  '>': 'greater',
+  '?': 'question',
+  '@': 'at',
+  '[': 'bracketleft',
+  '\\': 'backslash',
+  ']': 'bracketright',
+  '^': 'asciicircum',
+  _: 'underscore',
+  '`': 'grave',
+  '{': 'braceleft',
+  '|': 'bar',
+  '}': 'braceright',
+  '~': 'asciitilde',
+};
+
+export function keysym(key: string) {
+  if (KEYSYMS[key]) {
+    return KEYSYMS[key];
+  }
+  if (/^[a-z0-9]$/i.test(key) || /^F([1-9]|1[0-9]|2[0-4])$/.test(key)) {
+    return key;
+  }
+
+  return null;
+}
+
+function toPixel(fraction: number | null | undefined, size: number) {
+  const clamped = Math.min(1, Math.max(0, Number(fraction) || 0));
+  return String(Math.round(clamped * (size - 1)));
+}
+
+function scrollArgs(steps: number, negativeButton: string, positiveButton: string) {
+  const count = Math.min(Math.abs(Math.trunc(steps)), 20);
+  return count ? ['click', '--repeat', String(count), steps < 0 ? negativeButton : positiveButton] : [];
+}
+
+/** The xdotool arguments for one event, or null when it has nothing to inject. */
+export function xdotoolArgs(event: terminal.IRemoteInput, display: DisplaySize): string[] | null {
+  const move = ['mousemove', toPixel(event.x, display.width), toPixel(event.y, display.height)];
+  const button = String(event.button && event.button <= 3 ? event.button : 1);
+
+  switch (event.kind || Kind.POINTER_MOVE) {
+    case Kind.POINTER_MOVE:
+      return move;
+    case Kind.POINTER_DOWN:
+      return [...move, 'mousedown', button];
+    case Kind.POINTER_UP:
+      return [...move, 'mouseup', button];
+    case Kind.SCROLL: {
+      // X11 scrolls with buttons 4/5 (up/down) and 6/7 (left/right).
+      const scroll = [...scrollArgs(event.scrollY || 0, '4', '5'), ...scrollArgs(event.scrollX || 0, '6', '7')];
+      return scroll.length ? [...move, ...scroll] : null;
+    }
+    case Kind.KEY_DOWN:
+    case Kind.KEY_UP: {
+      const key = keysym(event.key || '');
+      if (!key) {
+        return null;
+      }
+
+      const modifiers = [event.ctrl && 'ctrl', event.alt && 'alt', event.shift && 'shift', event.meta && 'super'];
+      const combo = [...modifiers.filter(Boolean), key].join('+');
+      return [event.kind === Kind.KEY_DOWN ? 'keydown' : 'keyup', combo];
+    }
+    default:
+      return null;
+  }
+}
+
+const execFileAsync = promisify(execFile);
+
+const runCommand: RunCommand = async (file, args) => (await execFileAsync(file, args)).stdout;
+
+/**
+ * Drives an X11 desktop through the xdotool CLI (works under Xvfb too). Events
+ * run one at a time so a press never overtakes the move before it, and a burst
+ * of pointer moves collapses to the latest one while a command is running.
+ */
+export class XdotoolBackend implements InputBackend {
+  readonly name = 'xdotool';
+  private readonly queue: terminal.IRemoteInput[] = [];
+  private running = false;
+  private display: DisplaySize | null = null;
+
+  constructor(
+    private readonly log: (message: string) => void,
+    private readonly run: RunCommand = runCommand,
+  ) {}
+
+  handle(event: terminal.IRemoteInput) {
+    const last = this.queue.at(-1);
+    const isMove = (candidate: terminal.IRemoteInput) => (candidate.kind || Kind.POINTER_MOVE) === Kind.POINTER_MOVE;
+    if (last && isMove(last) && isMove(event)) {
+      this.queue[this.queue.length - 1] = event;
+    } else {
+      this.queue.push(event);
+    }
+
+    void this.drain();
+  }
+
+  private async drain() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      while (this.queue.length > 0) {
+        const event = this.queue.shift()!;
+        try {
+          const args = xdotoolArgs(event, await this.displaySize());
+          if (args) {
+            await this.run('xdotool', args);
+          }
+        } catch (error) {
+          this.log(`Remote input failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  private async displaySize() {
+    if (!this.display) {
+      const [width, height] = (await this.run('xdotool', ['getdisplaygeometry'])).trim().split(/\s+/).map(Number);
+      if (!width || !height) {
+        throw new Error('xdotool could not read the display size');
+      }
+      this.display = { width, height };
+    }
+
+    return this.display;
+  }
+}
+
+export function createInputBackend(name: InputBackendName, log: (message: string) => void): InputBackend {
+  switch (name) {
+    case 'xdotool':
+      return new XdotoolBackend(log);
+  }
+}
@@ -0,0 +1,75 @@
+interface OutputChunk {
+  seq: number;
+  data: string;
+}
+
+/**
+ * Bounded scrollback for one PTY. Whole chunks are evicted from the front once
+ * the byte budget is exceeded, so replay always starts on a chunk boundary.
+ * Every chunk carries a sequence number that keeps counting across `clear()`,
+ * which lets a resuming client ask for just the chunks it missed.
+ */
+export class OutputBuffer {
+  private readonly chunks: OutputChunk[] = [];
+  private bytes = 0;
+  private lastSeq = 0;
+
+  constructor(private readonly maxBytes: number) {}
+
+  get size() {
+    return this.bytes;
+  }
+
+  get seq() {
+    return this.lastSeq;
+  }
+
+  append(data: string) {
+    if (!data) {
+      return this.lastSeq;
+    }
+
+    const chunk = data.length > this.maxBytes ? data.slice(-this.maxBytes) : data;
+    this.lastSeq += 1;
+    this.chunks.push({ seq: this.lastSeq, data: chunk });
+    this.bytes += Buffer.byteLength(chunk);
+
+    while (this.bytes > this.maxBytes && this.chunks.length > 1) {
+      this.bytes -= Buffer.byteLength(this.chunks.shift()!.data);
+    }
+
+    return this.lastSeq;
+  }
+
+  contents() {
+    return this.chunks.map((chunk) => chunk.data).join('');
+  }
+
+  /**
+   * Output written after `seq`, or null when some of it has already been
+   * evicted and the caller has to fall back to a full replay.
+   */
+  since(seq: number) {
+    if (seq > this.lastSeq) {
+      return null;
+    }
+
+    const first = this.chunks.findIndex((chunk) => chunk.seq > seq);
+    if (first === -1) {
+      return seq === this.lastSeq ? '' : null;
+    }
+    if (this.chunks[first].seq !== seq + 1) {
+      return null;
+    }
+
+    return this.chunks
+      .slice(first)
+      .map((chunk) => chunk.data)
+      .join('');
+  }
+
+  clear() {
+    this.chunks.length = 0;
+    this.bytes = 0;
+  }
+}
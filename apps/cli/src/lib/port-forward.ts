@@ -0,0 +1,245 @@
+import net, { Socket } from 'node:net';
+import { terminal } from 'terminal-tool-protocol';
+
+const { Action } = terminal.PortForward;
+
+// Bytes a stream may have in flight before its socket stops reading; the relay
+// buffers at most this much per stream for a slow peer.
+export const FORWARD_WINDOW = 1024 * 1024;
+
+export interface Destination {
+  host: string;
+  port: number;
+}
+
+export interface ForwardRule {
+  host: string;
+  minPort: number;
+  maxPort: number;
+}
+
+function parsePort(value: string, spec: string) {
+  const port = Number(value);
+  if (!/^\d+$/.test(value) || port < 1 || port > 65_535) {
+    throw new Error(`Invalid port in ${spec}`);
+  }
+
+  return port;
+}
+
+// Accepts host:port and [ipv6]:port; returns the host without brackets.
+function splitHostPort(spec: string) {
+  const match = /^(?:\[([^\]]+)\]|([^:]+)):(.+)$/.exec(spec);
+  if (!match) {
+    throw new Error(`Expected host:port, got ${spec}`);
+  }
+
+  return { host: (match[1] || match[2]).toLowerCase(), port: match[3] };
+}
+
+export function parseDestination(spec: string): Destination {
+  const { host, port } = splitHostPort(spec);
+  return { host, port: parsePort(port, spec) };
+}
+
+/** Parses an allowlist entry: host:port, host:8000-8100 or host:*. */
+export function parseForwardRule(spec: string): ForwardRule {
+  const { host, port } = splitHostPort(spec);
+  if (port === '*') {
+    return { host, minPort: 1, maxPort: 65_535 };
+  }
+
+  const [min, max = min] = port.split('-');
+  const rule = { host, minPort: parsePort(min, spec), maxPort: parsePort(max, spec) };
+  if (rule.minPort > rule.maxPort) {
+    throw new Error(`Invalid port range in ${spec}`);
+  }
+
+  return rule;
+}
+
+/**
+ * Hosts are compared as written, without resolving them, so allowing
+ * 127.0.0.1 does not allow localhost.
+ */
+export function isForwardAllowed(rules: ForwardRule[], destination: Destination) {
+  const host = destination.host.toLowerCase();
+  return rules.some(
+    (rule) => rule.host === host && destination.port >= rule.minPort && destination.port <= rule.maxPort,
+  );
+}
+
+export function formatDestination({ host, port }: Destination) {
+  return host.includes(':') ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+interface MuxStream {
+  socket: Socket;
+  unacked: number;
+  sent: number;
+  received: number;
+  error?: string;
+}
+
+export interface StreamStats {
+  sent: number;
+  received: number;
+  error?: string;
+}
+
+/**
+ * Pipes TCP sockets over PortForward messages, one stream per socket. A
+ * socket stops reading while FORWARD_WINDOW bytes of it are unacknowledged.
+ */
+export class StreamMux {
+  private readonly streams = new Map<string, MuxStream>();
+
+  constructor(
+    private readonly send: (message: terminal.IPortForward) => void,
+    private readonly onClose: (streamId: string, stats: StreamStats) => void = () => {},
+  ) {}
+
+  get size() {
+    return this.streams.size;
+  }
+
+  has(streamId: string) {
+    return this.streams.has(streamId);
+  }
+
+  attach(streamId: string, socket: Socket) {
+    const stream: MuxStream = { socket, unacked: 0, sent: 0, received: 0 };
+    this.streams.set(streamId, stream);
+
+    socket.on('data', (data: Buffer) => {
+      stream.sent += data.length;
+      stream.unacked += data.length;
+      this.send({ action: Action.DATA, streamId, data });
+      if (stream.unacked >= FORWARD_WINDOW) {
+        socket.pause();
+      }
+    });
+    socket.on('error', (error) => {
+      stream.error = error.message;
+    });
+    socket.on('close', () => {
+      // Streams the peer closed are already gone and need no CLOSE back.
+      if (this.streams.get(streamId) === stream) {
+        this.streams.delete(streamId);
+        this.send({ action: Action.CLOSE, streamId, error: stream.error });
+        this.onClose(streamId, stream);
+      }
+    });
+  }
+
+  /** Starts reading a socket that was paused until its peer was ready. */
+  resume(streamId: string) {
+    this.streams.get(streamId)?.socket.resume();
+  }
+
+  /** Handles DATA, ACK and CLOSE for an attached stream; returns false for anything else. */
+  receive(message: terminal.IPortForward) {
+    const streamId = message.streamId || '';
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      return false;
+    }
+
+    switch (message.action) {
+      case Action.DATA: {
+        const data = message.data || new Uint8Array();
+        stream.received += data.length;
+        stream.socket.write(data, () => this.send({ action: Action.ACK, streamId, size: data.length }));
+        return true;
+      }
+      case Action.ACK:
+        stream.unacked = Math.max(0, stream.unacked - (message.size || 0));
+        if (stream.unacked < FORWARD_WINDOW && stream.socket.isPaused()) {
+          stream.socket.resume();
+        }
+        return true;
+      case Action.CLOSE:
+        this.streams.delete(streamId);
+        // Data written before the CLOSE still goes out before the socket ends.
+        stream.socket.end();
+        this.onClose(streamId, { ...stream, error: message.error || undefined });
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /** Drops every stream without telling the peer, e.g. because the connection to it is gone. */
+  destroyAll() {
+    for (const [streamId, stream] of this.streams) {
+      this.streams.delete(streamId);
+      stream.socket.destroy();
+      this.onClose(streamId, stream);
+    }
+  }
+}
+
+export interface PortForwardHostOptions {
+  rules: ForwardRule[];
+  send(message: terminal.IPortForward): void;
+  log(message: string): void;
+  connect?: (destination: Destination) => Socket;
+}
+
+/** The host side of PortForward: opens allowed destinations and pipes them to their client. */
+export class PortForwardHost {
+  private readonly clients = new Map<string, StreamMux>();
+
+  constructor(private readonly options: PortForwardHostOptions) {}
+
+  handle(clientId: string, message: terminal.IPortForward) {
+    const streamId = message.streamId || '';
+    const send = (response: terminal.IPortForward) => this.options.send({ ...response, streamId, clientId });
+    let mux = this.clients.get(clientId);
+    if (!mux) {
+      mux = new StreamMux((response) => this.options.send({ ...response, clientId }));
+      this.clients.set(clientId, mux);
+    }
+
+    if (message.action !== Action.OPEN) {
+      mux.receive(message);
+      return;
+    }
+
+    const destination = { host: message.host || '', port: message.port || 0 };
+    const target = formatDestination(destination);
+    if (this.options.rules.length === 0) {
+      send({ action: Action.CLOSE, error: 'Port forwarding is disabled on this host' });
+      return;
+    }
+    if (!isForwardAllowed(this.options.rules, destination)) {
+      send({ action: Action.CLOSE, error: `${target} is not on this host's forwarding allowlist` });
+      return;
+    }
+    if (mux.has(streamId)) {
+      send({ action: Action.CLOSE, error: `Stream ${streamId} is already open` });
+      return;
+    }
+
+    const socket = (this.options.connect ?? net.connect)(destination);
+    // Data the client sends before the connection is up is buffered by the socket.
+    mux.attach(streamId, socket);
+    socket.once('connect', () => {
+      send({ action: Action.OPENED });
+      this.options.log(`Client ${clientId} opened a forwarded connection to ${target}`);
+    });
+  }
+
+  /** Closes a departed client's connections. */
+  release(clientId: string) {
+    this.clients.get(clientId)?.destroyAll();
+    this.clients.delete(clientId);
+  }
+
+  /** Clients get new ids after a relay reconnect, so no stream can continue. */
+  releaseAll() {
+    for (const clientId of [...this.clients.keys()]) {
+      this.release(clientId);
+    }
+  }
+}
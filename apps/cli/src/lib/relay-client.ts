@@ -0,0 +1,91 @@
+export interface ClientCredentials {
+  username?: string;
+  password?: string;
+  accessSecret?: string;
+}
+
+/** Asks the relay for a client token for one host, with an account or the host's access secret. */
+export async function issueClientToken(server: string, hostId: string, credentials: ClientCredentials) {
+  const response = await fetch(new URL(`/api/hosts/${hostId}/client-token`, server), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(credentials),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, 'issue client token');
+  }
+
+  const payload = (await response.json()) as { token: string };
+  return payload.token;
+}
+
+/** A machine or client token as the relay lists it; the token itself is never sent back. */
+export interface IssuedToken {
+  id: string;
+  hostId: string;
+  kind: 'machine' | 'client';
+  issuedTo: string | null;
+  access: 'control' | 'view';
+  issuedAt: string;
+  expiresAt: string;
+  revokedAt: string | null;
+  connections: number;
+}
+
+/** Signs in to a relay account and returns a bearer token for the account API. */
+export async function loginToRelay(server: string, username: string | undefined, password: string) {
+  const response = await fetch(new URL('/api/auth/login', server), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, 'log in');
+  }
+
+  const payload = (await response.json()) as { token: string };
+  return payload.token;
+}
+
+/** The host's unrevoked, unexpired tokens, newest first. */
+export async function listHostTokens(server: string, hostId: string, bearer: string) {
+  const response = await fetch(new URL(`/api/hosts/${hostId}/tokens`, server), {
+    headers: { Authorization: `Bearer ${bearer}` },
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, 'list tokens');
+  }
+
+  const payload = (await response.json()) as { items: IssuedToken[] };
+  return payload.items;
+}
+
+/** Revokes a token; the relay disconnects every socket that authenticated with it. */
+export async function revokeHostToken(server: string, hostId: string, tokenId: string, bearer: string) {
+  const response = await fetch(new URL(`/api/hosts/${hostId}/tokens/${encodeURIComponent(tokenId)}`, server), {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${bearer}` },
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, 'revoke token');
+  }
+
+  return (await response.json()) as { token: Omit<IssuedToken, 'connections'>; disconnected: number };
+}
+
+async function responseError(response: Response, action: string) {
+  const payload = (await response.json().catch(() => ({}))) as { error?: string };
+  return new Error(payload.error || `Failed to ${action} (${response.status})`);
+}
+
+/** The relay's WebSocket endpoint for clients. */
+export function clientSocketUrl(server: string) {
+  const url = new URL(server);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = '/ws/client';
+  return url.toString();
+}
@@ -0,0 +1,362 @@
+import { terminal } from 'terminal-tool-protocol';
+
+export const SCREEN_FORMATS = ['jpeg', 'webp'] as const;
+export type ScreenFormat = (typeof SCREEN_FORMATS)[number];
+
+export interface ImageSize {
+  width: number;
+  height: number;
+}
+
+/** Decoded pixels of one (possibly downscaled) capture. */
+export interface RawFrame extends ImageSize {
+  data: Buffer;
+  channels: number;
+  sourceWidth: number;
+  sourceHeight: number;
+}
+
+export interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Decodes screenshots and encodes regions of them; backed by sharp when it is installed. */
+export interface FrameCodec {
+  decode(image: Buffer, maxWidth: number): Promise<RawFrame>;
+  encode(frame: RawFrame, rect: Rect, format: ScreenFormat, quality: number): Promise<Buffer>;
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+export function imageMimeType(image: Buffer) {
+  return image.subarray(0, 8).equals(PNG_SIGNATURE) ? 'image/png' : 'image/jpeg';
+}
+
+/** Reads the pixel size from a PNG IHDR chunk or a JPEG start-of-frame marker. */
+export function imageSize(image: Buffer): ImageSize | null {
+  if (image.length >= 24 && image.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return { width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+  }
+
+  if (image.length < 4 || image[0] !== 0xff || image[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 9 <= image.length) {
+    if (image[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = image[offset + 1];
+    // SOF0-SOF15 carry the size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but do not.
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: image.readUInt16BE(offset + 7), height: image.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + image.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+/**
+ * Compares two frames tile by tile and returns the regions that changed, with
+ * neighbouring dirty tiles on a row merged so each becomes one encoded image.
+ * Returns null when the frames cannot be compared (the size changed).
+ */
+export function diffTiles(previous: RawFrame, next: RawFrame, tileSize: number): Rect[] | null {
+  if (previous.width !== next.width || previous.height !== next.height || previous.channels !== next.channels) {
+    return null;
+  }
+
+  const rowBytes = next.width * next.channels;
+  const rects: Rect[] = [];
+
+  for (let y = 0; y < next.height; y += tileSize) {
+    const height = Math.min(tileSize, next.height - y);
+    let run: Rect | null = null;
+
+    for (let x = 0; x < next.width; x += tileSize) {
+      const width = Math.min(tileSize, next.width - x);
+      let dirty = false;
+      for (let row = y; row < y + height && !dirty; row += 1) {
+        const start = row * rowBytes + x * next.channels;
+        const end = start + width * next.channels;
+        dirty = previous.data.compare(next.data, start, end, start, end) !== 0;
+      }
+
+      if (dirty && run) {
+        run.width += width;
+      } else if (dirty) {
+        run = { x, y, width, height };
+        rects.push(run);
+      } else {
+        run = null;
+      }
+    }
+  }
+
+  return rects;
+}
+
+interface SharpInstance {
+  resize(options: { width: number; withoutEnlargement: boolean }): SharpInstance;
+  extract(region: { left: number; top: number; width: number; height: number }): SharpInstance;
+  raw(): SharpInstance;
+  jpeg(options: { quality: number }): SharpInstance;
+  webp(options: { quality: number }): SharpInstance;
+  metadata(): Promise<{ width?: number; height?: number }>;
+  toBuffer(options: { resolveWithObject: true }): Promise<{ data: Buffer; info: { width: number; height: number; channels: number } }>;
+  toBuffer(): Promise<Buffer>;
+}
+
+type SharpModule = (
+  input: Buffer,
+  options?: { raw: { width: number; height: number; channels: number } },
+) => SharpInstance;
+
+/** sharp is an optional dependency, so a missing install only disables scaling and deltas. */
+export async function loadSharpCodec(): Promise<FrameCodec | null> {
+  let sharp: SharpModule;
+  try {
+    // Kept in a variable so TypeScript does not need sharp's types to build.
+    const specifier = 'sharp';
+    sharp = ((await import(specifier)) as { default: SharpModule }).default;
+  } catch {
+    return null;
+  }
+
+  return {
+    async decode(image, maxWidth) {
+      const source = imageSize(image) || (await sharp(image).metadata());
+      const { data, info } = await sharp(image)
+        .resize({ width: maxWidth, withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      return {
+        data,
+        width: info.width,
+        height: info.height,
+        channels: info.channels,
+        sourceWidth: source.width || info.width,
+        sourceHeight: source.height || info.height,
+      };
+    },
+    encode(frame, rect, format, quality) {
+      const region = sharp(frame.data, {
+        raw: { width: frame.width, height: frame.height, channels: frame.channels },
+      }).extract({ left: rect.x, top: rect.y, width: rect.width, height: rect.height });
+
+      return (format === 'webp' ? region.webp({ quality }) : region.jpeg({ quality })).toBuffer();
+    },
+  };
+}
+
+export interface ScreenStreamOptions {
+  capture(): Promise<Buffer>;
+  codec: FrameCodec | null;
+  send(frame: terminal.IScreenFrame): void;
+  log(message: string): void;
+  /** Bytes still waiting on the socket; frames are skipped while the link is behind. */
+  bufferedBytes?(): number;
+  fps: number;
+  maxWidth: number;
+  quality: number;
+  format: ScreenFormat;
+  /** Frames must stay under the relay's WebSocket payload limit. */
+  maxFrameBytes?: number;
+  tileSize?: number;
+}
+
+const DEFAULT_MAX_FRAME_BYTES = 900 * 1024;
+const DEFAULT_TILE_SIZE = 64;
+const MIN_QUALITY = 10;
+// Past this share of dirty pixels a single keyframe is smaller than the tiles.
+const KEYFRAME_DIRTY_RATIO = 0.5;
+
+/**
+ * Captures the screen at a target frame rate while sharing is enabled and at
+ * least one client watches. The first frame for a viewer is a keyframe; after
+ * that only changed tiles are sent. Without a codec screenshots pass through
+ * unchanged, one keyframe each.
+ */
+export class ScreenStreamer {
+  private enabled = false;
+  private viewers = 0;
+  private timer: NodeJS.Timeout | null = null;
+  private capturing = false;
+  private previous: RawFrame | null = null;
+  private needKeyframe = true;
+  private seq = 0;
+  private readonly warned = new Set<string>();
+
+  constructor(private readonly options: ScreenStreamOptions) {}
+
+  get active() {
+    return this.enabled && this.viewers > 0;
+  }
+
+  setEnabled(enabled: boolean) {
+    this.enabled = enabled;
+    this.needKeyframe = true;
+    this.schedule(0);
+  }
+
+  /** A new viewer has nothing to apply deltas to, so it asks for a keyframe. */
+  setViewers(count: number, keyframe = false) {
+    this.viewers = count;
+    if (keyframe) {
+      this.needKeyframe = true;
+    }
+    this.schedule(0);
+  }
+
+  stop() {
+    this.enabled = false;
+    this.schedule(0);
+  }
+
+  private schedule(delay: number) {
+    if (!this.active) {
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      this.previous = null;
+      return;
+    }
+
+    if (!this.timer && !this.capturing) {
+      this.timer = setTimeout(() => void this.tick(), delay);
+    }
+  }
+
+  private async tick() {
+    this.timer = null;
+    this.capturing = true;
+    const started = Date.now();
+
+    try {
+      if ((this.options.bufferedBytes?.() || 0) < this.maxFrameBytes) {
+        await this.captureFrame();
+      }
+    } catch (error) {
+      this.warnOnce('capture', `Screen capture failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      this.capturing = false;
+    }
+
+    const interval = 1000 / Math.max(this.options.fps, 0.1);
+    this.schedule(Math.max(0, interval - (Date.now() - started)));
+  }
+
+  private get maxFrameBytes() {
+    return this.options.maxFrameBytes || DEFAULT_MAX_FRAME_BYTES;
+  }
+
+  private async captureFrame() {
+    const image = await this.options.capture();
+    if (!this.active) {
+      return;
+    }
+
+    const { codec } = this.options;
+    if (!codec) {
+      this.sendPassthrough(image);
+      return;
+    }
+
+    const frame = await codec.decode(image, this.options.maxWidth);
+    const previous = this.needKeyframe ? null : this.previous;
+    const rects = previous ? diffTiles(previous, frame, this.options.tileSize || DEFAULT_TILE_SIZE) : null;
+    if (rects && rects.length === 0) {
+      return;
+    }
+
+    const dirty = rects ? rects.reduce((area, rect) => area + rect.width * rect.height, 0) : Infinity;
+    const sent =
+      rects && dirty <= frame.width * frame.height * KEYFRAME_DIRTY_RATIO
+        ? await this.sendDelta(codec, frame, rects)
+        : await this.sendKeyframe(codec, frame);
+
+    if (sent) {
+      this.previous = frame;
+      this.needKeyframe = false;
+    }
+  }
+
+  private sendPassthrough(image: Buffer) {
+    if (image.length > this.maxFrameBytes) {
+      this.warnOnce('size', 'Screen frames are too large to send; install sharp so the host can downscale them.');
+      return;
+    }
+
+    const size = imageSize(image) || { width: 0, height: 0 };
+    this.options.send({
+      data: image,
+      width: size.width,
+      height: size.height,
+      sourceWidth: size.width,
+      sourceHeight: size.height,
+      format: imageMimeType(image),
+      keyframe: true,
+      seq: ++this.seq,
+    });
+  }
+
+  private async sendDelta(codec: FrameCodec, frame: RawFrame, rects: Rect[]) {
+    const tiles: terminal.IScreenTile[] = [];
+    let bytes = 0;
+    for (const rect of rects) {
+      const data = await codec.encode(frame, rect, this.options.format, this.options.quality);
+      bytes += data.length;
+      tiles.push({ ...rect, data });
+    }
+
+    if (bytes > this.maxFrameBytes) {
+      return this.sendKeyframe(codec, frame);
+    }
+
+    this.options.send({ ...this.header(frame), keyframe: false, tiles });
+    return true;
+  }
+
+  // Steps the quality down until the frame fits, and drops it if even the lowest does not.
+  private async sendKeyframe(codec: FrameCodec, frame: RawFrame) {
+    const rect = { x: 0, y: 0, width: frame.width, height: frame.height };
+    for (let quality = this.options.quality; ; quality = Math.max(MIN_QUALITY, quality - 20)) {
+      const data = await codec.encode(frame, rect, this.options.format, quality);
+      if (data.length <= this.maxFrameBytes) {
+        this.options.send({ ...this.header(frame), keyframe: true, data });
+        return true;
+      }
+      if (quality === MIN_QUALITY) {
+        this.warnOnce('size', 'Screen frames are too large to send; lower --screenMaxWidth.');
+        return false;
+      }
+    }
+  }
+
+  private header(frame: RawFrame): terminal.IScreenFrame {
+    return {
+      width: frame.width,
+      height: frame.height,
+      sourceWidth: frame.sourceWidth,
+      sourceHeight: frame.sourceHeight,
+      format: `image/${this.options.format}`,
+      seq: ++this.seq,
+    };
+  }
+
+  private warnOnce(key: string, message: string) {
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      this.options.log(message);
+    }
+  }
+}
@@ -0,0 +1,432 @@
+import { terminal } from 'terminal-tool-protocol';
+import { OutputBuffer } from './output-buffer.js';
+
+export interface PtyProcess {
+  onData(callback: (data: string) => void): void;
+  onExit(callback: (event: { exitCode: number }) => void): void;
+  write(data: string): void;
+  resize(cols: number, rows: number): void;
+  kill(): void;
+}
+
+export interface PtyModule {
+  spawn(
+    file: string,
+    args: string[],
+    options: {
+      name: string;
+      cols: number;
+      rows: number;
+      cwd: string;
+      env: NodeJS.ProcessEnv;
+    },
+  ): PtyProcess;
+}
+
+export interface SessionManagerOptions {
+  spawn: (cols: number, rows: number) => PtyProcess;
+  send: (message: terminal.IHostMessage) => void;
+  log: (message: string) => void;
+  scrollbackBytes: number;
+  detachGraceMs: number;
+}
+
+const MAX_SESSION_ID_LENGTH = 64;
+
+interface TerminalSession {
+  id: string;
+  proc: PtyProcess;
+  buffer: OutputBuffer;
+  /** Channel keys (see `channelKey`) currently showing this session. */
+  channels: Set<string>;
+  /** Last viewport each channel reported; the PTY uses the smallest. */
+  viewports: Map<string, { cols: number; rows: number }>;
+  cols: number;
+  rows: number;
+  persistent: boolean;
+  /** See `ownerOf`; only the owner, or a client attached to it, may kill the session. */
+  owner: string;
+  createdAt: Date;
+  idleTimer?: NodeJS.Timeout;
+}
+
+interface Attachment {
+  sessionId: string;
+  persistent: boolean;
+}
+
+export interface AttachOptions {
+  channelId?: string;
+  persistent?: boolean;
+  lastSeq?: number;
+  /** The relay account behind the client, which owns the sessions it starts. */
+  username?: string;
+}
+
+// Relay client ids are UUIDs, so the first '/' always separates them from the channel id.
+function channelKey(clientId: string, channelId = '') {
+  return `${clientId}/${channelId}`;
+}
+
+function parseChannelKey(key: string) {
+  const separator = key.indexOf('/');
+  return { clientId: key.slice(0, separator), channelId: key.slice(separator + 1) };
+}
+
+/**
+ * Owns the host's PTYs. Each client channel (one terminal tab) attaches to a
+ * session id rather than owning a PTY, so a reconnecting client can pick its
+ * shell back up and see the scrollback it missed, and several channels can
+ * share one shell. Live output is sent once per session and fanned out by the
+ * relay; only replays are addressed to a single channel. Persistent (named)
+ * sessions keep running with no channels attached; the others are reaped
+ * after the detach grace period.
+ */
+export class SessionManager {
+  private readonly sessions = new Map<string, TerminalSession>();
+  // A null entry marks a channel that explicitly detached and has no session until it attaches again.
+  private readonly attachments = new Map<string, Attachment | null>();
+  private readonly usernames = new Map<string, string>();
+
+  constructor(private readonly options: SessionManagerOptions) {}
+
+  /**
+   * Binds a client channel to a session. A channel that already saw output up
+   * to `lastSeq` gets only the chunks it missed; anyone else gets the whole
+   * scrollback as a replay.
+   */
+  attach(
+    clientId: string,
+    sessionId: string,
+    { channelId = '', persistent = false, lastSeq = 0, username }: AttachOptions = {},
+  ) {
+    if (username) {
+      this.usernames.set(clientId, username);
+    }
+    const key = channelKey(clientId, channelId);
+    this.unbind(key);
+    this.attachments.set(key, { sessionId, persistent });
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    clearTimeout(session.idleTimer);
+    session.channels.add(key);
+    session.persistent ||= persistent;
+
+    const seq = session.buffer.seq;
+    const missed = lastSeq > 0 ? session.buffer.since(lastSeq) : null;
+    if (missed !== null) {
+      if (missed) {
+        this.options.send({ ptyOutput: { data: missed, clientId, channelId, seq } });
+      }
+      return;
+    }
+
+    const scrollback = session.buffer.contents();
+    if (scrollback) {
+      this.options.send({ ptyOutput: { data: scrollback, clientId, channelId, replay: true, seq } });
+    }
+  }
+
+  /** Leaves the channel open but bound to no session; its input is ignored until it attaches again. */
+  detach(clientId: string, channelId = '') {
+    const key = channelKey(clientId, channelId);
+    this.unbind(key);
+    this.attachments.set(key, null);
+  }
+
+  /** Drops a channel (a closed tab). A temporary session nobody else watches ends with it. */
+  close(clientId: string, channelId = '') {
+    const key = channelKey(clientId, channelId);
+    const session = this.sessionFor(key);
+    this.unbind(key);
+    this.attachments.delete(key);
+
+    if (session && !session.persistent && session.channels.size === 0) {
+      this.kill(session.id);
+    }
+  }
+
+  /** Forgets every channel of a client whose connection is gone. */
+  release(clientId: string) {
+    for (const key of [...this.attachments.keys()]) {
+      if (parseChannelKey(key).clientId === clientId) {
+        this.unbind(key);
+        this.attachments.delete(key);
+      }
+    }
+    this.usernames.delete(clientId);
+  }
+
+  /**
+   * Drops every client binding when the relay connection was lost and will be
+   * rebuilt. The shells keep running without a reap timer for as long as the
+   * relay is away; `reapDetached` starts the grace period once it is back.
+   */
+  releaseAll() {
+    for (const key of [...this.attachments.keys()]) {
+      this.unbind(key, false);
+      this.attachments.delete(key);
+    }
+    for (const session of this.sessions.values()) {
+      clearTimeout(session.idleTimer);
+    }
+    this.usernames.clear();
+  }
+
+  /** Gives temporary sessions no client came back to the detach grace period to be re-attached. */
+  reapDetached() {
+    for (const session of this.sessions.values()) {
+      this.scheduleReap(session);
+    }
+  }
+
+  attachedSession(clientId: string, channelId = '') {
+    return this.attachments.get(channelKey(clientId, channelId))?.sessionId;
+  }
+
+  /**
+   * The sessions a client may see: named sessions, which exist to be found and
+   * joined, and the temporary ones it owns or is attached to.
+   */
+  list(clientId: string): terminal.ISessionInfo[] {
+    const visible = [...this.sessions.values()].filter(
+      (session) => session.persistent || this.mayKill(clientId, session),
+    );
+    return visible.map((session) => ({
+      sessionId: session.id,
+      persistent: session.persistent,
+      clients: session.channels.size,
+      cols: session.cols,
+      rows: session.rows,
+      createdAt: session.createdAt.toISOString(),
+    }));
+  }
+
+  /** Applies a client's SessionControl request and builds the SessionList reply. */
+  control(clientId: string, request: terminal.ISessionControl): terminal.ISessionList {
+    const sessionId = request.sessionId || '';
+    const channelId = request.channelId || '';
+    let error = '';
+
+    switch (request.action) {
+      case terminal.SessionControl.Action.ATTACH: {
+        if (!sessionId || sessionId.length > MAX_SESSION_ID_LENGTH) {
+          error = `Session names must be 1-${MAX_SESSION_ID_LENGTH} characters`;
+        } else {
+          this.attach(clientId, sessionId, { channelId, persistent: Boolean(request.persistent) });
+        }
+        break;
+      }
+      case terminal.SessionControl.Action.DETACH: {
+        this.detach(clientId, channelId);
+        break;
+      }
+      case terminal.SessionControl.Action.KILL: {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+          error = `No session named ${sessionId}`;
+        } else if (!this.mayKill(clientId, session)) {
+          error = `Session ${sessionId} belongs to someone else; only its owner or a client attached to it can kill it`;
+        } else {
+          this.kill(sessionId);
+        }
+        break;
+      }
+      case terminal.SessionControl.Action.CLOSE: {
+        this.close(clientId, channelId);
+        break;
+      }
+      default:
+        break;
+    }
+
+    return {
+      clientId,
+      channelId,
+      sessions: this.list(clientId),
+      attachedSessionId: this.attachedSession(clientId, channelId) || '',
+      error,
+    };
+  }
+
+  input(clientId: string, data: string, channelId = '') {
+    this.ensureSession(clientId, channelId)?.proc.write(data);
+  }
+
+  resize(clientId: string, cols: number, rows: number, channelId = '') {
+    const session = this.ensureSession(clientId, channelId, cols, rows);
+    if (!session) {
+      return;
+    }
+
+    session.viewports.set(channelKey(clientId, channelId), { cols, rows });
+    this.fit(session);
+  }
+
+  kill(sessionId: string) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    clearTimeout(session.idleTimer);
+    this.sessions.delete(sessionId);
+    for (const key of session.channels) {
+      this.attachments.set(key, null);
+    }
+    session.proc.kill();
+    return true;
+  }
+
+  /** Respawns every PTY, e.g. after the privilege level changed. */
+  restartAll() {
+    for (const session of [...this.sessions.values()]) {
+      const previous = session.proc;
+      session.proc = this.spawnProcess(session.id, session.cols, session.rows);
+      session.buffer.clear();
+      this.watch(session);
+      previous.kill();
+    }
+  }
+
+  // Client ids change on every reconnect, so sessions belong to the relay account where there is one.
+  private ownerOf(clientId: string) {
+    const username = this.usernames.get(clientId);
+    return username ? `user:${username}` : `client:${clientId}`;
+  }
+
+  // The relay only lets a session's drivers send KILL, so being attached here means driving it.
+  private mayKill(clientId: string, session: TerminalSession) {
+    return (
+      session.owner === this.ownerOf(clientId) ||
+      [...session.channels].some((key) => parseChannelKey(key).clientId === clientId)
+    );
+  }
+
+  private sessionFor(key: string) {
+    const sessionId = this.attachments.get(key)?.sessionId;
+    return sessionId ? this.sessions.get(sessionId) : undefined;
+  }
+
+  private unbind(key: string, reap = true) {
+    const session = this.sessionFor(key);
+    if (!session) {
+      return;
+    }
+
+    session.channels.delete(key);
+    session.viewports.delete(key);
+    this.fit(session);
+    if (reap) {
+      this.scheduleReap(session);
+    }
+  }
+
+  private scheduleReap(session: TerminalSession) {
+    if (session.channels.size === 0 && !session.persistent) {
+      clearTimeout(session.idleTimer);
+      session.idleTimer = setTimeout(() => this.kill(session.id), this.options.detachGraceMs);
+    }
+  }
+
+  private ensureSession(clientId: string, channelId: string, cols = 80, rows = 24) {
+    const key = channelKey(clientId, channelId);
+    let attachment = this.attachments.get(key);
+    if (attachment === null) {
+      return undefined;
+    }
+    if (!attachment) {
+      // Relays that predate attach notifications only send the client id; extra
+      // channels that were never attached get a temporary session of their own.
+      attachment = { sessionId: channelId ? key : clientId, persistent: false };
+      this.attachments.set(key, attachment);
+    }
+
+    const existing = this.sessions.get(attachment.sessionId);
+    if (existing) {
+      existing.channels.add(key);
+      return existing;
+    }
+
+    const session: TerminalSession = {
+      id: attachment.sessionId,
+      proc: this.spawnProcess(attachment.sessionId, cols, rows),
+      buffer: new OutputBuffer(this.options.scrollbackBytes),
+      channels: new Set([key]),
+      viewports: new Map(),
+      cols,
+      rows,
+      persistent: attachment.persistent,
+      owner: this.ownerOf(clientId),
+      createdAt: new Date(),
+    };
+    this.watch(session);
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  // Shared sessions size the PTY to the smallest attached viewport so nobody's view wraps.
+  private fit(session: TerminalSession) {
+    const viewports = [...session.viewports.values()];
+    if (viewports.length === 0) {
+      return;
+    }
+
+    const cols = Math.min(...viewports.map((viewport) => viewport.cols));
+    const rows = Math.min(...viewports.map((viewport) => viewport.rows));
+    if (cols === session.cols && rows === session.rows) {
+      return;
+    }
+
+    session.cols = cols;
+    session.rows = rows;
+    session.proc.resize(cols, rows);
+  }
+
+  private spawnProcess(sessionId: string, cols: number, rows: number) {
+    this.options.log(`Spawning PTY for session ${sessionId}`);
+    return this.options.spawn(cols, rows);
+  }
+
+  private watch(session: TerminalSession) {
+    const proc = session.proc;
+
+    proc.onData((data: string) => {
+      if (session.proc !== proc) {
+        return;
+      }
+
+      const seq = session.buffer.append(data);
+      if (session.channels.size > 0) {
+        this.options.send({ ptyOutput: { data, sessionId: session.id, seq } });
+      }
+    });
+
+    proc.onExit(({ exitCode }: { exitCode: number }) => {
+      // A restarted session replaces its process; only the current one ends it.
+      if (session.proc !== proc) {
+        return;
+      }
+
+      this.options.log(`PTY for session ${session.id} exited with code ${exitCode}`);
+      clearTimeout(session.idleTimer);
+      const killed = this.sessions.get(session.id) !== session;
+      if (!killed) {
+        this.sessions.delete(session.id);
+      }
+      this.options.send({ ptyExit: { code: exitCode, sessionId: session.id } });
+
+      // `kill` already unbound the channels; tell their clients (and the relay's fan-out) so.
+      if (killed) {
+        for (const key of session.channels) {
+          const channel = parseChannelKey(key);
+          this.options.send({ sessionList: { ...channel, sessions: this.list(channel.clientId), attachedSessionId: '' } });
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,69 @@
+export type TabAction =
+  | { type: 'new' }
+  | { type: 'next' }
+  | { type: 'previous' }
+  | { type: 'close' }
+  | { type: 'select'; index: number }
+  | { type: 'request-control' }
+  | { type: 'hand-over' };
+
+/** Ctrl-] starts a tab command, like tmux's prefix key. */
+export const TAB_PREFIX = '\x1d';
+
+export const TAB_KEY_HELP =
+  'Ctrl-] then: c new tab, n next, p previous, 1-9 jump to tab, x close tab, ' +
+  'r request control, g hand over control, Ctrl-] send a literal Ctrl-]';
+
+/**
+ * Splits raw terminal input into keystrokes for the remote shell and local
+ * commands (tabs and shared-session control). The prefix may arrive at the end of one chunk and its command key
+ * at the start of the next, so the armed state carries across calls.
+ */
+export class TabKeys {
+  private armed = false;
+
+  feed(data: string) {
+    const actions: TabAction[] = [];
+    let input = '';
+
+    for (const char of data) {
+      if (!this.armed) {
+        if (char === TAB_PREFIX) {
+          this.armed = true;
+        } else {
+          input += char;
+        }
+        continue;
+      }
+
+      this.armed = false;
+      const action = this.parse(char);
+      if (action) {
+        actions.push(action);
+      } else if (char === TAB_PREFIX) {
+        input += TAB_PREFIX;
+      }
+    }
+
+    return { input, actions };
+  }
+
+  private parse(char: string): TabAction | null {
+    switch (char) {
+      case 'c':
+        return { type: 'new' };
+      case 'n':
+        return { type: 'next' };
+      case 'p':
+        return { type: 'previous' };
+      case 'x':
+        return { type: 'close' };
+      case 'r':
+        return { type: 'request-control' };
+      case 'g':
+        return { type: 'hand-over' };
+      default:
+        return /^[1-9]$/.test(char) ? { type: 'select', index: Number(char) - 1 } : null;
+    }
+  }
+}
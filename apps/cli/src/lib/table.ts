@@ -0,0 +1,19 @@
+export interface TableColumn<T> {
+  header: string;
+  get(row: T): string;
+}
+
+/** Lays rows out as space-padded columns under a header and a rule, one line each. */
+export function renderTable<T>(rows: T[], columns: TableColumn<T>[]) {
+  const cells = rows.map((row) => columns.map((column) => column.get(row)));
+  const widths = columns.map((column, index) =>
+    Math.max(column.header.length, ...cells.map((line) => line[index].length)),
+  );
+  const format = (line: string[]) => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    format(columns.map((column) => column.header)),
+    format(widths.map((width) => '-'.repeat(width))),
+    ...cells.map(format),
+  ].join('\n');
+}
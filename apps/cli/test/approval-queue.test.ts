@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { ApprovalQueue, ApprovalDecision } from '../src/lib/approval-queue.js';
+
+function deferredAsk() {
+  const pending: { question: string; answer: (value: string) => void }[] = [];
+  const ask = (question: string, signal: AbortSignal) =>
+    new Promise<string>((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+      pending.push({ question, answer: resolve });
+    });
+  return { ask, pending };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('ApprovalQueue', () => {
+  it('asks about one request at a time', async () => {
+    const { ask, pending } = deferredAsk();
+    const decisions: ApprovalDecision[] = [];
+    const queue = new ApprovalQueue(ask, (decision) => decisions.push(decision));
+
+    queue.handle({ clientId: 'a', username: 'alice', sourceIp: '10.0.0.1' });
+    queue.handle({ clientId: 'b' });
+    await flush();
+    expect(pending).toHaveLength(1);
+    expect(pending[0].question).toContain('user alice from 10.0.0.1');
+
+    pending[0].answer('y');
+    await flush();
+    expect(decisions).toEqual([{ clientId: 'a', approved: true, reason: '' }]);
+    expect(pending).toHaveLength(2);
+
+    pending[1].answer('');
+    await flush();
+    expect(decisions[1]).toMatchObject({ clientId: 'b', approved: false });
+  });
+
+  it('drops requests the relay cancels', async () => {
+    const { ask, pending } = deferredAsk();
+    const decisions: ApprovalDecision[] = [];
+    const queue = new ApprovalQueue(ask, (decision) => decisions.push(decision));
+
+    queue.handle({ clientId: 'a' });
+    queue.handle({ clientId: 'b' });
+    queue.handle({ clientId: 'b', cancelled: true });
+    queue.handle({ clientId: 'a', cancelled: true });
+    await flush();
+
+    expect(decisions).toEqual([]);
+    expect(pending).toHaveLength(1);
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { Backoff } from '../src/lib/backoff.js';
+
+describe('Backoff', () => {
+  it('doubles the delay up to the cap and starts over after reset', () => {
+    const backoff = new Backoff({ initialDelayMs: 1000, maxDelayMs: 5000, jitter: 0 });
+    expect([backoff.next(), backoff.next(), backoff.next(), backoff.next()]).toEqual([1000, 2000, 4000, 5000]);
+
+    backoff.reset();
+    expect(backoff.next()).toBe(1000);
+  });
+
+  it('only ever shortens delays with jitter', () => {
+    const backoff = new Backoff({ initialDelayMs: 1000, maxDelayMs: 5000, jitter: 0.5, random: () => 1 });
+    expect(backoff.next()).toBe(500);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import os from 'node:os';
+import { terminal } from 'terminal-tool-protocol';
+import { ExecHost } from '../src/lib/exec-runner.js';
+
+const { Stream } = terminal.ExecOutput;
+
+// Runs commands on a host whose output is acknowledged as soon as it is sent, as a fast client would.
+function runner(enabled = true) {
+  const output = { stdout: '', stderr: '' };
+  let onExit: (result: terminal.IExecExit) => void = () => {};
+  const exited = new Promise<terminal.IExecExit>((resolve) => {
+    onExit = resolve;
+  });
+  const host: ExecHost = new ExecHost({
+    cwd: os.tmpdir(),
+    shell: '/bin/sh',
+    enabled,
+    log: () => {},
+    send: (message) => {
+      const { execOutput, execExit } = message;
+      if (execOutput?.data) {
+        output[execOutput.stream === Stream.STDERR ? 'stderr' : 'stdout'] += Buffer.from(execOutput.data).toString();
+        host.input('c', { execId: execOutput.execId, ack: execOutput.data.length });
+      }
+      if (execExit) {
+        onExit(execExit);
+      }
+    },
+  });
+  return { host, output, exited };
+}
+
+describe.skipIf(os.platform() === 'win32')('ExecHost', () => {
+  it('keeps stdout and stderr apart, feeds stdin and reports the exit code', async () => {
+    const { host, output, exited } = runner();
+
+    host.start('c', { execId: 'e1', command: 'cat; echo oops >&2; exit 3', shell: true });
+    host.input('c', { execId: 'e1', data: Buffer.from('hello\n'), eof: true });
+
+    expect(await exited).toMatchObject({ execId: 'e1', clientId: 'c', code: 3, timedOut: false });
+    expect(output).toEqual({ stdout: 'hello\n', stderr: 'oops\n' });
+  });
+
+  it('reports missing commands and kills commands that run past their timeout', async () => {
+    const missing = runner();
+    missing.host.start('c', { execId: 'e1', command: 'no-such-command-here' });
+    expect(await missing.exited).toMatchObject({ code: -1, error: 'no-such-command-here: command not found' });
+
+    const slow = runner();
+    slow.host.start('c', { execId: 'e2', command: 'sleep', args: ['30'], timeoutSeconds: 1 });
+    expect(await slow.exited).toMatchObject({ code: -1, signal: 'SIGTERM', timedOut: true });
+  });
+
+  it('refuses every command when exec is turned off', async () => {
+    const { host, output, exited } = runner(false);
+    host.start('c', { execId: 'e1', command: 'echo', args: ['ran'] });
+
+    expect(await exited).toMatchObject({ execId: 'e1', code: -1, error: 'Running commands is disabled on this host' });
+    expect(output.stdout).toBe('');
+  });
+});
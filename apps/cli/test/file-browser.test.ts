@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { terminal } from 'terminal-tool-protocol';
+import { FileBrowserHost } from '../src/lib/file-browser.js';
+
+const { Action } = terminal.FileSystemRequest;
+const { Kind } = terminal.FileEntry;
+
+let root: string;
+let outside: string;
+let sent: terminal.IFileSystemResponse[];
+let browser: FileBrowserHost;
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-'));
+  outside = await fs.mkdtemp(path.join(os.tmpdir(), 'outside-'));
+  sent = [];
+  browser = new FileBrowserHost({ root, enabled: true, send: (message) => sent.push(message), log: () => {} });
+});
+
+afterEach(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+  await fs.rm(outside, { recursive: true, force: true });
+});
+
+async function call(request: terminal.IFileSystemRequest) {
+  await browser.handle('a', { requestId: 'r', ...request });
+  return sent.at(-1)!;
+}
+
+describe('FileBrowserHost', () => {
+  it('lists directories first and previews text files', async () => {
+    await fs.mkdir(path.join(root, 'logs'));
+    await fs.writeFile(path.join(root, 'logs/app.log'), 'started\n');
+    await fs.writeFile(path.join(root, 'a.bin'), Buffer.from([1, 0, 2]));
+
+    const listing = await call({ action: Action.LIST, path: '' });
+    expect(listing).toMatchObject({ ok: true, clientId: 'a', requestId: 'r', path: '' });
+    expect(listing.entries?.map((entry) => [entry.name, entry.kind])).toEqual([
+      ['logs', Kind.DIRECTORY],
+      ['a.bin', Kind.FILE],
+    ]);
+
+    const text = await call({ action: Action.READ, path: 'logs/../logs/app.log' });
+    expect(text).toMatchObject({ ok: true, path: 'logs/app.log', binary: false, truncated: false });
+    expect(Buffer.from(text.content!).toString()).toBe('started\n');
+    expect(await call({ action: Action.READ, path: 'a.bin' })).toMatchObject({ binary: true });
+    expect(await call({ action: Action.LIST, path: '..' })).toMatchObject({ ok: false, path: '..' });
+  });
+
+  it('renames and deletes entries without following symlinks or touching the root', async () => {
+    await fs.writeFile(path.join(outside, 'keep.txt'), 'keep');
+    await fs.symlink(path.join(outside, 'keep.txt'), path.join(root, 'link'));
+    await fs.writeFile(path.join(root, 'old.txt'), 'x');
+
+    expect(await call({ action: Action.RENAME, path: 'old.txt', newPath: 'new.txt' })).toMatchObject({ ok: true });
+    expect(await call({ action: Action.RENAME, path: 'new.txt', newPath: 'link' })).toMatchObject({
+      ok: false,
+      error: 'link already exists',
+    });
+    expect(await call({ action: Action.RENAME, path: 'new.txt', newPath: '../new.txt' })).toMatchObject({ ok: false });
+
+    expect(await call({ action: Action.DELETE, path: 'link' })).toMatchObject({ ok: true });
+    expect(await fs.readFile(path.join(outside, 'keep.txt'), 'utf8')).toBe('keep');
+    expect(await call({ action: Action.DELETE, path: '' })).toMatchObject({ ok: false });
+    expect(await call({ action: Action.DELETE, path: 'missing.txt' })).toMatchObject({
+      ok: false,
+      error: 'missing.txt does not exist',
+    });
+    expect(await fs.readdir(root)).toEqual(['new.txt']);
+  });
+
+  it("only works in the relay's root when it lies inside the host's own", async () => {
+    await fs.mkdir(path.join(root, 'project'));
+    await fs.writeFile(path.join(root, 'project/notes.txt'), 'inside\n');
+    await fs.writeFile(path.join(outside, 'secret.txt'), 'outside\n');
+
+    expect(await call({ action: Action.LIST, path: '', root: path.join(root, 'project') })).toMatchObject({ ok: true });
+    expect((await call({ action: Action.LIST, path: '', root: 'project' })).entries?.map((entry) => entry.name)).toEqual([
+      'notes.txt',
+    ]);
+    for (const relayRoot of ['/', outside, '..']) {
+      expect(await call({ action: Action.READ, path: 'secret.txt', root: relayRoot })).toMatchObject({
+        ok: false,
+        error: `The host's preferred directory ${relayRoot} is not inside the directory it shares`,
+      });
+    }
+  });
+});
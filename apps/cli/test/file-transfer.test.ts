@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { terminal } from 'terminal-tool-protocol';
+import {
+  CHUNK_SIZE,
+  FileTransferHost,
+  parseRemotePath,
+  resolveInsideRoot,
+  resolveMessageRoot,
+} from '../src/lib/file-transfer.js';
+
+const { Action } = terminal.FileTransfer;
+
+let root: string;
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'transfer-'));
+});
+
+afterEach(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+function sha256(data: Buffer) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+describe('resolveInsideRoot', () => {
+  it('keeps paths inside the root, even through symlinks', async () => {
+    await fs.mkdir(path.join(root, 'logs'));
+    await fs.symlink(os.tmpdir(), path.join(root, 'escape'));
+    const realRoot = await fs.realpath(root);
+
+    expect(await resolveInsideRoot(root, 'logs/new/app.log')).toBe(path.join(realRoot, 'logs/new/app.log'));
+    await expect(resolveInsideRoot(root, '../secret')).rejects.toThrow('outside the shared directory');
+    await expect(resolveInsideRoot(root, '/etc/passwd')).rejects.toThrow('outside the shared directory');
+    await expect(resolveInsideRoot(root, 'escape/file')).rejects.toThrow('outside the shared directory');
+  });
+});
+
+describe('resolveMessageRoot', () => {
+  it("narrows the host's root to the relay's but refuses one outside it", async () => {
+    await fs.mkdir(path.join(root, 'project'));
+    const realRoot = await fs.realpath(root);
+
+    expect(await resolveMessageRoot(root, '')).toBe(realRoot);
+    expect(await resolveMessageRoot(root, 'project')).toBe(path.join(realRoot, 'project'));
+    await expect(resolveMessageRoot(root, '/')).rejects.toThrow('is not inside the directory it shares');
+    await expect(resolveMessageRoot(root, os.tmpdir())).rejects.toThrow('is not inside the directory it shares');
+  });
+
+  it('refuses downloads when the relay names a root outside the host root', async () => {
+    const sent: terminal.IFileTransfer[] = [];
+    const host = new FileTransferHost({ root, enabled: true, send: (message) => sent.push(message), log: () => {} });
+    await host.handle('a', { action: Action.DOWNLOAD_START, transferId: '1', path: 'etc/passwd', root: '/' });
+
+    expect(sent.at(-1)).toMatchObject({ action: Action.ERROR, error: "The host's preferred directory / is not inside the directory it shares" });
+  });
+});
+
+describe('FileTransferHost', () => {
+  it('resumes an interrupted upload and verifies it before moving it into place', async () => {
+    const sent: terminal.IFileTransfer[] = [];
+    const host = new FileTransferHost({ root, enabled: true, send: (message) => sent.push(message), log: () => {} });
+    const content = Buffer.alloc(CHUNK_SIZE + 10, 7);
+    const start = { action: Action.UPLOAD_START, path: 'upload.bin', size: content.length, sha256: sha256(content) };
+
+    await host.handle('a', { ...start, transferId: '1' });
+    await host.handle('a', { action: Action.DATA, transferId: '1', offset: 0, data: content.subarray(0, CHUNK_SIZE) });
+    await host.release('a');
+
+    await host.handle('b', { ...start, transferId: '2' });
+    expect(sent.at(-1)).toMatchObject({ action: Action.READY, offset: CHUNK_SIZE, clientId: 'b' });
+    await host.handle('b', { action: Action.DATA, transferId: '2', offset: CHUNK_SIZE, data: content.subarray(CHUNK_SIZE) });
+
+    expect(sent.at(-1)).toMatchObject({ action: Action.COMPLETE, transferId: '2' });
+    expect(await fs.readFile(path.join(root, 'upload.bin'))).toEqual(content);
+    expect(await fs.readdir(root)).toEqual(['upload.bin']);
+  });
+
+  it('streams a download from the offset the client already has', async () => {
+    const sent: terminal.IFileTransfer[] = [];
+    const host = new FileTransferHost({ root, enabled: true, send: (message) => sent.push(message), log: () => {} });
+    const content = Buffer.from('0123456789');
+    await fs.writeFile(path.join(root, 'log.txt'), content);
+
+    await host.handle('a', { action: Action.DOWNLOAD_START, transferId: '1', path: 'log.txt' });
+    expect(sent.at(-1)).toMatchObject({ action: Action.READY, size: 10, sha256: sha256(content) });
+
+    await host.handle('a', { action: Action.ACK, transferId: '1', offset: 4 });
+    expect(sent.at(-1)).toMatchObject({ action: Action.DATA, offset: 4, data: content.subarray(4) });
+
+    await host.handle('a', { action: Action.ACK, transferId: '1', offset: 10 });
+    expect(sent.at(-1)).toMatchObject({ action: Action.COMPLETE, size: 10 });
+
+    await host.handle('a', { action: Action.DOWNLOAD_START, transferId: '2', path: '../etc/passwd' });
+    expect(sent.at(-1)).toMatchObject({ action: Action.ERROR, transferId: '2' });
+  });
+});
+
+describe('parseRemotePath', () => {
+  it('splits host:path and leaves local paths alone', () => {
+    expect(parseRemotePath('build-box:logs/app.log')).toEqual({ hostId: 'build-box', path: 'logs/app.log' });
+    expect(parseRemotePath('build-box:')).toEqual({ hostId: 'build-box', path: '' });
+    expect(parseRemotePath('./notes:today.txt')).toBeNull();
+    expect(parseRemotePath('C:\\logs\\app.log')).toBeNull();
+  });
+});
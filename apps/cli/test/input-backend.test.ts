@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { terminal } from 'terminal-tool-protocol';
+import { XdotoolBackend, keysym, xdotoolArgs } from '../src/lib/input-backend.js';
+
+const { Kind } = terminal.RemoteInput;
+const display = { width: 1921, height: 1081 };
+
+describe('xdotoolArgs', () => {
+  it('maps pointer events to absolute pixels on the display', () => {
+    expect(xdotoolArgs({ kind: Kind.POINTER_MOVE, x: 0.5, y: 0.25 }, display)).toEqual(['mousemove', '960', '270']);
+    expect(xdotoolArgs({ kind: Kind.POINTER_DOWN, x: 2, y: -1, button: 3 }, display)).toEqual([
+      'mousemove', '1920', '0', 'mousedown', '3',
+    ]);
+    expect(xdotoolArgs({ kind: Kind.SCROLL, x: 0, y: 0, scrollY: -2, scrollX: 1 }, display)).toEqual([
+      'mousemove', '0', '0', 'click', '--repeat', '2', '4', 'click', '--repeat', '1', '7',
+    ]);
+  });
+
+  it('presses keys with their modifiers and skips keys it cannot name', () => {
+    expect(xdotoolArgs({ kind: Kind.KEY_DOWN, key: 'c', ctrl: true, shift: true }, display)).toEqual(['keydown', 'ctrl+shift+c']);
+    expect(xdotoolArgs({ kind: Kind.KEY_UP, key: 'Enter' }, display)).toEqual(['keyup', 'Return']);
+    expect(keysym('.')).toBe('period');
+    expect(xdotoolArgs({ kind: Kind.KEY_DOWN, key: 'Dead' }, display)).toBeNull();
+  });
+});
+
+describe('XdotoolBackend', () => {
+  it('runs events in order and collapses queued pointer moves', async () => {
+    const calls: string[][] = [];
+    const run = vi.fn(async (_file: string, args: string[]) => {
+      calls.push(args);
+      return args[0] === 'getdisplaygeometry' ? '1921 1081\n' : '';
+    });
+    const backend = new XdotoolBackend(() => {}, run);
+
+    backend.handle({ kind: Kind.POINTER_MOVE, x: 0.1, y: 0.1 });
+    backend.handle({ kind: Kind.POINTER_MOVE, x: 0.2, y: 0.2 });
+    backend.handle({ kind: Kind.POINTER_MOVE, x: 0.5, y: 0.5 });
+    backend.handle({ kind: Kind.POINTER_DOWN, x: 0.5, y: 0.5, button: 1 });
+    await vi.waitFor(() => expect(calls).toHaveLength(4));
+
+    // The first move is already running when the next two arrive, so only those two merge.
+    expect(calls).toEqual([
+      ['getdisplaygeometry'],
+      ['mousemove', '192', '108'],
+      ['mousemove', '960', '540'],
+      ['mousemove', '960', '540', 'mousedown', '1'],
+    ]);
+  });
+});
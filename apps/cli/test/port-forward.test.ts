@@ -0,0 +1,72 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import net, { AddressInfo } from 'node:net';
+import { terminal } from 'terminal-tool-protocol';
+import { PortForwardHost, StreamMux, isForwardAllowed, parseDestination, parseForwardRule } from '../src/lib/port-forward.js';
+
+const { Action } = terminal.PortForward;
+
+const servers: net.Server[] = [];
+
+afterEach(() => {
+  for (const server of servers.splice(0)) {
+    server.close();
+  }
+});
+
+function listen(onConnection: (socket: net.Socket) => void) {
+  const server = net.createServer(onConnection);
+  servers.push(server);
+  return new Promise<number>((resolve) => server.listen(0, '127.0.0.1', () => resolve((server.address() as AddressInfo).port)));
+}
+
+describe('forwarding rules', () => {
+  it('matches hosts as written and ports by range', () => {
+    const rules = ['127.0.0.1:3000', 'db.internal:5000-5010', '[::1]:*'].map(parseForwardRule);
+
+    expect(isForwardAllowed(rules, { host: '127.0.0.1', port: 3000 })).toBe(true);
+    expect(isForwardAllowed(rules, { host: 'localhost', port: 3000 })).toBe(false);
+    expect(isForwardAllowed(rules, { host: 'DB.internal', port: 5005 })).toBe(true);
+    expect(isForwardAllowed(rules, { host: 'db.internal', port: 5011 })).toBe(false);
+    expect(isForwardAllowed(rules, { host: '::1', port: 22 })).toBe(true);
+    expect(parseDestination('[::1]:8080')).toEqual({ host: '::1', port: 8080 });
+    expect(() => parseForwardRule('127.0.0.1:9-1')).toThrow('Invalid port range');
+    expect(() => parseDestination('127.0.0.1')).toThrow('Expected host:port');
+  });
+});
+
+describe('PortForwardHost', () => {
+  it('pipes a client connection to an allowed destination and refuses others', async () => {
+    const echoPort = await listen((socket) => socket.pipe(socket));
+    const refused: terminal.IPortForward[] = [];
+
+    // Wires a client-side mux straight to the host, as the relay would.
+    const host = new PortForwardHost({
+      rules: [parseForwardRule(`127.0.0.1:${echoPort}`)],
+      log: () => {},
+      send: (message) => {
+        if (message.action === Action.OPENED) {
+          clientMux.resume(message.streamId || '');
+        } else if (!clientMux.receive(message)) {
+          refused.push(message);
+        }
+      },
+    });
+    const clientMux: StreamMux = new StreamMux((message) => host.handle('c', message));
+
+    const localPort = await listen((socket) => {
+      clientMux.attach('s1', socket);
+      socket.pause();
+      host.handle('c', { action: Action.OPEN, streamId: 's1', host: '127.0.0.1', port: echoPort });
+    });
+    const local = net.connect(localPort, '127.0.0.1');
+    local.write('ping');
+    const echoed = await new Promise<string>((resolve) => local.once('data', (data) => resolve(data.toString())));
+    expect(echoed).toBe('ping');
+    local.destroy();
+
+    host.handle('c', { action: Action.OPEN, streamId: 's2', host: '127.0.0.1', port: echoPort + 1 });
+    expect(refused).toEqual([
+      expect.objectContaining({ action: Action.CLOSE, streamId: 's2', clientId: 'c', error: expect.stringContaining('allowlist') }),
+    ]);
+  });
+});
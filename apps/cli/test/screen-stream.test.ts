@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { FrameCodec, RawFrame, ScreenStreamer, diffTiles, imageSize } from '../src/lib/screen-stream.js';
+
+function rawFrame(width: number, height: number, fill = 0): RawFrame {
+  return { data: Buffer.alloc(width * height * 3, fill), width, height, channels: 3, sourceWidth: width, sourceHeight: height };
+}
+
+function paint(frame: RawFrame, x: number, y: number) {
+  frame.data[(y * frame.width + x) * frame.channels] = 255;
+}
+
+describe('imageSize', () => {
+  it('reads PNG and JPEG dimensions', () => {
+    const png = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+    png.writeUInt32BE(2560, 16);
+    png.writeUInt32BE(1440, 20);
+    expect(imageSize(png)).toEqual({ width: 2560, height: 1440 });
+
+    // SOI, an APP0 segment to skip, then SOF0 with height 1080 and width 1920.
+    const jpeg = Buffer.from([
+      0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+      0xff, 0xc0, 0x00, 0x11, 0x08, 0x04, 0x38, 0x07, 0x80, 0x03,
+    ]);
+    expect(imageSize(jpeg)).toEqual({ width: 1920, height: 1080 });
+    expect(imageSize(Buffer.from('not an image'))).toBeNull();
+  });
+});
+
+describe('diffTiles', () => {
+  it('returns changed tiles and merges neighbours on a row', () => {
+    const previous = rawFrame(100, 50);
+    const next = rawFrame(100, 50);
+    paint(next, 5, 5);
+    paint(next, 40, 10);
+    paint(next, 99, 49);
+
+    expect(diffTiles(previous, next, 32)).toEqual([
+      { x: 0, y: 0, width: 64, height: 32 },
+      { x: 96, y: 32, width: 4, height: 18 },
+    ]);
+    expect(diffTiles(previous, rawFrame(100, 50), 32)).toEqual([]);
+    expect(diffTiles(previous, rawFrame(50, 50), 32)).toBeNull();
+  });
+});
+
+describe('ScreenStreamer', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('only captures while enabled and watched, then sends deltas after a keyframe', async () => {
+    vi.useFakeTimers();
+    let current = rawFrame(64, 64);
+    const capture = vi.fn(async () => Buffer.alloc(0));
+    const codec: FrameCodec = {
+      decode: async () => current,
+      encode: async (_frame, rect) => Buffer.alloc(rect.width),
+    };
+    const send = vi.fn();
+    const streamer = new ScreenStreamer({ capture, codec, send, log: () => {}, fps: 10, maxWidth: 1280, quality: 60, format: 'jpeg', tileSize: 16 });
+
+    streamer.setEnabled(true);
+    await vi.advanceTimersByTimeAsync(500);
+    expect(capture).not.toHaveBeenCalled();
+
+    streamer.setViewers(1, true);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ keyframe: true, width: 64, format: 'image/jpeg' }));
+
+    current = rawFrame(64, 64);
+    paint(current, 20, 20);
+    await vi.advanceTimersByTimeAsync(100);
+    expect(send).toHaveBeenLastCalledWith(
+      expect.objectContaining({ keyframe: false, tiles: [expect.objectContaining({ x: 16, y: 16, width: 16, height: 16 })] }),
+    );
+
+    // An unchanged screen sends nothing.
+    const sent = send.mock.calls.length;
+    await vi.advanceTimersByTimeAsync(100);
+    expect(send).toHaveBeenCalledTimes(sent);
+
+    streamer.setViewers(0);
+    const captured = capture.mock.calls.length;
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(capture).toHaveBeenCalledTimes(captured);
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect, vi } from 'vitest';
+import { terminal } from 'terminal-tool-protocol';
+import { OutputBuffer } from '../src/lib/output-buffer.js';
+import { PtyProcess, SessionManager } from '../src/lib/session-manager.js';
+
+function fakePty() {
+  let emit: (data: string) => void = () => {};
+  const proc: PtyProcess & { emit: (data: string) => void } = {
+    onData: (callback) => {
+      emit = callback;
+    },
+    onExit: () => {},
+    write: vi.fn(),
+    resize: vi.fn(),
+    kill: vi.fn(),
+    emit: (data) => emit(data),
+  };
+  return proc;
+}
+
+function createManager() {
+  const spawned: ReturnType<typeof fakePty>[] = [];
+  const sent: terminal.IHostMessage[] = [];
+  const manager = new SessionManager({
+    spawn: () => {
+      const proc = fakePty();
+      spawned.push(proc);
+      return proc;
+    },
+    send: (message) => sent.push(message),
+    log: () => {},
+    scrollbackBytes: 1024,
+    detachGraceMs: 1000,
+  });
+  return { manager, spawned, sent };
+}
+
+describe('OutputBuffer', () => {
+  it('evicts the oldest chunks once over budget', () => {
+    const buffer = new OutputBuffer(8);
+    buffer.append('abcd');
+    buffer.append('efgh');
+    buffer.append('ij');
+    expect(buffer.contents()).toBe('efghij');
+    expect(buffer.size).toBe(6);
+  });
+
+  it('returns only the chunks after a sequence number while they are still buffered', () => {
+    const buffer = new OutputBuffer(8);
+    buffer.append('abcd');
+    buffer.append('efgh');
+    buffer.append('ij');
+    expect(buffer.since(2)).toBe('ij');
+    expect(buffer.since(3)).toBe('');
+    expect(buffer.since(0)).toBeNull();
+  });
+
+  it('keeps the tail of an oversized chunk', () => {
+    const buffer = new OutputBuffer(4);
+    buffer.append('0123456789');
+    expect(buffer.contents()).toBe('6789');
+  });
+});
+
+describe('SessionManager', () => {
+  it('replays scrollback to a client reattaching to the same session', () => {
+    const { manager, spawned, sent } = createManager();
+    manager.attach('client-1', 'session');
+    manager.input('client-1', 'ls\r');
+    spawned[0].emit('file.txt\r\n');
+
+    manager.release('client-1');
+    manager.attach('client-2', 'session');
+    manager.input('client-2', 'pwd\r');
+
+    expect(spawned).toHaveLength(1);
+    expect(sent).toContainEqual({ ptyOutput: { data: 'file.txt\r\n', clientId: 'client-2', replay: true, seq: 1, channelId: '' } });
+  });
+
+  it('resumes a client from its last sequence number without a full replay', () => {
+    const { manager, spawned, sent } = createManager();
+    manager.attach('client-1', 'session');
+    manager.input('client-1', 'x');
+    spawned[0].emit('one');
+    manager.releaseAll();
+    spawned[0].emit('two');
+
+    manager.attach('client-1', 'session', { lastSeq: 1 });
+    expect(sent.at(-1)).toEqual({ ptyOutput: { data: 'two', clientId: 'client-1', channelId: '', seq: 2 } });
+  });
+
+  it('kills a session once the grace period passes without clients', () => {
+    vi.useFakeTimers();
+    const { manager, spawned } = createManager();
+    manager.attach('client-1', 'session');
+    manager.input('client-1', 'x');
+    manager.release('client-1');
+
+    vi.advanceTimersByTime(1000);
+    expect(spawned[0].kill).toHaveBeenCalled();
+    vi.useRealTimers();
+  });
+
+  it('keeps shells alive through a relay outage longer than the grace period', () => {
+    vi.useFakeTimers();
+    const { manager, spawned } = createManager();
+    manager.attach('client-1', 'resumed');
+    manager.input('client-1', 'x');
+    manager.attach('client-2', 'abandoned');
+    manager.input('client-2', 'y');
+    manager.release('client-2');
+
+    manager.releaseAll();
+    vi.advanceTimersByTime(5000);
+    expect(spawned[0].kill).not.toHaveBeenCalled();
+    expect(spawned[1].kill).not.toHaveBeenCalled();
+
+    // Back online: the relay re-attaches client-1, but client-2 never returns.
+    manager.reapDetached();
+    manager.attach('client-1', 'resumed');
+    vi.advanceTimersByTime(1000);
+    expect(spawned[0].kill).not.toHaveBeenCalled();
+    expect(spawned[1].kill).toHaveBeenCalled();
+    vi.useRealTimers();
+  });
+
+  it('keeps named sessions alive without clients and lists them', () => {
+    vi.useFakeTimers();
+    const { manager, spawned } = createManager();
+    manager.attach('client-1', 'shell', { username: 'alice' });
+    manager.control('client-1', { action: terminal.SessionControl.Action.ATTACH, sessionId: 'build', persistent: true });
+    manager.resize('client-1', 120, 40);
+    manager.release('client-1');
+
+    vi.advanceTimersByTime(5000);
+    expect(spawned[0].kill).not.toHaveBeenCalled();
+
+    // The same account, reconnected under a new client id.
+    manager.attach('client-2', 'shell', { username: 'alice' });
+    const reply = manager.control('client-2', { action: terminal.SessionControl.Action.LIST });
+    expect(reply.sessions).toMatchObject([{ sessionId: 'build', persistent: true, clients: 0, cols: 120 }]);
+
+    expect(manager.control('client-2', { action: terminal.SessionControl.Action.KILL, sessionId: 'build' }).error).toBe('');
+    expect(spawned[0].kill).toHaveBeenCalled();
+    vi.useRealTimers();
+  });
+
+  it("hides other clients' temporary sessions and only lets owners and attached clients kill", () => {
+    const { manager, spawned } = createManager();
+    manager.attach('client-1', 'private', { username: 'alice' });
+    manager.input('client-1', 'a');
+    manager.attach('client-2', 'other', { username: 'bob' });
+    manager.control('client-2', { action: terminal.SessionControl.Action.ATTACH, sessionId: 'named', persistent: true, channelId: '2' });
+    manager.input('client-2', 'b', '2');
+
+    expect(manager.control('client-1', { action: terminal.SessionControl.Action.LIST }).sessions?.map((session) => session.sessionId)).toEqual([
+      'private',
+      'named',
+    ]);
+    expect(manager.control('client-2', { action: terminal.SessionControl.Action.LIST }).sessions?.map((session) => session.sessionId)).toEqual([
+      'named',
+    ]);
+
+    const refused = manager.control('client-2', { action: terminal.SessionControl.Action.KILL, sessionId: 'private' });
+    expect(refused.error).toMatch(/belongs to someone else/);
+    expect(manager.control('client-1', { action: terminal.SessionControl.Action.KILL, sessionId: 'named' }).error).toMatch(
+      /belongs to someone else/,
+    );
+    expect(spawned[0].kill).not.toHaveBeenCalled();
+    expect(spawned[1].kill).not.toHaveBeenCalled();
+
+    manager.attach('client-1', 'named', { channelId: '3' });
+    expect(manager.control('client-1', { action: terminal.SessionControl.Action.KILL, sessionId: 'named' }).error).toBe('');
+    expect(spawned[1].kill).toHaveBeenCalled();
+  });
+
+  it('ignores input from a client that detached', () => {
+    const { manager, spawned } = createManager();
+    manager.attach('client-1', 'session');
+    manager.input('client-1', 'a');
+    manager.control('client-1', { action: terminal.SessionControl.Action.DETACH });
+    manager.input('client-1', 'b');
+
+    expect(spawned).toHaveLength(1);
+    expect(spawned[0].write).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs a separate shell per channel and ends it when the tab closes', () => {
+    const { manager, spawned, sent } = createManager();
+    manager.attach('client-1', 'main');
+    manager.input('client-1', 'a');
+    manager.control('client-1', { action: terminal.SessionControl.Action.ATTACH, sessionId: 'tab-2', channelId: '2' });
+    manager.input('client-1', 'b', '2');
+    spawned[1].emit('from tab 2');
+
+    expect(spawned).toHaveLength(2);
+    expect(spawned[1].write).toHaveBeenCalledWith('b');
+    expect(sent.at(-1)).toEqual({ ptyOutput: { data: 'from tab 2', sessionId: 'tab-2', seq: 1 } });
+
+    manager.control('client-1', { action: terminal.SessionControl.Action.CLOSE, channelId: '2' });
+    expect(spawned[1].kill).toHaveBeenCalled();
+    expect(spawned[0].kill).not.toHaveBeenCalled();
+  });
+
+  it('sends shared output once and sizes the PTY to the smallest viewport', () => {
+    const { manager, spawned, sent } = createManager();
+    manager.attach('client-1', 'pair');
+    manager.resize('client-1', 120, 40);
+    manager.attach('client-2', 'pair');
+    manager.resize('client-2', 100, 50);
+    spawned[0].emit('shared');
+
+    expect(spawned).toHaveLength(1);
+    expect(sent.filter((message) => message.ptyOutput?.data === 'shared')).toEqual([
+      { ptyOutput: { data: 'shared', sessionId: 'pair', seq: 1 } },
+    ]);
+    expect(spawned[0].resize).toHaveBeenLastCalledWith(100, 40);
+
+    manager.release('client-2');
+    expect(spawned[0].resize).toHaveBeenLastCalledWith(120, 40);
+  });
+});
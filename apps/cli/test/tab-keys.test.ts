@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { TAB_PREFIX, TabKeys } from '../src/lib/tab-keys.js';
+
+describe('TabKeys', () => {
+  it('passes ordinary input through and turns prefixed keys into tab actions', () => {
+    const keys = new TabKeys();
+    expect(keys.feed(`ls${TAB_PREFIX}c\r`)).toEqual({ input: 'ls\r', actions: [{ type: 'new' }] });
+    expect(keys.feed(`${TAB_PREFIX}3`).actions).toEqual([{ type: 'select', index: 2 }]);
+  });
+
+  it('keeps the prefix armed across chunks and lets a doubled prefix through', () => {
+    const keys = new TabKeys();
+    expect(keys.feed(TAB_PREFIX)).toEqual({ input: '', actions: [] });
+    expect(keys.feed('n')).toEqual({ input: '', actions: [{ type: 'next' }] });
+    expect(keys.feed(`${TAB_PREFIX}${TAB_PREFIX}`)).toEqual({ input: TAB_PREFIX, actions: [] });
+  });
+});
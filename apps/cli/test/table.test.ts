@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { renderTable } from '../src/lib/table.js';
+
+describe('renderTable', () => {
+  it('pads every column to its widest cell', () => {
+    const rows = [
+      { id: 'alpha', features: ['screen', 'admin'] },
+      { id: 'b', features: [] },
+    ];
+
+    expect(
+      renderTable(rows, [
+        { header: 'Host ID', get: (row) => row.id },
+        { header: 'Features', get: (row) => row.features.join(', ') || '-' },
+      ]),
+    ).toBe(['Host ID  Features', '-------  -------------', 'alpha    screen, admin', 'b        -'].join('\n'));
+  });
+});
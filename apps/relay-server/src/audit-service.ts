@@ -0,0 +1,133 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+export type AuditOutcome = 'success' | 'failure';
+
+/** Actions where someone proves who they are, or is refused for who they are. */
+export const AUTH_ACTIONS = new Set([
+  'auth.login',
+  'auth.throttled',
+  'auth.locked',
+  'api.denied',
+  'host.register',
+  'host.auth',
+  'client.connect',
+]);
+
+/**
+ * One line of the audit log. `actor` is the relay account behind the action,
+ * `host:<hostId>` for a host acting with its machine token, `access-secret`
+ * for clients admitted by a host access secret, or null when unknown.
+ */
+export interface AuditEvent {
+  time: string;
+  action: string;
+  outcome: AuditOutcome;
+  actor: string | null;
+  sourceIp: string | null;
+  hostId: string | null;
+  clientId: string | null;
+  detail?: string;
+}
+
+/** What a caller knows about an event; missing fields are stored as null. */
+export interface AuditRecord {
+  action: string;
+  outcome: AuditOutcome;
+  actor?: string | null;
+  sourceIp?: string | null;
+  hostId?: string | null;
+  clientId?: string | null;
+  detail?: string;
+}
+
+export interface AuditQuery {
+  hostId?: string;
+  actor?: string;
+  /** An exact action, or a prefix ending at a dot: `client` matches `client.connect`. */
+  action?: string;
+  since?: Date;
+  until?: Date;
+  limit?: number;
+}
+
+function matches(event: AuditEvent, query: AuditQuery) {
+  if (query.hostId && event.hostId !== query.hostId) {
+    return false;
+  }
+  if (query.actor && event.actor !== query.actor) {
+    return false;
+  }
+  if (query.action && event.action !== query.action && !event.action.startsWith(`${query.action}.`)) {
+    return false;
+  }
+
+  const time = Date.parse(event.time);
+  return (!query.since || time >= query.since.getTime()) && (!query.until || time <= query.until.getTime());
+}
+
+/**
+ * Append-only JSON lines log of who did what to which host. Lines are written
+ * synchronously, so a query sees every event recorded before it.
+ */
+export class AuditService {
+  constructor(
+    private readonly filePath: string,
+    private readonly onRecord: (event: AuditEvent) => void = () => {},
+  ) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  record(event: AuditRecord) {
+    const line: AuditEvent = {
+      time: new Date().toISOString(),
+      action: event.action,
+      outcome: event.outcome,
+      actor: event.actor || null,
+      sourceIp: event.sourceIp || null,
+      hostId: event.hostId || null,
+      clientId: event.clientId || null,
+      detail: event.detail,
+    };
+
+    try {
+      fs.appendFileSync(this.filePath, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      console.error('Failed to write audit event:', error);
+    }
+    this.onRecord(line);
+  }
+
+  /** The newest matching events first. */
+  async query(query: AuditQuery): Promise<AuditEvent[]> {
+    const limit = Math.min(Math.max(query.limit || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const found: AuditEvent[] = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      let event: AuditEvent;
+      try {
+        event = JSON.parse(line) as AuditEvent;
+      } catch {
+        // A line cut short by a crash.
+        continue;
+      }
+
+      if (matches(event, query)) {
+        found.push(event);
+        if (found.length > limit) {
+          found.shift();
+        }
+      }
+    }
+
+    return found.reverse();
+  }
+}
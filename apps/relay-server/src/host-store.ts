@@ -0,0 +1,161 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+export interface HostSettings {
+  displayName: string;
+  notes: string;
+  readOnly: boolean;
+  welcomeMessage: string;
+  preferredShell: string;
+  preferredCwd: string;
+  recordSessions: boolean;
+}
+
+export interface PersistedHost {
+  hostId: string;
+  createdAt: string;
+  lastSeenAt: string | null;
+  lastClientAt: string | null;
+  settings: HostSettings;
+  isAdmin: boolean;
+  hwid?: string;
+  ip?: string;
+  owner?: string;
+  accessSecretHash?: string;
+  requireApproval?: boolean;
+}
+
+export interface PersistedToken {
+  /** SHA-256 of the machine token, from hashMachineToken; the token itself is never stored. */
+  tokenHash: string;
+  hostId: string;
+  issuedAt: string;
+}
+
+/**
+ * A machine or client token the relay handed out. Secrets are never stored
+ * here: client tokens are identified by their `jti`, machine tokens by a hash.
+ */
+export interface PersistedIssuedToken {
+  id: string;
+  /** Empty for account (`user`) tokens, which are not bound to a host. */
+  hostId: string;
+  kind: 'machine' | 'client' | 'user';
+  /** The account it was issued to, `access-secret`, or null for tokens older than this record. */
+  issuedTo: string | null;
+  access: 'control' | 'view';
+  issuedAt: string;
+  expiresAt: string;
+  revokedAt: string | null;
+}
+
+export type UserRole = 'owner' | 'operator' | 'viewer';
+
+export interface PersistedUser {
+  username: string;
+  role: UserRole;
+  passwordHash: string;
+  hosts: string[];
+  createdAt: string;
+}
+
+export interface PersistedRecording {
+  id: string;
+  hostId: string;
+  clientId: string;
+  channelId?: string;
+  username?: string;
+  startedAt: string;
+  endedAt: string | null;
+  duration: number;
+  size: number;
+  cols: number;
+  rows: number;
+}
+
+export interface StoreSnapshot {
+  version: number;
+  hosts: PersistedHost[];
+  tokens: PersistedToken[];
+  issuedTokens: PersistedIssuedToken[];
+  users: PersistedUser[];
+  recordings: PersistedRecording[];
+}
+
+export interface StorageBackend {
+  readonly kind: string;
+  load(): StoreSnapshot;
+  save(snapshot: StoreSnapshot): void;
+}
+
+const SNAPSHOT_VERSION = 1;
+
+export function createEmptySnapshot(): StoreSnapshot {
+  return {
+    version: SNAPSHOT_VERSION,
+    hosts: [],
+    tokens: [],
+    issuedTokens: [],
+    users: [],
+    recordings: [],
+  };
+}
+
+export class MemoryBackend implements StorageBackend {
+  readonly kind = 'memory';
+  private snapshot = createEmptySnapshot();
+
+  load(): StoreSnapshot {
+    return structuredClone(this.snapshot);
+  }
+
+  save(snapshot: StoreSnapshot) {
+    this.snapshot = structuredClone(snapshot);
+  }
+}
+
+export class JsonFileBackend implements StorageBackend {
+  readonly kind = 'file';
+
+  constructor(private readonly filePath: string) {}
+
+  load(): StoreSnapshot {
+    if (!fs.existsSync(this.filePath)) {
+      return createEmptySnapshot();
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as Partial<StoreSnapshot>;
+    return {
+      ...createEmptySnapshot(),
+      ...parsed,
+      version: SNAPSHOT_VERSION,
+    };
+  }
+
+  save(snapshot: StoreSnapshot) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a sibling file first so a crash mid-write never truncates the store.
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+export function resolveDataDir(env: NodeJS.ProcessEnv = process.env) {
+  return env.DATA_DIR || path.resolve('data');
+}
+
+export function createStorageBackend(env: NodeJS.ProcessEnv = process.env): StorageBackend {
+  const driver = env.STORE_DRIVER || 'file';
+
+  if (driver === 'memory') {
+    return new MemoryBackend();
+  }
+
+  if (driver === 'file') {
+    return new JsonFileBackend(env.STORE_PATH || path.join(resolveDataDir(env), 'relay-store.json'));
+  }
+
+  throw new Error(`Unknown STORE_DRIVER "${driver}" (expected "file" or "memory")`);
+}
@@ -1,28 +1,68 @@
 import crypto from 'node:crypto';
 import http from 'node:http';
+import path from 'node:path';
 import express from 'express';
 import { WebSocket, WebSocketServer } from 'ws';
 import { terminal } from 'terminal-tool-protocol';
-import { TokenService, RelayTokenPayload } from './token-service.js';
+import { TokenService, RelayTokenPayload, ClientAccess, USES_DEFAULT_JWT_SECRET } from './token-service.js';
+import {
+  HostSettings,
+  PersistedHost,
+  PersistedIssuedToken,
+  StoreSnapshot,
+  createStorageBackend,
+  resolveDataDir,
+} from './host-store.js';
+import { Permission, RelayUser, UserService } from './user-service.js';
+import { hashSecret, safeEqual, verifySecret } from './secrets.js';
+import { RecordingService } from './recording-service.js';
+import { TunnelService } from './tunnel-service.js';
+import { AUTH_ACTIONS, AuditQuery, AuditRecord, AuditService } from './audit-service.js';
+import { WebhookService, parseWebhookTargets } from './webhook-service.js';
+import { METRICS_CONTENT_TYPE, MetricsRegistry } from './metrics-service.js';
+import { authLimitKeys, createAuthLimiter } from './rate-limit-service.js';
+import { IssuedTokenService, hashMachineToken, machineTokenId } from './issued-token-service.js';
 
 const PORT = Number(process.env.PORT || 3000);
 const HOST = process.env.HOST || '0.0.0.0';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin';
-const DISCORD_WEBHOOK = "https://discord.com/api/webhooks/1495245364872220752/GWu9toshy6xtcHlhF08r8WKoGSrbLl3BnXyzpCjy7XsIItYeIthz9qSpGJhKMQcD4uCP";
-
-interface HostSettings {
-  displayName: string;
-  notes: string;
-  readOnly: boolean;
-  welcomeMessage: string;
-  preferredShell: string;
-  preferredCwd: string;
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const DEFAULT_ADMIN_PASSWORD = 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
+const PERSIST_DEBOUNCE_MS = 1000;
+const APPROVAL_TIMEOUT_MS = Number(process.env.APPROVAL_TIMEOUT_MS || 60_000);
+const MAX_SESSION_ID_LENGTH = 64;
+const MAX_TUNNEL_STREAMS = Number(process.env.MAX_TUNNEL_STREAMS || 64);
+const PROTOCOL_VERSION = terminal.ProtocolVersion.PROTOCOL_VERSION_2;
+const MIN_PROTOCOL_VERSION = terminal.ProtocolVersion.PROTOCOL_VERSION_1;
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(resolveDataDir(), 'recordings');
+const AUDIT_LOG = process.env.AUDIT_LOG || path.join(resolveDataDir(), 'audit.log');
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+// Client tokens are only checked when a socket authenticates, and clients fetch a fresh one to reconnect.
+const CLIENT_TOKEN_TTL_MINUTES = Number(process.env.CLIENT_TOKEN_TTL_MINUTES || 15);
+const MACHINE_TOKEN_TTL_DAYS = Number(process.env.MACHINE_TOKEN_TTL_DAYS || 30);
+// Password and access secret checks per source IP, and failures in a row per account.
+const AUTH_ATTEMPTS_PER_MINUTE = Number(process.env.AUTH_ATTEMPTS_PER_MINUTE || 20);
+const AUTH_MAX_FAILURES = Number(process.env.AUTH_MAX_FAILURES || 5);
+// Set when a reverse proxy in front of the relay appends the client's address to X-Forwarded-For.
+const TRUST_PROXY = ['1', 'true'].includes(process.env.TRUST_PROXY || '');
+// Bucket bounds for message sizes, up to the websocket payload limit.
+const MESSAGE_SIZE_BUCKETS = [64, 256, 1024, 4096, 16_384, 65_536, 262_144, 1_048_576];
+
+interface PendingClient {
+  request: terminal.IConnectionRequest;
+  timer?: NodeJS.Timeout;
+  admit: () => void;
+  deny: (reason: string) => void;
 }
 
 interface HostRecord {
   hostId: string;
   hostSocket: WebSocket | null;
   clientSockets: Map<string, WebSocket>;
+  // Which host session each client channel is bound to (keyed by `attachmentKey`),
+  // re-sent to the host after it reconnects.
+  clientAttachments: Map<string, terminal.IClientAttached>;
+  pendingClients: Map<string, PendingClient>;
   createdAt: string;
   lastSeenAt: string | null;
   lastClientAt: string | null;
@@ -30,16 +70,26 @@ interface HostRecord {
   isAdmin: boolean;
   hwid?: string;
   ip?: string;
-  token?: string;
+  owner?: string;
+  accessSecretHash?: string;
+  requireApproval?: boolean;
   screenActive: boolean;
   adminActive: boolean;
+  // Reported by the connected host; false while it is offline.
+  remoteInputAllowed: boolean;
+  // Clients subscribed to screen frames; the host only captures while this is non-empty.
+  screenViewers: Set<string>;
+  // Exec ids each client has running; output for any other exec is dropped.
+  runningExecs: Map<string, Set<string>>;
+  // Last HostCapabilities the host sent; kept while it is offline so listings still show them.
+  capabilities: terminal.IHostCapabilities | null;
 }
 
 const app = express();
 app.use(express.json());
 app.use((_, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   next();
 });
@@ -50,12 +100,165 @@ app.options('(.*)', (_, res) => {
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server, maxPayload: 1024 * 1024 });
 const hosts = new Map<string, HostRecord>();
-const tokens = new Map<string, string>(); // token -> hostId
+// Which end of the protocol each socket is, for metrics on what is sent to it.
+const socketRoles = new WeakMap<WebSocket, 'host' | 'client'>();
+// Machine tokens by hashMachineToken.
+const tokens = new Map<string, { hostId: string; issuedAt: string }>();
+const issuedTokens = new IssuedTokenService(() => persistState());
+// Sockets authenticated with each issued token, so revoking one can disconnect them.
+const tokenSockets = new Map<string, Set<WebSocket>>();
+const storage = createStorageBackend();
+const userService = new UserService(
+  { username: ADMIN_USERNAME, password: ADMIN_PASSWORD },
+  () => persistState(),
+);
+const recordings = new RecordingService(RECORDINGS_DIR, () => persistState());
+const tunnels = new TunnelService();
+const webhooks = new WebhookService(parseWebhookTargets(process.env.WEBHOOKS));
+const metrics = new MetricsRegistry();
+const relayedMessages = metrics.counter(
+  'terminal_tool_relay_messages_total',
+  'Protobuf messages received from (in) and sent to (out) hosts and clients, by payload type',
+  { labelled: true },
+);
+const relayedBytes = metrics.counter(
+  'terminal_tool_relay_bytes_total',
+  'Bytes of protobuf messages received from (in) and sent to (out) hosts and clients, by payload type',
+  { labelled: true },
+);
+const messageSizes = metrics.histogram(
+  'terminal_tool_relay_message_size_bytes',
+  'Size of protobuf messages by direction and peer',
+  MESSAGE_SIZE_BUCKETS,
+);
+const authAttempts = metrics.counter(
+  'terminal_tool_auth_attempts_total',
+  'Authentication attempts by audit action and outcome',
+  { labelled: true },
+);
+const screenFrames = metrics.counter('terminal_tool_screen_frames_total', 'Screen frames received from hosts');
+const screenFramesDelivered = metrics.counter('terminal_tool_screen_frames_delivered_total', 'Screen frames sent to viewers');
+metrics.gauge('terminal_tool_hosts_known', 'Hosts the relay knows about', () => hosts.size);
+metrics.gauge('terminal_tool_hosts_online', 'Hosts connected to the relay', () =>
+  [...hosts.values()].filter((host) => host.hostSocket).length,
+);
+metrics.gauge('terminal_tool_clients_connected', 'Admitted client connections', () =>
+  [...hosts.values()].reduce((total, host) => total + host.clientSockets.size, 0),
+);
+metrics.gauge('terminal_tool_clients_pending', 'Clients waiting for a host to approve them', () =>
+  [...hosts.values()].reduce((total, host) => total + host.pendingClients.size, 0),
+);
+metrics.gauge('terminal_tool_screen_viewers', 'Clients subscribed to a shared screen', () =>
+  [...hosts.values()].reduce((total, host) => total + host.screenViewers.size, 0),
+);
+const limiter = createAuthLimiter({
+  attemptsPerMinute: AUTH_ATTEMPTS_PER_MINUTE,
+  maxFailures: AUTH_MAX_FAILURES,
+});
+const audit = new AuditService(AUDIT_LOG, (event) => {
+  webhooks.notify(event);
+  if (AUTH_ACTIONS.has(event.action)) {
+    authAttempts.inc({ action: event.action, outcome: event.outcome });
+  }
+});
+let persistTimer: NodeJS.Timeout | null = null;
 
 function nowIso() {
   return new Date().toISOString();
 }
 
+function loadState() {
+  const snapshot = storage.load();
+
+  for (const stored of snapshot.hosts) {
+    hosts.set(stored.hostId, {
+      ...stored,
+      settings: { ...createDefaultSettings(stored.hostId), ...stored.settings },
+      hostSocket: null,
+      clientSockets: new Map(),
+      clientAttachments: new Map(),
+      pendingClients: new Map(),
+      screenActive: false,
+      adminActive: false,
+      remoteInputAllowed: false,
+      screenViewers: new Set(),
+      runningExecs: new Map(),
+      capabilities: null,
+    });
+  }
+
+  issuedTokens.load(snapshot.issuedTokens);
+  for (const stored of snapshot.tokens) {
+    // Stores written before tokens were hashed hold them in plaintext; they are hashed on the next save.
+    const legacy = (stored as { token?: string }).token;
+    const tokenHash = stored.tokenHash || (legacy && hashMachineToken(legacy));
+    if (!tokenHash) {
+      continue;
+    }
+    tokens.set(tokenHash, { hostId: stored.hostId, issuedAt: stored.issuedAt });
+    // Machine tokens from before expiry was tracked count from when they were issued.
+    if (!issuedTokens.has(machineTokenId(tokenHash))) {
+      trackMachineToken(tokenHash, stored.hostId, null, stored.issuedAt);
+    }
+  }
+  pruneIssuedTokens();
+
+  userService.load(snapshot.users);
+  recordings.load(snapshot.recordings);
+
+  console.log(
+    `Loaded ${hosts.size} hosts, ${tokens.size} machine tokens and ${snapshot.users.length} users ` +
+      `from ${storage.kind} storage`,
+  );
+}
+
+function serializeState(): StoreSnapshot {
+  const storedHosts: PersistedHost[] = [...hosts.values()].map((host) => ({
+    hostId: host.hostId,
+    createdAt: host.createdAt,
+    lastSeenAt: host.lastSeenAt,
+    lastClientAt: host.lastClientAt,
+    settings: host.settings,
+    isAdmin: host.isAdmin,
+    hwid: host.hwid,
+    ip: host.ip,
+    owner: host.owner,
+    accessSecretHash: host.accessSecretHash,
+    requireApproval: host.requireApproval,
+  }));
+
+  return {
+    version: 1,
+    hosts: storedHosts,
+    tokens: [...tokens.entries()].map(([tokenHash, entry]) => ({ tokenHash, ...entry })),
+    issuedTokens: issuedTokens.serialize(),
+    users: userService.serialize(),
+    recordings: recordings.serialize(),
+  };
+}
+
+function flushState() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+
+  try {
+    storage.save(serializeState());
+  } catch (error) {
+    console.error('Failed to persist relay state:', error);
+  }
+}
+
+// Host traffic touches lastSeenAt on every frame, so writes are coalesced.
+function persistState() {
+  if (persistTimer) {
+    return;
+  }
+
+  persistTimer = setTimeout(flushState, PERSIST_DEBOUNCE_MS);
+}
+
 function createDefaultSettings(hostId: string): HostSettings {
   return {
     displayName: `Host ${hostId.slice(0, 8)}`,
@@ -64,6 +267,7 @@ function createDefaultSettings(hostId: string): HostSettings {
     welcomeMessage: '',
     preferredShell: '',
     preferredCwd: '',
+    recordSessions: false,
   };
 }
 
@@ -77,6 +281,8 @@ function getHost(hostId: string): HostRecord {
     hostId,
     hostSocket: null,
     clientSockets: new Map(),
+    clientAttachments: new Map(),
+    pendingClients: new Map(),
     createdAt: nowIso(),
     lastSeenAt: null,
     lastClientAt: null,
@@ -84,8 +290,13 @@ function getHost(hostId: string): HostRecord {
     isAdmin: false,
     screenActive: false,
     adminActive: false,
+    remoteInputAllowed: false,
+    screenViewers: new Set(),
+    runningExecs: new Map(),
+    capabilities: null,
   };
   hosts.set(hostId, created);
+  persistState();
   return created;
 }
 
@@ -99,100 +310,983 @@ function summarizeHost(host: HostRecord) {
     lastClientAt: host.lastClientAt,
     settings: host.settings,
     isAdmin: host.isAdmin,
+    owner: host.owner || null,
+    hasAccessSecret: Boolean(host.accessSecretHash),
+    requireApproval: Boolean(host.requireApproval),
     screenActive: host.screenActive,
     adminActive: host.adminActive,
+    capabilities: host.capabilities
+      ? {
+        protocolVersion: host.capabilities.protocolVersion || MIN_PROTOCOL_VERSION,
+        version: host.capabilities.version || null,
+        platform: host.capabilities.platform || null,
+      }
+      : null,
+    features: hostFeatures(host),
   };
 }
 
-function signToken(payload: RelayTokenPayload) {
-  return TokenService.signToken(payload);
+function hostFeatures(host: HostRecord) {
+  const capabilities = host.capabilities;
+  if (!capabilities) {
+    return [];
+  }
+
+  const features: [string, boolean | null | undefined][] = [
+    ['screen', capabilities.supportsScreenShare],
+    ['admin', capabilities.supportsAdminMode],
+    ['remote-input', capabilities.supportsRemoteInput],
+    ['file-transfer', capabilities.supportsFileTransfer],
+    ['file-browser', capabilities.supportsFileBrowser],
+    ['port-forward', capabilities.supportsPortForward],
+    ['exec', capabilities.supportsExec],
+  ];
+  return features.filter(([, supported]) => supported).map(([name]) => name);
+}
+
+// Peers from before the handshake send no version and speak the first one.
+function protocolVersionError(version: number | null | undefined) {
+  const spoken = version || MIN_PROTOCOL_VERSION;
+  if (spoken >= MIN_PROTOCOL_VERSION && spoken <= PROTOCOL_VERSION) {
+    return null;
+  }
+
+  const upgrade = spoken > PROTOCOL_VERSION ? 'upgrade the relay' : 'upgrade terminal-tool';
+  return `Protocol version ${spoken} is not supported by this relay (supports ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}); ${upgrade}`;
+}
+
+function signClientToken(payload: Omit<RelayTokenPayload, 'role'>) {
+  const signed = TokenService.signToken({ ...payload, role: 'client' }, CLIENT_TOKEN_TTL_MINUTES * 60);
+  issuedTokens.track({
+    id: signed.id,
+    hostId: payload.hostId,
+    kind: 'client',
+    issuedTo: payload.username || 'access-secret',
+    access: payload.access || 'control',
+    issuedAt: nowIso(),
+    expiresAt: signed.expiresAt.toISOString(),
+  });
+  return signed.token;
+}
+
+function signUserToken(user: RelayUser) {
+  const signed = TokenService.signUserToken({ username: user.username, role: user.role });
+  issuedTokens.track({
+    id: signed.id,
+    hostId: '',
+    kind: 'user',
+    issuedTo: user.username,
+    access: 'control',
+    issuedAt: nowIso(),
+    expiresAt: signed.expiresAt.toISOString(),
+  });
+  return signed.token;
+}
+
+function trackMachineToken(tokenHash: string, hostId: string, issuedTo: string | null, issuedAt = nowIso()) {
+  issuedTokens.track({
+    id: machineTokenId(tokenHash),
+    hostId,
+    kind: 'machine',
+    issuedTo,
+    access: 'control',
+    issuedAt,
+    expiresAt: new Date(Date.parse(issuedAt) + MACHINE_TOKEN_TTL_DAYS * 86_400_000).toISOString(),
+  });
+}
+
+// An expired machine token goes with its record, so it can never be used again.
+function pruneIssuedTokens() {
+  const expired = new Set(issuedTokens.prune().filter((token) => token.kind === 'machine').map((token) => token.id));
+  for (const tokenHash of [...tokens.keys()]) {
+    if (expired.has(machineTokenId(tokenHash))) {
+      tokens.delete(tokenHash);
+    }
+  }
 }
 
 function verifyToken(token: string, expectedRole: RelayTokenPayload['role']) {
-  return TokenService.verifyToken(token, expectedRole);
+  const decoded = TokenService.verifyToken(token, expectedRole);
+  const refused = issuedTokens.check(decoded.id);
+  if (refused) {
+    throw new Error(refused);
+  }
+
+  return decoded;
+}
+
+function bindTokenSocket(tokenId: string, socket: WebSocket) {
+  let sockets = tokenSockets.get(tokenId);
+  if (!sockets) {
+    sockets = new Set();
+    tokenSockets.set(tokenId, sockets);
+  }
+  sockets.add(socket);
+}
+
+function unbindTokenSocket(tokenId: string, socket: WebSocket) {
+  const sockets = tokenSockets.get(tokenId);
+  sockets?.delete(socket);
+  if (sockets?.size === 0) {
+    tokenSockets.delete(tokenId);
+  }
+}
+
+// Tokens are bound to one host: a hostId in the request may confirm it but never override it.
+function resolveTokenHost(
+  requestedHostId: string,
+  providedToken: string,
+  role: RelayTokenPayload['role'],
+): { hostId: string; access: ClientAccess; username?: string; tokenId: string } {
+  const tokenHash = hashMachineToken(providedToken);
+  const machineToken = tokens.get(tokenHash);
+  let decoded: Pick<RelayTokenPayload, 'hostId' | 'access' | 'username'> & { id: string };
+  if (machineToken) {
+    decoded = { hostId: machineToken.hostId, access: 'control', id: machineTokenId(tokenHash) };
+    const refused = issuedTokens.check(decoded.id);
+    if (refused) {
+      throw new Error(refused);
+    }
+  } else {
+    decoded = verifyToken(providedToken, role);
+  }
+
+  if (requestedHostId && requestedHostId !== decoded.hostId) {
+    throw new Error(`Token was not issued for host ${requestedHostId}`);
+  }
+
+  return {
+    hostId: decoded.hostId,
+    access: decoded.access || 'control',
+    username: decoded.username,
+    tokenId: decoded.id,
+  };
+}
+
+function countMessage(direction: 'in' | 'out', peer: 'host' | 'client', type: string, bytes: number) {
+  relayedMessages.inc({ direction, peer, type });
+  relayedBytes.inc({ direction, peer, type }, bytes);
+  messageSizes.observe({ direction, peer }, bytes);
+}
+
+function sendServerMessage(socket: WebSocket, message: terminal.IServerMessage) {
+  if (socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  const payload = terminal.ServerMessage.encode(message).finish();
+  const type = Object.entries(message).find(([, value]) => value != null)?.[0] ?? 'unknown';
+  countMessage('out', socketRoles.get(socket) ?? 'client', type, payload.length);
+  socket.send(payload);
+}
+
+/** Forwards a client's message to its host. */
+function sendClientMessage(socket: WebSocket, message: terminal.ClientMessage) {
+  const payload = terminal.ClientMessage.encode(message).finish();
+  countMessage('out', 'host', message.payload ?? 'unknown', payload.length);
+  socket.send(payload);
+}
+
+function sendSystemMessage(socket: WebSocket, text: string) {
+  sendServerMessage(socket, { systemMessage: { message: text } });
+}
+
+function sendErrorMessage(socket: WebSocket, text: string) {
+  sendServerMessage(socket, { errorMessage: { message: text } });
+}
+
+function attachmentKey(clientId: string, channelId = '') {
+  return `${clientId}/${channelId}`;
+}
+
+// Extra channels (terminal tabs) start recording the first time they carry traffic.
+function channelRecorder(host: HostRecord, clientId: string, channelId = '') {
+  const existing = recordings.get(clientId, channelId);
+  if (existing || !channelId || !host.settings.recordSessions) {
+    return existing;
+  }
+
+  return recordings.start({
+    hostId: host.hostId,
+    clientId,
+    channelId,
+    username: host.clientAttachments.get(attachmentKey(clientId))?.username || undefined,
+  });
+}
+
+function sessionMembers(host: HostRecord, sessionId: string) {
+  return [...host.clientAttachments.values()].filter((attachment) => sessionId && attachment.sessionId === sessionId);
+}
+
+function isSpectator(attachment: terminal.IClientAttached | undefined) {
+  return attachment?.role === terminal.SessionRole.SPECTATOR;
+}
+
+function sendRoleUpdate(host: HostRecord, attachment: terminal.IClientAttached, update: terminal.IRoleUpdate = {}) {
+  const socket = host.clientSockets.get(attachment.clientId || '');
+  if (socket) {
+    sendServerMessage(socket, {
+      roleUpdate: { channelId: attachment.channelId || '', role: attachment.role || terminal.SessionRole.DRIVER, ...update },
+    });
+  }
+}
+
+// Roles are the relay's to give: a member attaching again keeps theirs, and only a session
+// nobody else drives takes a new driver. Everyone else joins as a spectator and asks for control.
+function grantRole(host: HostRecord, clientId: string, channelId: string, sessionId: string, requested: terminal.SessionRole) {
+  if (requested === terminal.SessionRole.SPECTATOR) {
+    return terminal.SessionRole.SPECTATOR;
+  }
+
+  const current = host.clientAttachments.get(attachmentKey(clientId, channelId));
+  if (sessionId && current?.sessionId === sessionId) {
+    return current.role || terminal.SessionRole.DRIVER;
+  }
+
+  const driven = sessionMembers(host, sessionId).some((member) => !isSpectator(member) && member.clientId !== clientId);
+  return driven ? terminal.SessionRole.SPECTATOR : terminal.SessionRole.DRIVER;
+}
+
+// Asks the other drivers of the requester's session to hand over; an undriven session is simply taken.
+function requestControl(host: HostRecord, requester: terminal.IClientAttached) {
+  if (!isSpectator(requester)) {
+    return 'You are already driving this session';
+  }
+
+  const drivers = sessionMembers(host, requester.sessionId || '').filter(
+    (member) => !isSpectator(member) && member.clientId !== requester.clientId,
+  );
+  if (drivers.length === 0) {
+    requester.role = terminal.SessionRole.DRIVER;
+    sendRoleUpdate(host, requester);
+    return null;
+  }
+
+  for (const driver of drivers) {
+    sendRoleUpdate(host, driver, { requesterId: requester.clientId, requesterName: requester.username });
+  }
+  const socket = host.clientSockets.get(requester.clientId || '');
+  if (socket) {
+    sendSystemMessage(socket, `Asked ${drivers.length} driver(s) for control`);
+  }
+  return null;
+}
+
+function handOverControl(host: HostRecord, from: terminal.IClientAttached, targetClientId: string) {
+  if (isSpectator(from)) {
+    return 'Only a driver can hand over control';
+  }
+
+  const target = sessionMembers(host, from.sessionId || '').find(
+    (member) => member.clientId === targetClientId && member.clientId !== from.clientId,
+  );
+  if (!target) {
+    return `Client ${targetClientId} is not attached to this session`;
+  }
+
+  target.role = terminal.SessionRole.DRIVER;
+  from.role = terminal.SessionRole.SPECTATOR;
+  sendRoleUpdate(host, target);
+  sendRoleUpdate(host, from);
+  return null;
+}
+
+// Admin mode respawns the host's shells with elevated privileges, so it takes a relay
+// account that may change the host's settings rather than just control access.
+function authorizeHostControl(
+  host: HostRecord,
+  access: ClientAccess,
+  username: string | undefined,
+  feature: terminal.HostControl.Feature,
+) {
+  if (!host.hostSocket || host.hostSocket.readyState !== WebSocket.OPEN) {
+    return 'Host is offline';
+  }
+  if (access === 'view' || host.settings.readOnly) {
+    return 'Only clients with control access can change host features';
+  }
+  if (feature === terminal.HostControl.Feature.ADMIN) {
+    const user = username ? userService.get(username) : null;
+    if (!user || !canAccessHost(user, 'host:settings', host.hostId)) {
+      return `Admin mode requires an account with host:settings on host ${host.hostId}`;
+    }
+  }
+
+  return null;
+}
+
+// Files are as sensitive as the shell, so view-only accounts get neither; read-only hosts still serve downloads.
+function authorizeFileTransfer(host: HostRecord, access: ClientAccess, action: terminal.FileTransfer.Action) {
+  if (!host.capabilities?.supportsFileTransfer) {
+    return 'Host does not support file transfer';
+  }
+  if (access === 'view') {
+    return 'Your account has view-only access to this host';
+  }
+  if (action === terminal.FileTransfer.Action.UPLOAD_START && host.settings.readOnly) {
+    return 'Host is currently in read-only mode';
+  }
+
+  return null;
+}
+
+// Browsing follows the file transfer rules: listing and previews are reads, renames and deletes writes.
+function authorizeFileSystem(host: HostRecord, access: ClientAccess, action: terminal.FileSystemRequest.Action) {
+  if (!host.capabilities?.supportsFileBrowser) {
+    return 'Host does not support file browsing';
+  }
+  if (access === 'view') {
+    return 'Your account has view-only access to this host';
+  }
+
+  const writes = action === terminal.FileSystemRequest.Action.RENAME || action === terminal.FileSystemRequest.Action.DELETE;
+  if (writes && host.settings.readOnly) {
+    return 'Host is currently in read-only mode';
+  }
+
+  return null;
+}
+
+// A tunnel reaches services on the host's network, which is more than read-only hosts allow.
+function authorizePortForward(host: HostRecord, access: ClientAccess, clientId: string) {
+  if (!host.capabilities?.supportsPortForward) {
+    return 'Host does not allow port forwarding';
+  }
+  if (access === 'view') {
+    return 'Your account has view-only access to this host';
+  }
+  if (host.settings.readOnly) {
+    return 'Host is currently in read-only mode';
+  }
+  if (tunnels.openStreamCount(clientId) >= MAX_TUNNEL_STREAMS) {
+    return `At most ${MAX_TUNNEL_STREAMS} forwarded connections may be open at once`;
+  }
+
+  return null;
+}
+
+// Commands run with the host user's full rights, like typing into a shell.
+function authorizeExec(host: HostRecord, access: ClientAccess) {
+  if (!host.capabilities?.supportsExec) {
+    return 'Host does not support exec';
+  }
+  if (access === 'view') {
+    return 'Your account has view-only access to this host';
+  }
+  if (host.settings.readOnly) {
+    return 'Host is currently in read-only mode';
+  }
+
+  return null;
+}
+
+function deliverOutput(host: HostRecord, output: terminal.IPtyOutput) {
+  const clientId = output.clientId || '';
+  const channelId = output.channelId || '';
+  const target = host.clientSockets.get(clientId);
+  if (!target) {
+    return;
+  }
+
+  sendServerMessage(target, { ptyOutput: output });
+  channelRecorder(host, clientId, channelId)?.output(output.data || '');
+  const attachment = host.clientAttachments.get(attachmentKey(clientId, channelId));
+  if (attachment && output.seq) {
+    attachment.lastSeq = output.seq;
+  }
+}
+
+// A (re)connected host has no idea which clients are still here, so bind them again.
+function resendClientAttachments(host: HostRecord) {
+  if (!host.hostSocket) {
+    return;
+  }
+
+  for (const attachment of host.clientAttachments.values()) {
+    sendServerMessage(host.hostSocket, { clientAttached: attachment });
+  }
+}
+
+// Deltas only make sense to a viewer that already has a frame, so joiners ask for a keyframe.
+function sendScreenViewers(host: HostRecord, keyframe: boolean) {
+  if (host.hostSocket) {
+    sendServerMessage(host.hostSocket, { screenViewers: { count: host.screenViewers.size, keyframe } });
+  }
+}
+
+// A host's owning user keeps its role permissions on that host without an explicit grant.
+function canAccessHost(user: RelayUser, permission: Permission, hostId: string) {
+  if (hosts.get(hostId)?.owner === user.username) {
+    return userService.can(user, permission);
+  }
+
+  return userService.can(user, permission, hostId);
+}
+
+function canRegisterHost(user: RelayUser, hostId: string) {
+  if (!userService.can(user, 'host:register')) {
+    return false;
+  }
+
+  const owner = hosts.get(hostId)?.owner;
+  return !owner || owner === user.username || user.role === 'owner';
 }
 
-function sendServerMessage(socket: WebSocket, message: terminal.IServerMessage) {
-  if (socket.readyState !== WebSocket.OPEN) {
+function resolveUser(req: express.Request): RelayUser | null {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    try {
+      const decoded = TokenService.verifyUserToken(header.slice('Bearer '.length));
+      return issuedTokens.check(decoded.id) ? null : userService.get(decoded.username);
+    } catch {
+      return null;
+    }
+  }
+
+  return userService.authenticate(req.body?.username, req.body?.password);
+}
+
+function requirePermission(
+  req: express.Request,
+  res: express.Response,
+  permission: Permission,
+  hostId?: string,
+): RelayUser | null {
+  const claimedUsername = typeof req.body?.username === 'string' ? req.body.username : null;
+  const context: AuthContext = { actor: claimedUsername, sourceIp: getPeerIp(req), hostId };
+  // Bearer tokens are signed and cannot be guessed; passwords in the body can.
+  const limitKeys = req.headers.authorization?.startsWith('Bearer ') ? null : requestLimitKeys(req, claimedUsername, hostId);
+  const limited = limitKeys && limitAuthAttempt(limitKeys, context);
+  if (limited) {
+    sendTooManyAttempts(res, limited);
+    return null;
+  }
+
+  const user = resolveUser(req);
+  const denied = (actor: string | null, detail: string) =>
+    audit.record({
+      action: 'api.denied',
+      outcome: 'failure',
+      actor,
+      sourceIp: getPeerIp(req),
+      hostId: hostId ?? null,
+      detail: `${req.method} ${req.path}: ${detail}`,
+    });
+  if (!user) {
+    denied(claimedUsername, 'invalid credentials');
+    if (limitKeys) {
+      recordAuthResult(limitKeys, false, context);
+    }
+    res.status(401).json({ error: 'Invalid username or password' });
+    return null;
+  }
+  if (limitKeys) {
+    recordAuthResult(limitKeys, true, context);
+  }
+
+  const allowed = hostId
+    ? canAccessHost(user, permission, hostId)
+    : userService.can(user, permission);
+  if (!allowed) {
+    const scope = hostId ? ` on host ${hostId}` : '';
+    denied(user.username, `lacks ${permission}`);
+    res.status(403).json({ error: `User ${user.username} lacks ${permission}${scope}` });
+    return null;
+  }
+
+  return user;
+}
+
+// Clients can forge X-Forwarded-For, except for the last entry a trusted proxy appends,
+// so rate limits, approval prompts and the audit log use that entry or the peer address.
+function getPeerIp(req: http.IncomingMessage) {
+  const forwarded = TRUST_PROXY ? req.headers['x-forwarded-for'] : undefined;
+  const last = (Array.isArray(forwarded) ? forwarded.at(-1) : forwarded)?.split(',').at(-1)?.trim();
+  return last || req.socket.remoteAddress || '';
+}
+
+// Who is authenticating, for the audit events limits raise.
+type AuthContext = Omit<AuditRecord, 'action' | 'outcome' | 'detail'>;
+
+// An omitted username is the built-in owner, so both spellings share one failure count.
+function requestLimitKeys(req: http.IncomingMessage, account: string | null | undefined, hostId?: string | null) {
+  return authLimitKeys(getPeerIp(req), account || ADMIN_USERNAME, hostId);
+}
+
+function sendTooManyAttempts(res: express.Response, limited: { seconds: number; error: string }) {
+  res.setHeader('Retry-After', String(limited.seconds));
+  res.status(429).json({ error: limited.error });
+}
+
+/** Counts a password or secret check; returns why it is refused, if it is. */
+function limitAuthAttempt(keys: string[], context: AuthContext) {
+  const refusal = limiter.attempt(keys);
+  if (!refusal) {
+    return null;
+  }
+
+  const seconds = Math.ceil(refusal.retryAfterMs / 1000);
+  if (refusal.tripped && refusal.reason === 'rate-limited') {
+    audit.record({ ...context, action: 'auth.throttled', outcome: 'failure', detail: `${refusal.key} over its rate limit` });
+  }
+  return { seconds, error: `Too many authentication attempts; try again in ${seconds}s` };
+}
+
+function recordAuthResult(keys: string[], ok: boolean, context: AuthContext) {
+  if (ok) {
+    limiter.succeed(keys);
+    return;
+  }
+
+  for (const lockout of limiter.fail(keys)) {
+    audit.record({
+      ...context,
+      action: 'auth.locked',
+      outcome: 'failure',
+      detail: `${lockout.key} locked for ${Math.ceil(lockout.durationMs / 1000)}s after ${lockout.failures} failures`,
+    });
+  }
+}
+
+function requestClientApproval(host: HostRecord, pending: PendingClient) {
+  const clientId = pending.request.clientId!;
+  if (!host.hostSocket || host.hostSocket.readyState !== WebSocket.OPEN) {
+    pending.deny('Host is offline and cannot approve connections');
+    return;
+  }
+
+  host.pendingClients.set(clientId, pending);
+  pending.timer = setTimeout(
+    () => cancelClientApproval(host, clientId, 'Timed out waiting for host approval'),
+    APPROVAL_TIMEOUT_MS,
+  );
+  sendServerMessage(host.hostSocket, {
+    connectionRequest: {
+      ...pending.request,
+      timeoutSeconds: Math.round(APPROVAL_TIMEOUT_MS / 1000),
+    },
+  });
+}
+
+function resolveClientApproval(host: HostRecord, clientId: string, approved: boolean, reason: string) {
+  const pending = host.pendingClients.get(clientId);
+  if (!pending) {
+    return false;
+  }
+
+  clearTimeout(pending.timer);
+  host.pendingClients.delete(clientId);
+  if (approved) {
+    pending.admit();
+  } else {
+    pending.deny(reason);
+  }
+
+  return true;
+}
+
+// Used when the decision no longer belongs to the host, so its prompt is withdrawn too.
+function cancelClientApproval(host: HostRecord, clientId: string, reason: string) {
+  if (resolveClientApproval(host, clientId, false, reason) && host.hostSocket) {
+    sendServerMessage(host.hostSocket, { connectionRequest: { clientId, cancelled: true } });
+  }
+}
+
+function sanitizeSettings(input: Partial<HostSettings>) {
+  return {
+    displayName: typeof input.displayName === 'string' ? input.displayName.trim() : undefined,
+    notes: typeof input.notes === 'string' ? input.notes.trim() : undefined,
+    readOnly: typeof input.readOnly === 'boolean' ? input.readOnly : undefined,
+    welcomeMessage:
+      typeof input.welcomeMessage === 'string' ? input.welcomeMessage.trim() : undefined,
+    preferredShell:
+      typeof input.preferredShell === 'string' ? input.preferredShell.trim() : undefined,
+    preferredCwd: typeof input.preferredCwd === 'string' ? input.preferredCwd.trim() : undefined,
+    recordSessions: typeof input.recordSessions === 'boolean' ? input.recordSessions : undefined,
+  };
+}
+
+function parseAuditQuery(query: express.Request['query']): AuditQuery {
+  const text = (name: string) => (typeof query[name] === 'string' ? (query[name] as string).trim() || undefined : undefined);
+  const time = (name: string) => {
+    const value = text(name);
+    if (value === undefined) {
+      return undefined;
+    }
+
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new Error(`${name} must be an ISO 8601 time`);
+    }
+    return parsed;
+  };
+
+  const limit = text('limit');
+  if (limit !== undefined && !/^\d+$/.test(limit)) {
+    throw new Error('limit must be a positive number');
+  }
+
+  return {
+    hostId: text('hostId'),
+    actor: text('actor'),
+    action: text('action'),
+    since: time('since'),
+    until: time('until'),
+    limit: limit === undefined ? undefined : Number(limit),
+  };
+}
+
+app.get('/health', (_, res) => {
+  res.json({
+    ok: true,
+    status: 'healthy',
+    hosts: hosts.size,
+    version: '3.0.0',
+    protocolVersion: PROTOCOL_VERSION,
+  });
+});
+
+// Open unless METRICS_TOKEN is set, as Prometheus scrapers usually are.
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.headers.authorization || '', `Bearer ${METRICS_TOKEN}`)) {
+    res.status(401).json({ error: 'Invalid metrics token' });
+    return;
+  }
+
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+app.get('/api/hosts', (_, res) => {
+  const items = [...hosts.values()]
+    .map(summarizeHost)
+    .sort((left, right) => left.hostId.localeCompare(right.hostId));
+  res.json({ items });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const context: AuthContext = {
+    actor: typeof req.body?.username === 'string' ? req.body.username : null,
+    sourceIp: getPeerIp(req),
+  };
+  const limitKeys = requestLimitKeys(req, context.actor);
+  const limited = limitAuthAttempt(limitKeys, context);
+  if (limited) {
+    sendTooManyAttempts(res, limited);
+    return;
+  }
+
+  const user = userService.authenticate(req.body?.username, req.body?.password);
+  audit.record({
+    ...context,
+    action: 'auth.login',
+    outcome: user ? 'success' : 'failure',
+    detail: user ? undefined : 'invalid credentials',
+  });
+  recordAuthResult(limitKeys, Boolean(user), context);
+  if (!user) {
+    res.status(401).json({ error: 'Invalid username or password' });
+    return;
+  }
+
+  res.json({ token: signUserToken(user), user });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  const user = resolveUser(req);
+  if (!user) {
+    res.status(401).json({ error: 'Not authenticated' });
+    return;
+  }
+
+  res.json({ user });
+});
+
+app.get('/api/users', (req, res) => {
+  if (!requirePermission(req, res, 'users:manage')) {
+    return;
+  }
+
+  res.json({ items: userService.list() });
+});
+
+app.post('/api/users', (req, res) => {
+  const actor = requirePermission(req, res, 'users:manage');
+  if (!actor) {
+    return;
+  }
+
+  const record = (outcome: 'success' | 'failure', detail: string) =>
+    audit.record({ action: 'user.create', outcome, actor: actor.username, sourceIp: getPeerIp(req), detail });
+  try {
+    const item = userService.create(req.body?.user ?? {});
+    record('success', `${item.username} as ${item.role}`);
+    res.status(201).json({ item });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Invalid user';
+    record('failure', message);
+    res.status(400).json({ error: message });
+  }
+});
+
+app.patch('/api/users/:username', (req, res) => {
+  const actor = requirePermission(req, res, 'users:manage');
+  if (!actor) {
+    return;
+  }
+
+  const record = (outcome: 'success' | 'failure', detail: string) =>
+    audit.record({ action: 'user.update', outcome, actor: actor.username, sourceIp: getPeerIp(req), detail });
+  try {
+    const item = userService.update(req.params.username, req.body?.user ?? {});
+    if (!item) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    record('success', `${item.username} as ${item.role}`);
+    res.json({ item });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Invalid user';
+    record('failure', `${req.params.username}: ${message}`);
+    res.status(400).json({ error: message });
+  }
+});
+
+app.delete('/api/users/:username', (req, res) => {
+  const actor = requirePermission(req, res, 'users:manage');
+  if (!actor) {
+    return;
+  }
+
+  const record = (outcome: 'success' | 'failure', detail: string) =>
+    audit.record({ action: 'user.delete', outcome, actor: actor.username, sourceIp: getPeerIp(req), detail });
+  try {
+    if (!userService.delete(req.params.username)) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    record('success', req.params.username);
+    res.status(204).end();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Invalid user';
+    record('failure', `${req.params.username}: ${message}`);
+    res.status(400).json({ error: message });
+  }
+});
+
+app.get('/api/users/:username/tokens', (req, res) => {
+  if (!requirePermission(req, res, 'users:manage')) {
+    return;
+  }
+
+  res.json({ items: issuedTokens.listUserTokens(req.params.username) });
+});
+
+app.delete('/api/users/:username/tokens/:tokenId', (req, res) => {
+  const actor = requirePermission(req, res, 'users:manage');
+  if (!actor) {
+    return;
+  }
+
+  const token = issuedTokens.revokeUserToken(req.params.username, req.params.tokenId);
+  if (!token) {
+    res.status(404).json({ error: 'Token not found or no longer active' });
+    return;
+  }
+
+  audit.record({
+    action: 'token.revoke',
+    outcome: 'success',
+    actor: actor.username,
+    sourceIp: getPeerIp(req),
+    detail: `login token ${token.id} issued to ${token.issuedTo}`,
+  });
+  res.json({ token });
+});
+
+app.post('/api/hosts/:hostId/client-token', (req, res) => {
+  const accessSecret = req.body?.accessSecret;
+  if (typeof accessSecret === 'string' && accessSecret) {
+    const context: AuthContext = { actor: 'access-secret', sourceIp: getPeerIp(req), hostId: req.params.hostId };
+    const limitKeys = requestLimitKeys(req, 'access-secret', req.params.hostId);
+    const limited = limitAuthAttempt(limitKeys, context);
+    if (limited) {
+      sendTooManyAttempts(res, limited);
+      return;
+    }
+
+    const host = hosts.get(req.params.hostId);
+    const valid = Boolean(host?.accessSecretHash && verifySecret(accessSecret, host.accessSecretHash));
+    audit.record({
+      ...context,
+      action: 'token.issue',
+      outcome: valid ? 'success' : 'failure',
+      detail: valid ? 'control access' : 'invalid host access secret',
+    });
+    recordAuthResult(limitKeys, valid, context);
+    if (!host || !valid) {
+      res.status(401).json({ error: 'Invalid host access secret' });
+      return;
+    }
+
+    host.lastClientAt = nowIso();
+    persistState();
+    res.json({
+      token: signClientToken({ hostId: host.hostId, access: 'control' }),
+      host: summarizeHost(host),
+    });
+    return;
+  }
+
+  const user = requirePermission(req, res, 'host:connect', req.params.hostId);
+  if (!user) {
+    return;
+  }
+
+  const host = getHost(req.params.hostId);
+  const access: ClientAccess = canAccessHost(user, 'host:settings', host.hostId) ? 'control' : 'view';
+  const token = signClientToken({ hostId: host.hostId, username: user.username, access });
+  audit.record({
+    action: 'token.issue',
+    outcome: 'success',
+    actor: user.username,
+    sourceIp: getPeerIp(req),
+    hostId: host.hostId,
+    detail: `${access} access`,
+  });
+
+  res.json({
+    token,
+    host: summarizeHost(host),
+  });
+});
+
+function summarizeIssuedToken(token: PersistedIssuedToken) {
+  return { ...token, connections: tokenSockets.get(token.id)?.size ?? 0 };
+}
+
+app.get('/api/hosts/:hostId/tokens', (req, res) => {
+  if (!requirePermission(req, res, 'host:settings', req.params.hostId)) {
+    return;
+  }
+
+  res.json({ items: issuedTokens.listActive(req.params.hostId).map(summarizeIssuedToken) });
+});
+
+app.delete('/api/hosts/:hostId/tokens/:tokenId', (req, res) => {
+  const actor = requirePermission(req, res, 'host:settings', req.params.hostId);
+  if (!actor) {
     return;
   }
 
-  socket.send(terminal.ServerMessage.encode(message).finish());
-}
+  const token = issuedTokens.revoke(req.params.hostId, req.params.tokenId);
+  if (!token) {
+    res.status(404).json({ error: 'Token not found or no longer active' });
+    return;
+  }
 
-function sendSystemMessage(socket: WebSocket, text: string) {
-  sendServerMessage(socket, { systemMessage: { message: text } });
-}
+  const sockets = [...(tokenSockets.get(token.id) ?? [])];
+  for (const socket of sockets) {
+    sendSystemMessage(socket, `The token for this connection was revoked by ${actor.username}`);
+    socket.close(1008, 'Token revoked');
+  }
+  audit.record({
+    action: 'token.revoke',
+    outcome: 'success',
+    actor: actor.username,
+    sourceIp: getPeerIp(req),
+    hostId: token.hostId,
+    detail: `${token.kind} token ${token.id} issued to ${token.issuedTo || 'unknown'}, ${sockets.length} disconnected`,
+  });
 
-function sendErrorMessage(socket: WebSocket, text: string) {
-  sendServerMessage(socket, { errorMessage: { message: text } });
-}
+  res.json({ token, disconnected: sockets.length });
+});
 
-function authenticatePassword(password?: string | null) {
-  return password === ADMIN_PASSWORD;
-}
+app.get('/api/hosts/:hostId/recordings', (req, res) => {
+  if (!requirePermission(req, res, 'host:recordings', req.params.hostId)) {
+    return;
+  }
 
-function sanitizeSettings(input: Partial<HostSettings>) {
-  return {
-    displayName: typeof input.displayName === 'string' ? input.displayName.trim() : undefined,
-    notes: typeof input.notes === 'string' ? input.notes.trim() : undefined,
-    readOnly: typeof input.readOnly === 'boolean' ? input.readOnly : undefined,
-    welcomeMessage:
-      typeof input.welcomeMessage === 'string' ? input.welcomeMessage.trim() : undefined,
-    preferredShell:
-      typeof input.preferredShell === 'string' ? input.preferredShell.trim() : undefined,
-    preferredCwd: typeof input.preferredCwd === 'string' ? input.preferredCwd.trim() : undefined,
-  };
-}
+  res.json({ items: recordings.list(req.params.hostId) });
+});
 
-app.get('/health', (_, res) => {
-  res.json({
-    ok: true,
-    status: 'healthy',
-    hosts: hosts.size,
-    version: '3.0.0',
+app.get('/api/hosts/:hostId/recordings/:recordingId', (req, res) => {
+  if (!requirePermission(req, res, 'host:recordings', req.params.hostId)) {
+    return;
+  }
+
+  const found = recordings.find(req.params.hostId, req.params.recordingId);
+  if (!found) {
+    res.status(404).json({ error: 'Recording not found' });
+    return;
+  }
+
+  res.type('application/x-asciicast');
+  res.download(found.filePath, `${found.recording.id}.cast`, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Recording file is missing' });
+    }
   });
 });
 
-app.get('/api/hosts', (_, res) => {
-  const items = [...hosts.values()]
-    .map(summarizeHost)
-    .sort((left, right) => left.hostId.localeCompare(right.hostId));
-  res.json({ items });
+app.get('/api/hosts/:hostId/tunnels', (req, res) => {
+  if (!requirePermission(req, res, 'host:settings', req.params.hostId)) {
+    return;
+  }
+
+  res.json({ items: tunnels.list(req.params.hostId) });
 });
 
-app.post('/api/hosts/:hostId/client-token', (req, res) => {
-  if (!authenticatePassword(req.body?.password)) {
-    res.status(401).json({ error: 'Invalid admin password' });
+// Relay-wide, so only owners may read it.
+app.get('/api/audit', (req, res) => {
+  if (!requirePermission(req, res, 'audit:read')) {
     return;
   }
 
-  const host = getHost(req.params.hostId);
-  const token = signToken({ hostId: host.hostId, role: 'client' });
+  let query: AuditQuery;
+  try {
+    query = parseAuditQuery(req.query);
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : 'Invalid query' });
+    return;
+  }
 
-  res.json({
-    token,
-    host: summarizeHost(host),
-  });
+  audit.query(query).then(
+    (items) => res.json({ items }),
+    (error: unknown) => {
+      console.error('Failed to read the audit log:', error);
+      res.status(500).json({ error: 'Failed to read the audit log' });
+    },
+  );
 });
 
 app.patch('/api/hosts/:hostId/settings', (req, res) => {
-  if (!authenticatePassword(req.body?.password)) {
-    res.status(401).json({ error: 'Invalid admin password' });
+  const user = requirePermission(req, res, 'host:settings', req.params.hostId);
+  if (!user) {
     return;
   }
 
   const host = getHost(req.params.hostId);
-  const patch = sanitizeSettings(req.body ?? {});
-  host.settings = {
-    ...host.settings,
-    ...Object.fromEntries(Object.entries(patch).filter(([, value]) => value !== undefined)),
-  };
+  const changes = Object.fromEntries(
+    Object.entries(sanitizeSettings(req.body ?? {})).filter(([, value]) => value !== undefined),
+  );
+  host.settings = { ...host.settings, ...changes };
+  audit.record({
+    action: 'host.settings',
+    outcome: 'success',
+    actor: user.username,
+    sourceIp: getPeerIp(req),
+    hostId: host.hostId,
+    detail: Object.keys(changes).join(', ') || 'no changes',
+  });
 
   if (!host.settings.displayName) {
     host.settings.displayName = createDefaultSettings(host.hostId).displayName;
   }
 
+  persistState();
+
   if (host.hostSocket) {
     sendSystemMessage(host.hostSocket, 'Host settings updated from dashboard');
   }
@@ -210,10 +1304,72 @@ wss.on('connection', (socket: WebSocket, req) => {
     socket.close(1008, 'Invalid websocket path');
     return;
   }
+  socketRoles.set(socket, role);
 
   let authenticated = false;
   let currentHostId: string | null = null;
+  let currentTokenId: string | null = null;
+  let clientAccess: ClientAccess = 'control';
+  let pendingApproval = false;
+  let clientUsername: string | undefined;
   const clientId = crypto.randomUUID();
+  let clientSessionId: string = clientId;
+  let clientSessionPersistent = false;
+  let clientLastSeq = 0;
+  let clientRole = terminal.SessionRole.DRIVER;
+  const sourceIp = getPeerIp(req);
+  const recordAudit = (event: AuditRecord) =>
+    audit.record({ sourceIp, hostId: currentHostId, clientId: role === 'client' ? clientId : null, ...event });
+
+  const admitClient = (host: HostRecord) => {
+    pendingApproval = false;
+    clientRole = grantRole(host, clientId, '', clientSessionId, clientRole);
+    recordAudit({ action: 'client.connect', outcome: 'success', actor: clientUsername, detail: `${clientAccess} access` });
+    host.clientSockets.set(clientId, socket);
+    host.lastClientAt = nowIso();
+    authenticated = true;
+    persistState();
+
+    if (host.settings.recordSessions) {
+      recordings.start({ hostId: host.hostId, clientId, username: clientUsername });
+    }
+
+    const attachment: terminal.IClientAttached = {
+      clientId,
+      sessionId: clientSessionId,
+      username: clientUsername || '',
+      persistent: clientSessionPersistent,
+      lastSeq: clientLastSeq,
+      role: clientRole,
+    };
+    host.clientAttachments.set(attachmentKey(clientId), attachment);
+    if (host.hostSocket) {
+      sendServerMessage(host.hostSocket, { clientAttached: attachment });
+    }
+
+    sendServerMessage(socket, {
+      authResponse: {
+        ok: true,
+        isAdminActive: host.adminActive,
+        isScreenActive: host.screenActive,
+        remoteInputAllowed: host.remoteInputAllowed,
+        protocolVersion: PROTOCOL_VERSION,
+        hostCapabilities: host.capabilities,
+      },
+    });
+    sendServerMessage(socket, { roleUpdate: { channelId: '', role: clientRole } });
+    sendSystemMessage(socket, `Client authenticated as ${clientId}`);
+    if (host.settings.welcomeMessage) {
+      sendSystemMessage(socket, host.settings.welcomeMessage);
+    }
+  };
+
+  const denyClient = (reason: string) => {
+    pendingApproval = false;
+    recordAudit({ action: 'client.connect', outcome: 'failure', actor: clientUsername, detail: reason });
+    sendServerMessage(socket, { authResponse: { ok: false, error: reason } });
+    socket.close(1008, 'Connection not approved');
+  };
 
   socket.on('message', (data: Buffer) => {
     if (role === 'host') {
@@ -221,22 +1377,67 @@ wss.on('connection', (socket: WebSocket, req) => {
       try {
         hostMessage = terminal.HostMessage.decode(new Uint8Array(data));
       } catch {
+        countMessage('in', 'host', 'invalid', data.length);
         sendErrorMessage(socket, 'Invalid protobuf payload');
         return;
       }
+      countMessage('in', 'host', hostMessage.payload ?? 'unknown', data.length);
 
       if (!authenticated) {
         try {
           if (hostMessage.registerHost) {
-            if (!authenticatePassword(hostMessage.registerHost.password)) {
+            const versionError = protocolVersionError(hostMessage.registerHost.protocolVersion);
+            if (versionError) {
+              sendServerMessage(socket, {
+                registerHostResponse: { ok: false, error: versionError, protocolVersion: PROTOCOL_VERSION },
+              });
+              return;
+            }
+
+            const context: AuthContext = {
+              actor: hostMessage.registerHost.username || null,
+              sourceIp,
+              hostId: hostMessage.registerHost.hostId || null,
+            };
+            const limitKeys = requestLimitKeys(req, context.actor, hostMessage.registerHost.hostId);
+            const limited = limitAuthAttempt(limitKeys, context);
+            if (limited) {
+              sendServerMessage(socket, { registerHostResponse: { ok: false, error: limited.error } });
+              return;
+            }
+
+            const user = userService.authenticate(
+              hostMessage.registerHost.username,
+              hostMessage.registerHost.password,
+            );
+            if (!user) {
+              recordAudit({ ...context, action: 'host.register', outcome: 'failure', detail: 'invalid credentials' });
+              recordAuthResult(limitKeys, false, context);
               sendServerMessage(socket, {
                 registerHostResponse: { ok: false, error: 'Invalid password' },
               });
               return;
             }
+            recordAuthResult(limitKeys, true, context);
+
+            const requestedHostId = hostMessage.registerHost.hostId || crypto.randomUUID();
+            if (!canRegisterHost(user, requestedHostId)) {
+              const owner = hosts.get(requestedHostId)?.owner;
+              const error = owner && owner !== user.username
+                ? `Host ${requestedHostId} is owned by ${owner}`
+                : `User ${user.username} may not register host ${requestedHostId}`;
+              recordAudit({ action: 'host.register', outcome: 'failure', actor: user.username, hostId: requestedHostId, detail: error });
+              sendServerMessage(socket, { registerHostResponse: { ok: false, error } });
+              return;
+            }
 
-            currentHostId = hostMessage.registerHost.hostId || crypto.randomUUID();
+            currentHostId = requestedHostId;
             const host = getHost(currentHostId);
+            host.owner = host.owner || user.username;
+            host.requireApproval = Boolean(hostMessage.registerHost.requireApproval);
+            // Registration describes the host's current configuration, so an omitted secret clears it.
+            const accessSecret = hostMessage.registerHost.accessSecret || '';
+            host.accessSecretHash = accessSecret ? hashSecret(accessSecret) : undefined;
             host.lastSeenAt = nowIso();
             host.isAdmin = Boolean(hostMessage.registerHost.runAsAdmin);
             host.hwid = hostMessage.registerHost.hwid || '';
@@ -246,8 +1447,11 @@ wss.on('connection', (socket: WebSocket, req) => {
             const uniqueMess = `${host.hwid}:${host.ip}:${crypto.randomBytes(16).toString('hex')}`;
             const hostToken = crypto.createHash('sha256').update(uniqueMess).digest('hex');
             
-            host.token = hostToken;
-            tokens.set(hostToken, currentHostId);
+            const tokenHash = hashMachineToken(hostToken);
+            tokens.set(tokenHash, { hostId: currentHostId, issuedAt: nowIso() });
+            trackMachineToken(tokenHash, currentHostId, user.username);
+            currentTokenId = machineTokenId(tokenHash);
+            bindTokenSocket(currentTokenId, socket);
 
             if (host.hostSocket && host.hostSocket !== socket) {
               sendSystemMessage(host.hostSocket, 'Another host session replaced this connection');
@@ -256,45 +1460,38 @@ wss.on('connection', (socket: WebSocket, req) => {
 
             host.hostSocket = socket;
             authenticated = true;
-            
+            persistState();
+
             sendServerMessage(socket, {
               registerHostResponse: {
                 ok: true,
                 token: hostToken,
                 isAdmin: host.isAdmin,
+                protocolVersion: PROTOCOL_VERSION,
               },
             });
             sendSystemMessage(socket, `Host ${currentHostId} registered with unique machine token`);
-
-            // Discord Webhook Notification
-            void fetch(DISCORD_WEBHOOK, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                content: `🌐 **TypeScript Relay**: New Host Registered\n🆔 ID: \`${currentHostId}\`\n🔑 Token: \`${hostToken}\``
-              })
-            }).catch(err => console.error('Failed to send Discord webhook:', err));
-
+            recordAudit({ action: 'host.register', outcome: 'success', actor: user.username });
+            resendClientAttachments(host);
+            sendScreenViewers(host, true);
             return;
           }
 
           if (hostMessage.authRequest) {
-            let hostId = hostMessage.authRequest.hostId || '';
-            const providedToken = hostMessage.authRequest.token;
-
-            if (providedToken && tokens.has(providedToken)) {
-              hostId = tokens.get(providedToken)!;
-            } else {
-              const decoded = verifyToken(providedToken || '', 'host');
-              hostId = hostId || decoded.hostId;
+            const versionError = protocolVersionError(hostMessage.authRequest.protocolVersion);
+            if (versionError) {
+              throw new Error(versionError);
             }
 
-            if (!hostId) {
-                sendErrorMessage(socket, 'hostId required');
-                return;
-            }
+            const { hostId, tokenId } = resolveTokenHost(
+              hostMessage.authRequest.hostId || '',
+              hostMessage.authRequest.token || '',
+              'host',
+            );
 
             currentHostId = hostId;
+            currentTokenId = tokenId;
+            bindTokenSocket(tokenId, socket);
             const host = getHost(currentHostId);
             host.lastSeenAt = nowIso();
 
@@ -304,8 +1501,15 @@ wss.on('connection', (socket: WebSocket, req) => {
 
             host.hostSocket = socket;
             authenticated = true;
-            sendServerMessage(socket, { authResponse: { ok: true } });
+            persistState();
+            sendServerMessage(socket, { authResponse: { ok: true, protocolVersion: PROTOCOL_VERSION } });
             sendSystemMessage(socket, `Host ${currentHostId} authenticated via token`);
+            recordAudit({ action: 'host.auth', outcome: 'success', actor: `host:${currentHostId}` });
+            resendClientAttachments(host);
+            sendScreenViewers(host, true);
+            for (const clientSocket of host.clientSockets.values()) {
+              sendSystemMessage(clientSocket, 'Host reconnected');
+            }
             return;
           }
 
@@ -313,24 +1517,33 @@ wss.on('connection', (socket: WebSocket, req) => {
           return;
         } catch (error) {
           const message = error instanceof Error ? error.message : 'Authentication failed';
-          sendServerMessage(socket, { authResponse: { ok: false, error: message } });
+          recordAudit({
+            action: 'host.auth',
+            outcome: 'failure',
+            hostId: hostMessage.authRequest?.hostId || null,
+            detail: message,
+          });
+          sendServerMessage(socket, { authResponse: { ok: false, error: message, protocolVersion: PROTOCOL_VERSION } });
           return;
         }
       }
 
       const host = getHost(currentHostId!);
       host.lastSeenAt = nowIso();
+      persistState();
 
       if (hostMessage.ptyOutput) {
-        const targetClientId = hostMessage.ptyOutput.clientId;
-        if (targetClientId) {
-          const target = host.clientSockets.get(targetClientId);
-          if (target) {
-            sendServerMessage(target, { ptyOutput: hostMessage.ptyOutput });
+        const output = hostMessage.ptyOutput;
+        if (output.clientId) {
+          deliverOutput(host, output);
+        } else if (output.sessionId) {
+          for (const member of sessionMembers(host, output.sessionId)) {
+            deliverOutput(host, { ...output, clientId: member.clientId, channelId: member.channelId || '' });
           }
         } else {
-          for (const clientSocket of host.clientSockets.values()) {
-            sendServerMessage(clientSocket, { ptyOutput: hostMessage.ptyOutput });
+          for (const [id, clientSocket] of host.clientSockets) {
+            sendServerMessage(clientSocket, { ptyOutput: output });
+            channelRecorder(host, id, output.channelId || '')?.output(output.data || '');
           }
         }
       }
@@ -342,6 +1555,15 @@ wss.on('connection', (socket: WebSocket, req) => {
           if (target) {
             sendServerMessage(target, { ptyExit: hostMessage.ptyExit });
           }
+        } else if (hostMessage.ptyExit.sessionId) {
+          for (const member of sessionMembers(host, hostMessage.ptyExit.sessionId)) {
+            const target = host.clientSockets.get(member.clientId || '');
+            if (target) {
+              sendServerMessage(target, {
+                ptyExit: { ...hostMessage.ptyExit, clientId: member.clientId, channelId: member.channelId || '' },
+              });
+            }
+          }
         } else {
           for (const clientSocket of host.clientSockets.values()) {
             sendServerMessage(clientSocket, { ptyExit: hostMessage.ptyExit });
@@ -350,25 +1572,130 @@ wss.on('connection', (socket: WebSocket, req) => {
       }
 
       if (hostMessage.screenFrame) {
-        for (const clientSocket of host.clientSockets.values()) {
-          sendServerMessage(clientSocket, { screenFrame: hostMessage.screenFrame });
+        screenFrames.inc();
+        for (const viewerId of host.screenViewers) {
+          const clientSocket = host.clientSockets.get(viewerId);
+          if (clientSocket) {
+            sendServerMessage(clientSocket, { screenFrame: hostMessage.screenFrame });
+            screenFramesDelivered.inc();
+          }
+        }
+      }
+
+      if (hostMessage.sessionList) {
+        const listClientId = hostMessage.sessionList.clientId || '';
+        const target = host.clientSockets.get(listClientId);
+        if (target) {
+          sendServerMessage(target, { sessionList: hostMessage.sessionList });
+        }
+
+        // Keep attachments in step with SessionControl changes so a host reconnect restores them.
+        const channelId = hostMessage.sessionList.channelId || '';
+        const key = attachmentKey(listClientId, channelId);
+        const attachment = host.clientAttachments.get(key);
+        const attachedSessionId = hostMessage.sessionList.attachedSessionId || '';
+        if (!attachedSessionId) {
+          if (channelId) {
+            host.clientAttachments.delete(key);
+          } else if (attachment) {
+            attachment.sessionId = '';
+          }
+        } else if (!attachment && target) {
+          host.clientAttachments.set(key, {
+            clientId: listClientId,
+            channelId,
+            sessionId: attachedSessionId,
+            username: host.clientAttachments.get(attachmentKey(listClientId))?.username || '',
+          });
+        } else if (attachment && attachment.sessionId !== attachedSessionId) {
+          attachment.sessionId = attachedSessionId;
+          attachment.lastSeq = 0;
         }
       }
 
-      if (hostMessage.toggleScreen) {
+      if (hostMessage.connectionDecision) {
+        const decision = hostMessage.connectionDecision;
+        resolveClientApproval(
+          host,
+          decision.clientId || '',
+          Boolean(decision.approved),
+          decision.reason || 'Connection denied by host',
+        );
+      }
+
+      if (hostMessage.toggleScreen && host.screenActive !== Boolean(hostMessage.toggleScreen.enabled)) {
         host.screenActive = Boolean(hostMessage.toggleScreen.enabled);
         for (const clientSocket of host.clientSockets.values()) {
           sendSystemMessage(clientSocket, `Host screen sharing ${host.screenActive ? 'enabled' : 'disabled'}`);
         }
       }
 
-      if (hostMessage.toggleAdmin) {
+      if (hostMessage.toggleAdmin && host.adminActive !== Boolean(hostMessage.toggleAdmin.enabled)) {
         host.adminActive = Boolean(hostMessage.toggleAdmin.enabled);
         for (const clientSocket of host.clientSockets.values()) {
           sendSystemMessage(clientSocket, `Host admin mode ${host.adminActive ? 'enabled' : 'disabled'}`);
         }
       }
 
+      if (hostMessage.capabilities) {
+        host.capabilities = hostMessage.capabilities;
+        host.remoteInputAllowed = Boolean(hostMessage.capabilities.supportsRemoteInput);
+        for (const clientSocket of host.clientSockets.values()) {
+          sendServerMessage(clientSocket, { hostCapabilities: host.capabilities });
+        }
+      }
+
+      if (hostMessage.fileTransfer) {
+        const target = host.clientSockets.get(hostMessage.fileTransfer.clientId || '');
+        if (target) {
+          sendServerMessage(target, { fileTransfer: hostMessage.fileTransfer });
+        }
+      }
+
+      if (hostMessage.portForward) {
+        const forward = hostMessage.portForward;
+        const clientId = forward.clientId || '';
+        const streamId = forward.streamId || '';
+        const target = host.clientSockets.get(clientId);
+        // Streams the relay did not see open, or already saw close, are dropped.
+        if (target && tunnels.hasStream(clientId, streamId)) {
+          if (forward.action === terminal.PortForward.Action.DATA) {
+            tunnels.count(clientId, streamId, 'down', forward.data?.length || 0);
+          }
+          if (forward.action === terminal.PortForward.Action.CLOSE) {
+            tunnels.closeStream(clientId, streamId);
+          }
+          sendServerMessage(target, { portForward: forward });
+        }
+      }
+
+      if (hostMessage.execOutput || hostMessage.execExit) {
+        const exec = hostMessage.execOutput || hostMessage.execExit;
+        const clientId = exec?.clientId || '';
+        const running = host.runningExecs.get(clientId);
+        const target = host.clientSockets.get(clientId);
+        if (target && running?.has(exec?.execId || '')) {
+          if (hostMessage.execExit) {
+            running.delete(hostMessage.execExit.execId || '');
+          }
+          sendServerMessage(target, { execOutput: hostMessage.execOutput, execExit: hostMessage.execExit });
+        }
+      }
+
+      if (hostMessage.fileSystemResponse) {
+        const target = host.clientSockets.get(hostMessage.fileSystemResponse.clientId || '');
+        if (target) {
+          sendServerMessage(target, { fileSystemResponse: hostMessage.fileSystemResponse });
+        }
+      }
+
+      if (hostMessage.hostControlAck) {
+        const target = host.clientSockets.get(hostMessage.hostControlAck.clientId || '');
+        if (target) {
+          sendServerMessage(target, { hostControlAck: hostMessage.hostControlAck });
+        }
+      }
+
       return;
     }
 
@@ -376,74 +1703,342 @@ wss.on('connection', (socket: WebSocket, req) => {
     try {
       clientMessage = terminal.ClientMessage.decode(new Uint8Array(data));
     } catch {
+      countMessage('in', 'client', 'invalid', data.length);
       sendErrorMessage(socket, 'Invalid protobuf payload');
       return;
     }
+    countMessage('in', 'client', clientMessage.payload ?? 'unknown', data.length);
 
     if (!authenticated) {
+      if (pendingApproval) {
+        sendErrorMessage(socket, 'Waiting for host approval');
+        return;
+      }
+
       try {
         if (clientMessage.authRequest) {
-          let hostId = clientMessage.authRequest.hostId || '';
-          const providedToken = clientMessage.authRequest.token;
-
-          if (providedToken && tokens.has(providedToken)) {
-            hostId = tokens.get(providedToken)!;
-          } else {
-            const decoded = verifyToken(providedToken || '', 'client');
-            hostId = hostId || decoded.hostId;
+          const versionError = protocolVersionError(clientMessage.authRequest.protocolVersion);
+          if (versionError) {
+            throw new Error(versionError);
           }
 
-          if (!hostId) {
-            sendErrorMessage(socket, 'hostId required');
-            return;
+          const resolved = resolveTokenHost(
+            clientMessage.authRequest.hostId || '',
+            clientMessage.authRequest.token || '',
+            'client',
+          );
+
+          currentHostId = resolved.hostId;
+          currentTokenId = resolved.tokenId;
+          bindTokenSocket(resolved.tokenId, socket);
+          clientAccess = resolved.access;
+          clientUsername = resolved.username;
+          const requestedSessionId = clientMessage.authRequest.sessionId || '';
+          if (requestedSessionId.length > 0 && requestedSessionId.length <= MAX_SESSION_ID_LENGTH) {
+            clientSessionId = requestedSessionId;
+            clientSessionPersistent = Boolean(clientMessage.authRequest.persistent) && resolved.access !== 'view';
+            clientLastSeq = clientMessage.authRequest.lastSeq || 0;
           }
-
-          currentHostId = hostId;
+          clientRole = resolved.access === 'view'
+            ? terminal.SessionRole.SPECTATOR
+            : clientMessage.authRequest.role || terminal.SessionRole.DRIVER;
           const host = getHost(currentHostId);
-          host.clientSockets.set(clientId, socket);
-          host.lastClientAt = nowIso();
-          authenticated = true;
-          
-          sendServerMessage(socket, { 
-            authResponse: { 
-              ok: true,
-              isAdminActive: host.adminActive,
-              isScreenActive: host.screenActive,
-            } 
-          });
-          sendSystemMessage(socket, `Client authenticated as ${clientId}`);
-          if (host.settings.welcomeMessage) {
-            sendSystemMessage(socket, host.settings.welcomeMessage);
+
+          if (host.requireApproval) {
+            pendingApproval = true;
+            sendServerMessage(socket, { authResponse: { ok: true, pending: true } });
+            requestClientApproval(host, {
+              request: {
+                clientId,
+                sourceIp,
+                username: resolved.username || '',
+                userAgent: req.headers['user-agent'] || '',
+              },
+              admit: () => admitClient(host),
+              deny: denyClient,
+            });
+            return;
           }
+
+          admitClient(host);
           return;
         }
 
         sendErrorMessage(socket, 'Client must authenticate before sending PTY data');
       } catch (error) {
         const message = error instanceof Error ? error.message : 'Authentication failed';
-        sendServerMessage(socket, { authResponse: { ok: false, error: message } });
+        recordAudit({
+          action: 'client.connect',
+          outcome: 'failure',
+          hostId: currentHostId || clientMessage.authRequest?.hostId || null,
+          detail: message,
+        });
+        sendServerMessage(socket, { authResponse: { ok: false, error: message, protocolVersion: PROTOCOL_VERSION } });
       }
       return;
     }
 
     const host = getHost(currentHostId!);
+
+    if (clientMessage.hostControl) {
+      const control = clientMessage.hostControl;
+      const feature = control.feature || terminal.HostControl.Feature.ADMIN;
+      const error = authorizeHostControl(host, clientAccess, clientUsername, feature);
+      if (error) {
+        sendServerMessage(socket, {
+          hostControlAck: {
+            requestId: control.requestId || '',
+            feature,
+            ok: false,
+            enabled: feature === terminal.HostControl.Feature.SCREEN ? host.screenActive : host.adminActive,
+            error,
+          },
+        });
+        return;
+      }
+
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket!, clientMessage);
+      return;
+    }
+
+    // Kept while the host is offline so capture resumes when it returns.
+    if (clientMessage.screenSubscribe) {
+      const subscribed = Boolean(clientMessage.screenSubscribe.subscribed);
+      if (subscribed !== host.screenViewers.has(clientId)) {
+        if (subscribed) {
+          host.screenViewers.add(clientId);
+        } else {
+          host.screenViewers.delete(clientId);
+        }
+        sendScreenViewers(host, subscribed);
+      }
+      return;
+    }
+
     if (!host.hostSocket || host.hostSocket.readyState !== WebSocket.OPEN) {
       sendErrorMessage(socket, 'Host is offline');
       return;
     }
 
+    const channelId =
+      clientMessage.sessionControl?.channelId ||
+      clientMessage.ptyInput?.channelId ||
+      clientMessage.ptyResize?.channelId ||
+      '';
+    if (channelId.length > MAX_SESSION_ID_LENGTH) {
+      sendErrorMessage(socket, `Channel ids must be at most ${MAX_SESSION_ID_LENGTH} characters`);
+      return;
+    }
+
+    const key = attachmentKey(clientId, channelId);
+    const canDrive = !host.settings.readOnly && clientAccess !== 'view';
+
+    if (clientMessage.sessionControl) {
+      const control = clientMessage.sessionControl;
+      const { Action } = terminal.SessionControl;
+
+      // Roles live on the relay, so these two never reach the host.
+      if (control.action === Action.REQUEST_CONTROL || control.action === Action.HAND_OVER) {
+        const attachment = host.clientAttachments.get(key);
+        if (!attachment?.sessionId) {
+          sendErrorMessage(socket, 'This terminal is not attached to a session');
+          return;
+        }
+        if (!canDrive) {
+          sendErrorMessage(socket, 'Only clients with control access can drive a session');
+          return;
+        }
+
+        const error = control.action === Action.REQUEST_CONTROL
+          ? requestControl(host, attachment)
+          : handOverControl(host, attachment, control.targetClientId || '');
+        if (error) {
+          sendErrorMessage(socket, error);
+        }
+        return;
+      }
+
+      const mutating = control.action === Action.KILL || control.persistent;
+      if (mutating && !canDrive) {
+        sendErrorMessage(socket, 'Only clients with control access can create or kill sessions');
+        return;
+      }
+      // The host lets anyone attached to a session kill it, so watching one is not enough.
+      const watching = sessionMembers(host, control.sessionId || '').filter((member) => member.clientId === clientId);
+      if (control.action === Action.KILL && watching.length > 0 && watching.every(isSpectator)) {
+        sendErrorMessage(socket, 'Spectators cannot kill a session; request control first');
+        return;
+      }
+
+      if (control.action === Action.ATTACH) {
+        control.role = grantRole(
+          host,
+          clientId,
+          channelId,
+          control.sessionId || '',
+          clientAccess === 'view' ? terminal.SessionRole.SPECTATOR : control.role || terminal.SessionRole.DRIVER,
+        );
+        // New channels start with no session; the host's SessionList reply fills it in.
+        const attachment = host.clientAttachments.get(key) ?? {
+          clientId,
+          channelId,
+          sessionId: '',
+          username: clientUsername || '',
+        };
+        attachment.role = control.role;
+        host.clientAttachments.set(key, attachment);
+        sendServerMessage(socket, { roleUpdate: { channelId, role: control.role } });
+      }
+
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket, clientMessage);
+      return;
+    }
+
+    if (clientMessage.remoteInput) {
+      if (!canDrive) {
+        sendErrorMessage(socket, 'Only clients with control access can use remote input');
+        return;
+      }
+      if (!host.remoteInputAllowed || !host.screenActive) {
+        sendErrorMessage(socket, 'Host is not accepting remote input');
+        return;
+      }
+
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket, clientMessage);
+      return;
+    }
+
+    if (clientMessage.fileTransfer) {
+      const transfer = clientMessage.fileTransfer;
+      const error = authorizeFileTransfer(host, clientAccess, transfer.action || terminal.FileTransfer.Action.UPLOAD_START);
+      if (error) {
+        sendServerMessage(socket, {
+          fileTransfer: { action: terminal.FileTransfer.Action.ERROR, transferId: transfer.transferId || '', error },
+        });
+        return;
+      }
+
+      // The host's preferredCwd setting decides where files are shared from, whatever the client sent.
+      transfer.root = host.settings.preferredCwd;
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket, clientMessage);
+      return;
+    }
+
+    if (clientMessage.portForward) {
+      const forward = clientMessage.portForward;
+      const streamId = forward.streamId || '';
+      if (forward.action === terminal.PortForward.Action.OPEN) {
+        const error = tunnels.hasStream(clientId, streamId)
+          ? `Stream ${streamId} is already open`
+          : authorizePortForward(host, clientAccess, clientId);
+        if (error) {
+          sendServerMessage(socket, { portForward: { action: terminal.PortForward.Action.CLOSE, streamId, error } });
+          return;
+        }
+
+        tunnels.openStream(host.hostId, clientId, clientUsername, streamId, `${forward.host}:${forward.port}`);
+      } else if (!tunnels.hasStream(clientId, streamId)) {
+        return;
+      }
+
+      if (forward.action === terminal.PortForward.Action.DATA) {
+        tunnels.count(clientId, streamId, 'up', forward.data?.length || 0);
+      }
+      if (forward.action === terminal.PortForward.Action.CLOSE) {
+        tunnels.closeStream(clientId, streamId);
+      }
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket, clientMessage);
+      return;
+    }
+
+    if (clientMessage.execStart) {
+      const execId = clientMessage.execStart.execId || '';
+      let running = host.runningExecs.get(clientId);
+      const error = running?.has(execId) ? `Exec ${execId} is already running` : authorizeExec(host, clientAccess);
+      if (error) {
+        sendServerMessage(socket, { execExit: { execId, code: -1, error } });
+        return;
+      }
+
+      if (!running) {
+        running = new Set();
+        host.runningExecs.set(clientId, running);
+      }
+      running.add(execId);
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket, clientMessage);
+      return;
+    }
+
+    if (clientMessage.execInput) {
+      if (host.runningExecs.get(clientId)?.has(clientMessage.execInput.execId || '')) {
+        clientMessage.clientId = clientId;
+        sendClientMessage(host.hostSocket, clientMessage);
+      }
+      return;
+    }
+
+    if (clientMessage.fileSystemRequest) {
+      const request = clientMessage.fileSystemRequest;
+      const action = request.action || terminal.FileSystemRequest.Action.LIST;
+      const error = authorizeFileSystem(host, clientAccess, action);
+      if (error) {
+        sendServerMessage(socket, {
+          fileSystemResponse: { requestId: request.requestId || '', action, path: request.path || '', ok: false, error },
+        });
+        return;
+      }
+
+      request.root = host.settings.preferredCwd;
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket, clientMessage);
+      return;
+    }
+
+    // Every member's viewport counts towards a shared PTY's size, spectators' included.
+    if (clientMessage.ptyResize) {
+      clientMessage.clientId = clientId;
+      sendClientMessage(host.hostSocket, clientMessage);
+      channelRecorder(host, clientId, channelId)?.resize(
+        clientMessage.ptyResize.cols || 80,
+        clientMessage.ptyResize.rows || 24,
+      );
+      return;
+    }
+
+    if (!clientMessage.ptyInput) {
+      return;
+    }
+
     if (host.settings.readOnly) {
       sendErrorMessage(socket, 'Host is currently in read-only mode');
       return;
     }
 
-    if (clientMessage.ptyInput || clientMessage.ptyResize) {
-      clientMessage.clientId = clientId;
-      host.hostSocket.send(terminal.ClientMessage.encode(clientMessage).finish());
+    if (clientAccess === 'view') {
+      sendErrorMessage(socket, 'Your account has view-only access to this host');
+      return;
+    }
+
+    if (isSpectator(host.clientAttachments.get(key))) {
+      sendErrorMessage(socket, 'You are spectating this session; request control to type');
+      return;
     }
+
+    clientMessage.clientId = clientId;
+    sendClientMessage(host.hostSocket, clientMessage);
+    channelRecorder(host, clientId, channelId)?.input(clientMessage.ptyInput.data || '');
   });
 
   socket.on('close', () => {
+    if (currentTokenId) {
+      unbindTokenSocket(currentTokenId, socket);
+    }
     if (!currentHostId) {
       return;
     }
@@ -451,19 +2046,90 @@ wss.on('connection', (socket: WebSocket, req) => {
     const host = getHost(currentHostId);
     if (role === 'host' && host.hostSocket === socket) {
       host.hostSocket = null;
+      // The host reports its real state again once it is back.
+      host.screenActive = false;
+      host.adminActive = false;
+      host.remoteInputAllowed = false;
       host.lastSeenAt = nowIso();
-      for (const clientSocket of host.clientSockets.values()) {
+      persistState();
+      recordAudit({ action: 'host.disconnect', outcome: 'success', actor: `host:${host.hostId}` });
+      for (const [connectedClientId, clientSocket] of host.clientSockets) {
         sendSystemMessage(clientSocket, 'Host disconnected');
+        for (const streamId of tunnels.streamIds(connectedClientId)) {
+          tunnels.closeStream(connectedClientId, streamId);
+          sendServerMessage(clientSocket, {
+            portForward: { action: terminal.PortForward.Action.CLOSE, streamId, error: 'Host disconnected' },
+          });
+        }
+        for (const execId of host.runningExecs.get(connectedClientId) ?? []) {
+          sendServerMessage(clientSocket, { execExit: { execId, code: -1, error: 'Host disconnected' } });
+        }
+      }
+      host.runningExecs.clear();
+      for (const pendingClientId of [...host.pendingClients.keys()]) {
+        resolveClientApproval(host, pendingClientId, false, 'Host disconnected before approving');
+      }
+    } else if (role === 'client' && host.pendingClients.has(clientId)) {
+      cancelClientApproval(host, clientId, 'Client left before approval');
+    } else if (role === 'client' && host.clientSockets.delete(clientId)) {
+      recordAudit({ action: 'client.disconnect', outcome: 'success', actor: clientUsername });
+      for (const key of [...host.clientAttachments.keys()]) {
+        if (host.clientAttachments.get(key)?.clientId === clientId) {
+          host.clientAttachments.delete(key);
+        }
+      }
+      if (host.screenViewers.delete(clientId)) {
+        sendScreenViewers(host, false);
       }
-    } else if (role === 'client') {
-      host.clientSockets.delete(clientId);
+      host.runningExecs.delete(clientId);
+      recordings.stop(clientId);
+      const tunnel = tunnels.close(clientId);
+      if (tunnel) {
+        console.log(
+          `Tunnel ${tunnel.id} to ${host.hostId} closed after ${tunnel.streams} connections: ` +
+            `${tunnel.bytesUp} bytes up, ${tunnel.bytesDown} bytes down`,
+        );
+      }
+      host.lastClientAt = nowIso();
+      persistState();
       if (host.hostSocket) {
+        sendServerMessage(host.hostSocket, { clientDetached: { clientId } });
         sendSystemMessage(host.hostSocket, `Client ${clientId} disconnected`);
       }
     }
   });
 });
 
+// Anyone can look the defaults up, so a production relay must not run with them.
+if (process.env.NODE_ENV === 'production') {
+  const defaults = [
+    ADMIN_PASSWORD === DEFAULT_ADMIN_PASSWORD ? 'ADMIN_PASSWORD' : null,
+    USES_DEFAULT_JWT_SECRET ? 'JWT_SECRET' : null,
+  ].filter(Boolean);
+  if (defaults.length > 0) {
+    console.error(`Refusing to start in production with the default ${defaults.join(' and ')}; set a secret value.`);
+    process.exit(1);
+  }
+}
+
+setInterval(() => {
+  limiter.prune();
+  pruneIssuedTokens();
+}, 60_000).unref();
+
+for (const signal of ['SIGINT', 'SIGTERM'] as const) {
+  process.on(signal, () => {
+    recordings.stopAll();
+    flushState();
+    process.exit(0);
+  });
+}
+
+loadState();
+
 server.listen(PORT, HOST, () => {
   console.log(`Relay server running on http://${HOST}:${PORT}`);
+  if (webhooks.size > 0) {
+    console.log(`Sending webhooks to ${webhooks.size} target${webhooks.size === 1 ? '' : 's'}`);
+  }
 });
@@ -0,0 +1,120 @@
+import crypto from 'node:crypto';
+import { PersistedIssuedToken } from './host-store.js';
+
+/** Machine tokens are bearer secrets, so the relay only keeps and looks them up by this hash. */
+export function hashMachineToken(token: string) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** What a machine token is listed and revoked by. */
+export function machineTokenId(tokenHash: string) {
+  return tokenHash.slice(0, 16);
+}
+
+function isHostToken(token: PersistedIssuedToken, hostId: string) {
+  return token.kind !== 'user' && token.hostId === hostId;
+}
+
+function isUserToken(token: PersistedIssuedToken, username: string) {
+  return token.kind === 'user' && token.issuedTo === username;
+}
+
+/**
+ * Every machine, client and account login token the relay issued, until it
+ * expires. Revoked tokens stay listed here until then, so `check` can keep
+ * refusing them.
+ */
+export class IssuedTokenService {
+  private readonly tokens = new Map<string, PersistedIssuedToken>();
+
+  constructor(
+    private readonly onChange: () => void,
+    private readonly now: () => number = Date.now,
+  ) {}
+
+  load(tokens: PersistedIssuedToken[]) {
+    this.tokens.clear();
+    for (const token of tokens) {
+      this.tokens.set(token.id, token);
+    }
+  }
+
+  serialize(): PersistedIssuedToken[] {
+    return [...this.tokens.values()];
+  }
+
+  has(id: string) {
+    return this.tokens.has(id);
+  }
+
+  track(token: Omit<PersistedIssuedToken, 'revokedAt'>) {
+    this.tokens.set(token.id, { ...token, revokedAt: null });
+    this.onChange();
+  }
+
+  /**
+   * Why a token may no longer be used, or null. Tokens the relay never tracked
+   * pass; client tokens carry their own expiry and machine tokens are all tracked.
+   */
+  check(id: string): string | null {
+    const token = this.tokens.get(id);
+    if (token?.revokedAt) {
+      return 'Token has been revoked';
+    }
+    if (token && Date.parse(token.expiresAt) <= this.now()) {
+      return 'Token has expired';
+    }
+
+    return null;
+  }
+
+  /** Unrevoked, unexpired tokens for a host, newest first. */
+  listActive(hostId: string): PersistedIssuedToken[] {
+    return this.active((token) => isHostToken(token, hostId));
+  }
+
+  /** Unrevoked, unexpired login tokens of an account, newest first. */
+  listUserTokens(username: string): PersistedIssuedToken[] {
+    return this.active((token) => isUserToken(token, username));
+  }
+
+  /** Returns the revoked token, or null if the host has no such active token. */
+  revoke(hostId: string, id: string): PersistedIssuedToken | null {
+    return this.revokeIf(id, (token) => isHostToken(token, hostId));
+  }
+
+  /** Returns the revoked login token, or null if the account has no such active token. */
+  revokeUserToken(username: string, id: string): PersistedIssuedToken | null {
+    return this.revokeIf(id, (token) => isUserToken(token, username));
+  }
+
+  /** Forgets expired tokens, revoked or not, and returns them. */
+  prune(): PersistedIssuedToken[] {
+    const expired = [...this.tokens.values()].filter((token) => Date.parse(token.expiresAt) <= this.now());
+    for (const token of expired) {
+      this.tokens.delete(token.id);
+    }
+    if (expired.length > 0) {
+      this.onChange();
+    }
+
+    return expired;
+  }
+
+  private active(matches: (token: PersistedIssuedToken) => boolean) {
+    return [...this.tokens.values()]
+      .filter((token) => matches(token) && !this.check(token.id))
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+  }
+
+  private revokeIf(id: string, matches: (token: PersistedIssuedToken) => boolean) {
+    const token = this.tokens.get(id);
+    if (!token || !matches(token) || this.check(id)) {
+      return null;
+    }
+
+    token.revokedAt = new Date(this.now()).toISOString();
+    this.onChange();
+    return token;
+  }
+}
@@ -0,0 +1,158 @@
+type Labels = Record<string, string>;
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value: string) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels: Labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value: number) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+interface Metric {
+  readonly name: string;
+  render(): string[];
+}
+
+/** A series per label set; label sets are kept for the life of the process, so keep their values few. */
+class Series<T> {
+  private readonly values = new Map<string, { labels: Labels; value: T }>();
+
+  constructor(private readonly create: () => T) {}
+
+  get(labels: Labels) {
+    const key = formatLabels(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, value: this.create() };
+      this.values.set(key, entry);
+    }
+
+    return entry.value;
+  }
+
+  entries() {
+    return [...this.values.values()];
+  }
+}
+
+export class Counter implements Metric {
+  private readonly series = new Series(() => ({ total: 0 }));
+
+  /** Counters without labels are reported from zero; labelled series appear once used. */
+  constructor(
+    readonly name: string,
+    private readonly help: string,
+    labelled: boolean,
+  ) {
+    if (!labelled) {
+      this.series.get({});
+    }
+  }
+
+  inc(labels: Labels = {}, value = 1) {
+    this.series.get(labels).total += value;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...this.series.entries().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value.total)}`),
+    ];
+  }
+}
+
+/** Read when scraped, from state the relay already keeps. */
+export class Gauge implements Metric {
+  constructor(
+    readonly name: string,
+    private readonly help: string,
+    private readonly collect: () => number,
+  ) {}
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`, `${this.name} ${formatValue(this.collect())}`];
+  }
+}
+
+export class Histogram implements Metric {
+  private readonly series: Series<{ buckets: number[]; sum: number; count: number }>;
+
+  constructor(
+    readonly name: string,
+    private readonly help: string,
+    private readonly bounds: number[],
+  ) {
+    this.series = new Series(() => ({ buckets: bounds.map(() => 0), sum: 0, count: 0 }));
+  }
+
+  observe(labels: Labels, value: number) {
+    const entry = this.series.get(labels);
+    entry.sum += value;
+    entry.count += 1;
+    this.bounds.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.buckets[index] += 1;
+      }
+    });
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, value } of this.series.entries()) {
+      this.bounds.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.buckets[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+
+    return lines;
+  }
+}
+
+/** Metrics in the Prometheus text exposition format, in registration order. */
+export class MetricsRegistry {
+  private readonly metrics: Metric[] = [];
+
+  counter(name: string, help: string, { labelled = false } = {}) {
+    return this.register(new Counter(name, help, labelled));
+  }
+
+  gauge(name: string, help: string, collect: () => number) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name: string, help: string, bounds: number[]) {
+    return this.register(new Histogram(name, help, bounds));
+  }
+
+  render() {
+    return `${this.metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+  }
+
+  private register<T extends Metric>(metric: T) {
+    if (this.metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    this.metrics.push(metric);
+    return metric;
+  }
+}
@@ -0,0 +1,174 @@
+const MINUTE_MS = 60_000;
+const MAX_LOCKOUT_MS = 60 * MINUTE_MS;
+// Many legitimate users may share a host, so its limits are several times looser.
+const HOST_LIMIT_FACTOR = 4;
+
+export interface LimitPolicy {
+  /** Attempts allowed per window, successful or not. */
+  maxAttempts: number;
+  windowMs: number;
+  /** Consecutive failures that lock the key; Infinity for keys that are only rate limited. */
+  maxFailures: number;
+  /** The first lockout; each further one doubles, up to maxLockoutMs. */
+  lockoutMs: number;
+  maxLockoutMs: number;
+}
+
+export interface LimitRefusal {
+  key: string;
+  reason: 'rate-limited' | 'locked';
+  retryAfterMs: number;
+  /** True for the first refusal of a window or lockout, so callers can report it once. */
+  tripped: boolean;
+}
+
+export interface Lockout {
+  key: string;
+  failures: number;
+  durationMs: number;
+}
+
+interface KeyState {
+  attempts: number[];
+  failures: number;
+  lockouts: number;
+  lockedUntil: number;
+  reported: boolean;
+}
+
+/**
+ * Sliding-window rate limits with progressive lockouts. Keys are prefixed with
+ * their policy name, e.g. `ip:203.0.113.9` or `host:build-box`; a request is
+ * refused if any of its keys is over its limit or locked.
+ */
+export class AuthLimiter {
+  private readonly states = new Map<string, KeyState>();
+
+  constructor(
+    private readonly policies: Record<string, LimitPolicy>,
+    private readonly now: () => number = Date.now,
+  ) {}
+
+  /** Counts an attempt on every key, unless one of them refuses it. */
+  attempt(keys: string[]): LimitRefusal | null {
+    const now = this.now();
+    for (const key of keys) {
+      const { state, policy } = this.lookup(key);
+      state.attempts = state.attempts.filter((time) => time > now - policy.windowMs);
+      if (state.lockedUntil > now) {
+        return this.refuse(key, state, 'locked', state.lockedUntil - now);
+      }
+      if (state.attempts.length >= policy.maxAttempts) {
+        return this.refuse(key, state, 'rate-limited', state.attempts[0] + policy.windowMs - now);
+      }
+    }
+
+    for (const key of keys) {
+      const { state } = this.lookup(key);
+      state.attempts.push(now);
+      state.reported = false;
+    }
+    return null;
+  }
+
+  /** Returns the keys this failure locked. */
+  fail(keys: string[]): Lockout[] {
+    const now = this.now();
+    const lockouts: Lockout[] = [];
+    for (const key of keys) {
+      const { state, policy } = this.lookup(key);
+      state.failures += 1;
+      if (state.failures >= policy.maxFailures) {
+        const durationMs = Math.min(policy.lockoutMs * 2 ** state.lockouts, policy.maxLockoutMs);
+        state.lockouts += 1;
+        state.lockedUntil = now + durationMs;
+        lockouts.push({ key, failures: state.failures, durationMs });
+        state.failures = 0;
+      }
+    }
+
+    return lockouts;
+  }
+
+  /** Clears the failure streak; lockouts keep escalating until the key goes quiet. */
+  succeed(keys: string[]) {
+    for (const key of keys) {
+      const state = this.states.get(key);
+      if (state) {
+        state.failures = 0;
+      }
+    }
+  }
+
+  /** Forgets keys with nothing left to remember. */
+  prune() {
+    const now = this.now();
+    for (const [key, state] of this.states) {
+      const { policy } = this.lookup(key);
+      const quiet = state.attempts.every((time) => time <= now - policy.windowMs);
+      if (quiet && state.lockedUntil + policy.maxLockoutMs <= now) {
+        this.states.delete(key);
+      }
+    }
+  }
+
+  private refuse(key: string, state: KeyState, reason: LimitRefusal['reason'], retryAfterMs: number): LimitRefusal {
+    const tripped = !state.reported;
+    state.reported = true;
+    return { key, reason, retryAfterMs, tripped };
+  }
+
+  private lookup(key: string) {
+    const policy = this.policies[key.slice(0, key.indexOf(':'))];
+    if (!policy) {
+      throw new Error(`No rate limit policy for ${key}`);
+    }
+
+    let state = this.states.get(key);
+    if (!state) {
+      state = { attempts: [], failures: 0, lockouts: 0, lockedUntil: 0, reported: false };
+      this.states.set(key, state);
+    }
+    return { state, policy };
+  }
+}
+
+export interface AuthLimitSettings {
+  attemptsPerMinute: number;
+  maxFailures: number;
+}
+
+/**
+ * The relay's limits on password and secret checks. Each source IP is rate
+ * limited. Failures lock out one account from one IP (`account:`), and that
+ * account on one host from every IP (`host:`), so logging in to some other
+ * account never clears them.
+ */
+export function createAuthLimiter({ attemptsPerMinute, maxFailures }: AuthLimitSettings, now?: () => number) {
+  return new AuthLimiter(
+    {
+      ip: { maxAttempts: attemptsPerMinute, windowMs: MINUTE_MS, maxFailures: Infinity, lockoutMs: 0, maxLockoutMs: 0 },
+      account: {
+        maxAttempts: Infinity,
+        windowMs: MINUTE_MS,
+        maxFailures,
+        lockoutMs: 30_000,
+        maxLockoutMs: MAX_LOCKOUT_MS,
+      },
+      host: {
+        maxAttempts: attemptsPerMinute * HOST_LIMIT_FACTOR,
+        windowMs: MINUTE_MS,
+        maxFailures: maxFailures * HOST_LIMIT_FACTOR,
+        lockoutMs: 60_000,
+        maxLockoutMs: MAX_LOCKOUT_MS,
+      },
+    },
+    now,
+  );
+}
+
+/** `account` is the username tried, or `access-secret` for host access secrets. */
+export function authLimitKeys(ip: string, account: string, hostId?: string | null) {
+  const keys = [`ip:${ip}`, `account:${ip}/${account}`];
+  return hostId ? [...keys, `host:${hostId}/${account}`] : keys;
+}
@@ -0,0 +1,237 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { PersistedRecording } from './host-store.js';
+
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+
+// Each terminal channel of a client gets its own recording; the default channel is ''.
+function activeKey(clientId: string, channelId = '') {
+  return `${clientId}/${channelId}`;
+}
+
+/** Events held back while waiting for the client's first resize, before the header falls back to 80x24. */
+const MAX_PENDING_BYTES = 64 * 1024;
+
+/**
+ * Streams one client session to an asciicast v2 file: a JSON header line
+ * followed by `[elapsedSeconds, code, data]` event lines. The header carries
+ * the client's first viewport size, so events before its first resize wait.
+ */
+export class SessionRecorder {
+  private readonly stream: fs.WriteStream;
+  private readonly startedAt = Date.now();
+  private pending: string[] | null = [];
+  private pendingBytes = 0;
+  private bytes = 0;
+
+  /** Throws if the recording directory cannot be created; `onError` reports failed writes. */
+  constructor(
+    readonly meta: PersistedRecording,
+    filePath: string,
+    onError: (error: Error) => void,
+  ) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath, { flags: 'w' });
+    this.stream.on('error', onError);
+  }
+
+  output(data: string) {
+    this.event('o', data);
+  }
+
+  input(data: string) {
+    this.event('i', data);
+  }
+
+  resize(cols: number, rows: number) {
+    if (this.pending) {
+      this.meta.cols = cols;
+      this.meta.rows = rows;
+      this.flush();
+      return;
+    }
+
+    this.event('r', `${cols}x${rows}`);
+  }
+
+  close() {
+    this.flush();
+    this.meta.endedAt = new Date().toISOString();
+    this.meta.duration = this.elapsed();
+    this.meta.size = this.bytes;
+    this.stream.end();
+    return this.meta;
+  }
+
+  private elapsed() {
+    return Math.round(Date.now() - this.startedAt) / 1000;
+  }
+
+  private event(code: 'o' | 'i' | 'r', data: string) {
+    if (!data) {
+      return;
+    }
+
+    const text = `${JSON.stringify([this.elapsed(), code, data])}\n`;
+    if (!this.pending) {
+      this.write(text);
+      return;
+    }
+
+    this.pending.push(text);
+    this.pendingBytes += text.length;
+    if (this.pendingBytes > MAX_PENDING_BYTES) {
+      this.flush();
+    }
+  }
+
+  /** Writes the header and any held-back events. */
+  private flush() {
+    if (!this.pending) {
+      return;
+    }
+
+    const pending = this.pending;
+    this.pending = null;
+    this.write(
+      `${JSON.stringify({
+        version: 2,
+        width: this.meta.cols,
+        height: this.meta.rows,
+        timestamp: Math.floor(this.startedAt / 1000),
+        title: `${this.meta.hostId} / ${this.meta.username || this.meta.clientId}`,
+        env: { TERM: 'xterm-256color' },
+      })}\n`,
+    );
+    for (const text of pending) {
+      this.write(text);
+    }
+  }
+
+  private write(text: string) {
+    this.bytes += Buffer.byteLength(text);
+    this.stream.write(text);
+  }
+}
+
+export class RecordingService {
+  private readonly recordings = new Map<string, PersistedRecording>();
+  private readonly active = new Map<string, SessionRecorder>();
+
+  constructor(
+    private readonly directory: string,
+    private readonly onChange: () => void,
+  ) {}
+
+  load(recordings: PersistedRecording[]) {
+    this.recordings.clear();
+    for (const recording of recordings) {
+      this.recordings.set(recording.id, recording);
+    }
+  }
+
+  serialize(): PersistedRecording[] {
+    return [...this.recordings.values()];
+  }
+
+  start(input: { hostId: string; clientId: string; channelId?: string; username?: string }) {
+    const startedAt = new Date();
+    const channelSuffix = input.channelId ? `-${input.channelId.replace(/[^\w-]/g, '_').slice(0, 32)}` : '';
+    const id = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${input.clientId.slice(0, 8)}${channelSuffix}`;
+    const meta: PersistedRecording = {
+      id,
+      hostId: input.hostId,
+      clientId: input.clientId,
+      channelId: input.channelId || undefined,
+      username: input.username,
+      startedAt: startedAt.toISOString(),
+      endedAt: null,
+      duration: 0,
+      size: 0,
+      cols: DEFAULT_COLS,
+      rows: DEFAULT_ROWS,
+    };
+
+    const key = activeKey(input.clientId, input.channelId);
+    let recorder: SessionRecorder;
+    try {
+      recorder = new SessionRecorder(meta, this.filePath(meta), (error) => this.drop(key, recorder, error));
+    } catch (error) {
+      this.report(meta, error);
+      return undefined;
+    }
+
+    this.recordings.set(id, meta);
+    this.active.set(key, recorder);
+    this.onChange();
+    return recorder;
+  }
+
+  /** A recording that cannot be written is forgotten; the session it records carries on. */
+  private drop(key: string, recorder: SessionRecorder, error: unknown) {
+    this.report(recorder.meta, error);
+    if (this.active.get(key) === recorder) {
+      this.active.delete(key);
+    }
+    this.recordings.delete(recorder.meta.id);
+    this.onChange();
+    // Nothing can list or delete the partial file once the recording is forgotten.
+    fs.unlink(this.filePath(recorder.meta), (unlinkError) => {
+      if (unlinkError && unlinkError.code !== 'ENOENT') {
+        this.report(recorder.meta, unlinkError);
+      }
+    });
+  }
+
+  private report(recording: PersistedRecording, error: unknown) {
+    console.error(`Recording ${recording.id} dropped: ${error instanceof Error ? error.message : error}`);
+  }
+
+  get(clientId: string, channelId = '') {
+    return this.active.get(activeKey(clientId, channelId));
+  }
+
+  /** Stops every channel recording of a client. */
+  stop(clientId: string) {
+    this.stopWhere((recorder) => recorder.meta.clientId === clientId);
+  }
+
+  stopAll() {
+    this.stopWhere(() => true);
+  }
+
+  private stopWhere(predicate: (recorder: SessionRecorder) => boolean) {
+    let stopped = false;
+    for (const [key, recorder] of [...this.active]) {
+      if (predicate(recorder)) {
+        this.active.delete(key);
+        recorder.close();
+        stopped = true;
+      }
+    }
+
+    if (stopped) {
+      this.onChange();
+    }
+  }
+
+  list(hostId: string) {
+    return [...this.recordings.values()]
+      .filter((recording) => recording.hostId === hostId)
+      .sort((left, right) => right.startedAt.localeCompare(left.startedAt));
+  }
+
+  find(hostId: string, id: string) {
+    const recording = this.recordings.get(id);
+    if (!recording || recording.hostId !== hostId) {
+      return null;
+    }
+
+    return { recording, filePath: this.filePath(recording) };
+  }
+
+  private filePath(recording: PersistedRecording) {
+    return path.join(this.directory, encodeURIComponent(recording.hostId), `${recording.id}.cast`);
+  }
+}
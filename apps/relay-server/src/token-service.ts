@@ -1,36 +1,54 @@
 import crypto from 'node:crypto';
 import jwt from 'jsonwebtoken';
+import { UserRole } from './host-store.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-do-not-use-in-prod';
-if (JWT_SECRET === 'dev-secret-key-do-not-use-in-prod' && process.env.NODE_ENV === 'production') {
-  console.warn('WARNING: Using default JWT_SECRET in production environment!');
-}
+const DEFAULT_JWT_SECRET = 'dev-secret-key-do-not-use-in-prod';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+/** The relay refuses to start in production with the published default. */
+export const USES_DEFAULT_JWT_SECRET = JWT_SECRET === DEFAULT_JWT_SECRET;
 const ISSUER = 'terminal-tool-relay';
 
+export type ClientAccess = 'control' | 'view';
+
 export interface RelayTokenPayload {
   hostId: string;
   role: 'host' | 'client';
+  username?: string;
+  access?: ClientAccess;
+}
+
+export interface UserTokenPayload {
+  username: string;
+  role: UserRole;
+}
+
+/** A signed relay token with the id and expiry the revocation list tracks it by. */
+export interface SignedToken {
+  token: string;
+  id: string;
+  expiresAt: Date;
 }
 
 export class TokenService {
-  static signToken(payload: RelayTokenPayload): string {
-    const expiresIn = payload.role === 'host' ? '7d' : '2h';
-    
-    return jwt.sign(
+  static signToken(payload: RelayTokenPayload, expiresInSeconds = payload.role === 'host' ? 7 * 86_400 : 2 * 3600): SignedToken {
+    const id = crypto.randomUUID();
+    const token = jwt.sign(
       {
         ...payload,
-        jti: crypto.randomUUID(),
+        jti: id,
       },
       JWT_SECRET,
       {
-        expiresIn,
+        expiresIn: expiresInSeconds,
         issuer: ISSUER,
         audience: `terminal-tool-${payload.role}`,
       }
     );
+
+    return { token, id, expiresAt: new Date(Date.now() + expiresInSeconds * 1000) };
   }
 
-  static verifyToken(token: string, expectedRole: RelayTokenPayload['role']): RelayTokenPayload {
+  static verifyToken(token: string, expectedRole: RelayTokenPayload['role']): RelayTokenPayload & { id: string } {
     const decoded = jwt.verify(token, JWT_SECRET, {
       issuer: ISSUER,
       audience: `terminal-tool-${expectedRole}`,
@@ -43,6 +61,40 @@ export class TokenService {
     return {
       hostId: decoded.hostId,
       role: decoded.role,
+      username: decoded.username,
+      access: decoded.access,
+      id: decoded.jti,
+    };
+  }
+
+  static signUserToken(payload: UserTokenPayload, expiresInSeconds = 12 * 3600): SignedToken {
+    const id = crypto.randomUUID();
+    const token = jwt.sign(
+      {
+        ...payload,
+        jti: id,
+      },
+      JWT_SECRET,
+      {
+        expiresIn: expiresInSeconds,
+        issuer: ISSUER,
+        audience: 'terminal-tool-user',
+      }
+    );
+
+    return { token, id, expiresAt: new Date(Date.now() + expiresInSeconds * 1000) };
+  }
+
+  static verifyUserToken(token: string): UserTokenPayload & { id: string } {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: ISSUER,
+      audience: 'terminal-tool-user',
+    }) as UserTokenPayload & { jti: string };
+
+    return {
+      username: decoded.username,
+      role: decoded.role,
+      id: decoded.jti,
     };
   }
 }
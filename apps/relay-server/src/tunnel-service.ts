@@ -0,0 +1,119 @@
+import crypto from 'node:crypto';
+
+// Closed tunnels kept for GET /api/hosts/:hostId/tunnels, across all hosts.
+const HISTORY_LIMIT = 200;
+
+export interface TunnelStream {
+  streamId: string;
+  destination: string;
+  openedAt: string;
+  bytesUp: number;
+  bytesDown: number;
+}
+
+/**
+ * Port forwarding of one client connection: every stream it opened, with
+ * bytes counted from the client's side (up is client -> host).
+ */
+export interface TunnelSummary {
+  id: string;
+  hostId: string;
+  clientId: string;
+  username: string | null;
+  openedAt: string;
+  closedAt: string | null;
+  streams: number;
+  bytesUp: number;
+  bytesDown: number;
+  openStreams: TunnelStream[];
+}
+
+interface ActiveTunnel {
+  summary: TunnelSummary;
+  streams: Map<string, TunnelStream>;
+}
+
+export class TunnelService {
+  private readonly active = new Map<string, ActiveTunnel>();
+  private readonly history: TunnelSummary[] = [];
+
+  /** Starts accounting for a stream; the client's tunnel begins with its first stream. */
+  openStream(hostId: string, clientId: string, username: string | undefined, streamId: string, destination: string) {
+    let tunnel = this.active.get(clientId);
+    if (!tunnel) {
+      tunnel = {
+        summary: {
+          id: crypto.randomUUID(),
+          hostId,
+          clientId,
+          username: username || null,
+          openedAt: new Date().toISOString(),
+          closedAt: null,
+          streams: 0,
+          bytesUp: 0,
+          bytesDown: 0,
+          openStreams: [],
+        },
+        streams: new Map(),
+      };
+      this.active.set(clientId, tunnel);
+    }
+
+    tunnel.summary.streams += 1;
+    tunnel.streams.set(streamId, { streamId, destination, openedAt: new Date().toISOString(), bytesUp: 0, bytesDown: 0 });
+  }
+
+  hasStream(clientId: string, streamId: string) {
+    return Boolean(this.active.get(clientId)?.streams.has(streamId));
+  }
+
+  openStreamCount(clientId: string) {
+    return this.active.get(clientId)?.streams.size ?? 0;
+  }
+
+  streamIds(clientId: string) {
+    return [...(this.active.get(clientId)?.streams.keys() ?? [])];
+  }
+
+  count(clientId: string, streamId: string, direction: 'up' | 'down', bytes: number) {
+    const tunnel = this.active.get(clientId);
+    const stream = tunnel?.streams.get(streamId);
+    if (!tunnel || !stream) {
+      return;
+    }
+
+    if (direction === 'up') {
+      stream.bytesUp += bytes;
+      tunnel.summary.bytesUp += bytes;
+    } else {
+      stream.bytesDown += bytes;
+      tunnel.summary.bytesDown += bytes;
+    }
+  }
+
+  closeStream(clientId: string, streamId: string) {
+    this.active.get(clientId)?.streams.delete(streamId);
+  }
+
+  /** Ends a client's tunnel when it disconnects and returns its totals. */
+  close(clientId: string) {
+    const tunnel = this.active.get(clientId);
+    if (!tunnel) {
+      return null;
+    }
+
+    this.active.delete(clientId);
+    const summary = { ...tunnel.summary, closedAt: new Date().toISOString(), openStreams: [] };
+    this.history.unshift(summary);
+    this.history.splice(HISTORY_LIMIT);
+    return summary;
+  }
+
+  /** Open tunnels first, then recently closed ones. */
+  list(hostId: string): TunnelSummary[] {
+    const open = [...this.active.values()]
+      .filter((tunnel) => tunnel.summary.hostId === hostId)
+      .map((tunnel) => ({ ...tunnel.summary, openStreams: [...tunnel.streams.values()].map((stream) => ({ ...stream })) }));
+    return [...open, ...this.history.filter((summary) => summary.hostId === hostId)];
+  }
+}
@@ -0,0 +1,201 @@
+import { PersistedUser, UserRole } from './host-store.js';
+import { hashSecret, safeEqual, verifySecret } from './secrets.js';
+
+export type Permission =
+  | 'users:manage'
+  | 'host:register'
+  | 'host:connect'
+  | 'host:settings'
+  | 'host:recordings'
+  | 'audit:read';
+
+export interface RelayUser {
+  username: string;
+  role: UserRole;
+  hosts: string[];
+  builtIn: boolean;
+}
+
+export const USER_ROLES: UserRole[] = ['owner', 'operator', 'viewer'];
+
+const ROLE_PERMISSIONS: Record<UserRole, Permission[]> = {
+  owner: ['users:manage', 'host:register', 'host:connect', 'host:settings', 'host:recordings', 'audit:read'],
+  operator: ['host:register', 'host:connect', 'host:settings', 'host:recordings'],
+  viewer: ['host:connect'],
+};
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+
+function sanitizeHosts(hosts: unknown) {
+  if (!Array.isArray(hosts)) {
+    return [];
+  }
+
+  return [...new Set(hosts.filter((value): value is string => typeof value === 'string'))]
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Relay accounts. The built-in owner is backed by ADMIN_PASSWORD and never
+ * persisted, so rotating the env var keeps working the way it always has.
+ */
+export class UserService {
+  private readonly users = new Map<string, PersistedUser>();
+
+  constructor(
+    private readonly builtInOwner: { username: string; password: string },
+    private readonly onChange: () => void,
+  ) {}
+
+  load(users: PersistedUser[]) {
+    this.users.clear();
+    for (const user of users) {
+      this.users.set(user.username, user);
+    }
+  }
+
+  serialize(): PersistedUser[] {
+    return [...this.users.values()];
+  }
+
+  list(): RelayUser[] {
+    return [this.getBuiltInOwner(), ...[...this.users.values()].map((user) => this.toPublic(user))];
+  }
+
+  get(username: string): RelayUser | null {
+    if (username === this.builtInOwner.username) {
+      return this.getBuiltInOwner();
+    }
+
+    const user = this.users.get(username);
+    return user ? this.toPublic(user) : null;
+  }
+
+  authenticate(username: string | null | undefined, password: string | null | undefined) {
+    if (typeof password !== 'string' || !password) {
+      return null;
+    }
+
+    const name = username || this.builtInOwner.username;
+    if (name === this.builtInOwner.username) {
+      return safeEqual(password, this.builtInOwner.password) ? this.getBuiltInOwner() : null;
+    }
+
+    const user = this.users.get(name);
+    if (!user || !verifySecret(password, user.passwordHash)) {
+      return null;
+    }
+
+    return this.toPublic(user);
+  }
+
+  create(input: { username?: unknown; password?: unknown; role?: unknown; hosts?: unknown }) {
+    const username = typeof input.username === 'string' ? input.username.trim() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new Error('Username must be 2-32 characters of letters, digits, ".", "_" or "-"');
+    }
+
+    if (username === this.builtInOwner.username || this.users.has(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+
+    const user: PersistedUser = {
+      username,
+      role: this.parseRole(input.role ?? 'viewer'),
+      passwordHash: hashSecret(this.parsePassword(input.password)),
+      hosts: sanitizeHosts(input.hosts),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.users.set(username, user);
+    this.onChange();
+    return this.toPublic(user);
+  }
+
+  update(username: string, input: { password?: unknown; role?: unknown; hosts?: unknown }) {
+    if (username === this.builtInOwner.username) {
+      throw new Error('The built-in owner is managed through ADMIN_PASSWORD');
+    }
+
+    const user = this.users.get(username);
+    if (!user) {
+      return null;
+    }
+
+    if (input.password !== undefined) {
+      user.passwordHash = hashSecret(this.parsePassword(input.password));
+    }
+
+    if (input.role !== undefined) {
+      user.role = this.parseRole(input.role);
+    }
+
+    if (input.hosts !== undefined) {
+      user.hosts = sanitizeHosts(input.hosts);
+    }
+
+    this.onChange();
+    return this.toPublic(user);
+  }
+
+  delete(username: string) {
+    if (username === this.builtInOwner.username) {
+      throw new Error('The built-in owner cannot be deleted');
+    }
+
+    const deleted = this.users.delete(username);
+    if (deleted) {
+      this.onChange();
+    }
+
+    return deleted;
+  }
+
+  can(user: RelayUser, permission: Permission, hostId?: string) {
+    if (!ROLE_PERMISSIONS[user.role].includes(permission)) {
+      return false;
+    }
+
+    if (user.role === 'owner' || !hostId) {
+      return true;
+    }
+
+    return user.hosts.includes('*') || user.hosts.includes(hostId);
+  }
+
+  private parseRole(role: unknown): UserRole {
+    if (typeof role !== 'string' || !USER_ROLES.includes(role as UserRole)) {
+      throw new Error(`Role must be one of ${USER_ROLES.join(', ')}`);
+    }
+
+    return role as UserRole;
+  }
+
+  private parsePassword(password: unknown) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    return password;
+  }
+
+  private getBuiltInOwner(): RelayUser {
+    return {
+      username: this.builtInOwner.username,
+      role: 'owner',
+      hosts: ['*'],
+      builtIn: true,
+    };
+  }
+
+  private toPublic(user: PersistedUser): RelayUser {
+    return {
+      username: user.username,
+      role: user.role,
+      hosts: [...user.hosts],
+      builtIn: false,
+    };
+  }
+}
@@ -0,0 +1,215 @@
+import crypto from 'node:crypto';
+import { AUTH_ACTIONS, AuditEvent } from './audit-service.js';
+
+const MAX_ATTEMPTS = 5;
+const INITIAL_RETRY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10_000;
+
+export const WEBHOOK_EVENTS = [
+  'host.online',
+  'host.offline',
+  'client.connected',
+  'auth.failure',
+  'settings.changed',
+] as const;
+export type WebhookEvent = (typeof WEBHOOK_EVENTS)[number];
+
+export const WEBHOOK_FORMATS = ['json', 'discord', 'slack'] as const;
+export type WebhookFormat = (typeof WEBHOOK_FORMATS)[number];
+
+export interface WebhookTarget {
+  url: string;
+  events: WebhookEvent[];
+  format: WebhookFormat;
+  /** Signs bodies with HMAC-SHA256 in X-Terminal-Tool-Signature. */
+  secret?: string;
+}
+
+/** Which webhook event, if any, an audit event raises. */
+export function webhookEventFor(event: AuditEvent): WebhookEvent | null {
+  if (event.outcome === 'failure') {
+    return AUTH_ACTIONS.has(event.action) ? 'auth.failure' : null;
+  }
+
+  switch (event.action) {
+    case 'host.register':
+    case 'host.auth':
+      return 'host.online';
+    case 'host.disconnect':
+      return 'host.offline';
+    case 'client.connect':
+      return 'client.connected';
+    case 'host.settings':
+      return 'settings.changed';
+    default:
+      return null;
+  }
+}
+
+function describe(name: WebhookEvent, event: AuditEvent) {
+  const host = event.hostId ? `Host ${event.hostId}` : 'The relay';
+  const by = event.actor ? ` by ${event.actor}` : '';
+  const from = event.sourceIp ? ` from ${event.sourceIp}` : '';
+  switch (name) {
+    case 'host.online':
+      return `${host} is online${event.action === 'host.register' ? `, registered${by}` : ''}`;
+    case 'host.offline':
+      return `${host} went offline`;
+    case 'client.connected':
+      return `${event.actor || 'A client'} connected to ${event.hostId}${from}`;
+    case 'auth.failure':
+      return `${event.action} failed${by}${from}${event.hostId ? ` for ${event.hostId}` : ''}: ${event.detail || 'refused'}`;
+    case 'settings.changed':
+      return `${host} settings changed${by}: ${event.detail || 'no changes'}`;
+  }
+}
+
+/** Renders the body for a target. Audit events carry no tokens or secrets, so neither do payloads. */
+export function renderWebhook(format: WebhookFormat, name: WebhookEvent, event: AuditEvent) {
+  const text = describe(name, event);
+  switch (format) {
+    case 'discord':
+      // Usernames in the text come from whoever tried to log in, so they must not ping anyone.
+      return { content: `**terminal-tool**: ${text}`, allowed_mentions: { parse: [] } };
+    case 'slack':
+      return { text: `*terminal-tool*: ${text}` };
+    case 'json':
+      return {
+        event: name,
+        time: event.time,
+        text,
+        hostId: event.hostId,
+        clientId: event.clientId,
+        actor: event.actor,
+        sourceIp: event.sourceIp,
+        detail: event.detail ?? null,
+      };
+  }
+}
+
+export function signWebhook(secret: string, body: string) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function isHttpUrl(value: string) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses the WEBHOOKS setting: a JSON array of `{ url, events?, format?, secret? }`.
+ * Targets get every event and the generic JSON format unless they say otherwise.
+ */
+export function parseWebhookTargets(value: string | undefined): WebhookTarget[] {
+  if (!value?.trim()) {
+    return [];
+  }
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw new Error('WEBHOOKS must be a JSON array of webhook targets');
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('WEBHOOKS must be a JSON array of webhook targets');
+  }
+
+  return parsed.map((entry: Record<string, unknown>, index) => {
+    const where = `WEBHOOKS[${index}]`;
+    if (typeof entry?.url !== 'string' || !isHttpUrl(entry.url)) {
+      throw new Error(`${where}.url must be an http(s) URL`);
+    }
+
+    const events = entry.events ?? [...WEBHOOK_EVENTS];
+    if (!Array.isArray(events) || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+      throw new Error(`${where}.events must list some of ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    const format = entry.format ?? 'json';
+    if (!WEBHOOK_FORMATS.includes(format as WebhookFormat)) {
+      throw new Error(`${where}.format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+    if (entry.secret !== undefined && (typeof entry.secret !== 'string' || !entry.secret)) {
+      throw new Error(`${where}.secret must be a non-empty string`);
+    }
+
+    return { url: entry.url, events, format: format as WebhookFormat, secret: entry.secret };
+  });
+}
+
+/**
+ * Delivers audit events to the operator's webhook targets. Deliveries run in
+ * the background and retry network errors, 429 and 5xx responses with
+ * exponential backoff.
+ */
+export class WebhookService {
+  constructor(
+    private readonly targets: WebhookTarget[],
+    private readonly post: typeof fetch = fetch,
+  ) {}
+
+  get size() {
+    return this.targets.length;
+  }
+
+  notify(event: AuditEvent) {
+    const name = webhookEventFor(event);
+    if (!name) {
+      return;
+    }
+
+    for (const target of this.targets) {
+      if (target.events.includes(name)) {
+        this.deliver(target, name, JSON.stringify(renderWebhook(target.format, name, event))).catch((error) => {
+          console.error(`Webhook ${name} could not be delivered: ${error instanceof Error ? error.message : error}`);
+        });
+      }
+    }
+  }
+
+  private async deliver(target: WebhookTarget, name: WebhookEvent, body: string) {
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'terminal-tool-relay',
+      'X-Terminal-Tool-Event': name,
+      'X-Terminal-Tool-Delivery': crypto.randomUUID(),
+    };
+    if (target.secret) {
+      headers['X-Terminal-Tool-Signature'] = signWebhook(target.secret, body);
+    }
+
+    // Only the origin is logged; webhook URLs often embed their own credentials.
+    const origin = new URL(target.url).origin;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      let failure: string;
+      try {
+        const response = await this.post(target.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        if (response.ok) {
+          return;
+        }
+        failure = `HTTP ${response.status}`;
+        if (response.status !== 429 && response.status < 500) {
+          console.error(`Webhook ${name} to ${origin} was rejected: ${failure}`);
+          return;
+        }
+      } catch (error) {
+        failure = error instanceof Error ? error.message : String(error);
+      }
+
+      if (attempt === MAX_ATTEMPTS) {
+        console.error(`Webhook ${name} to ${origin} failed after ${MAX_ATTEMPTS} attempts: ${failure}`);
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, INITIAL_RETRY_MS * 2 ** (attempt - 1)));
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { AuditEvent, AuditService } from '../src/audit-service.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('AuditService', () => {
+  it('stores missing fields as null and hands each event to onRecord', async () => {
+    const seen: AuditEvent[] = [];
+    const audit = new AuditService(path.join(dir, 'audit.log'), (event) => seen.push(event));
+    audit.record({ action: 'auth.login', outcome: 'failure', actor: 'admin', detail: 'invalid credentials' });
+
+    const [event] = await audit.query({});
+    expect(event).toMatchObject({ action: 'auth.login', actor: 'admin', sourceIp: null, hostId: null, clientId: null });
+    expect(seen).toEqual([event]);
+  });
+
+  it('returns the newest matching events first and skips lines it cannot parse', async () => {
+    const filePath = path.join(dir, 'audit.log');
+    const audit = new AuditService(filePath);
+    audit.record({ action: 'client.connect', outcome: 'success', hostId: 'a' });
+    audit.record({ action: 'host.register', outcome: 'success', hostId: 'a' });
+    await fs.appendFile(filePath, '{"time":\n');
+    audit.record({ action: 'client.disconnect', outcome: 'success', hostId: 'a' });
+    audit.record({ action: 'client.connect', outcome: 'success', hostId: 'b' });
+
+    const events = await audit.query({ hostId: 'a', action: 'client' });
+    expect(events.map((event) => event.action)).toEqual(['client.disconnect', 'client.connect']);
+    expect(await audit.query({ hostId: 'a', limit: 1 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { JsonFileBackend, StoreSnapshot, createEmptySnapshot } from '../src/host-store.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('JsonFileBackend', () => {
+  it('loads back what it saved', () => {
+    const backend = new JsonFileBackend(path.join(dir, 'nested', 'relay-store.json'));
+    const snapshot: StoreSnapshot = {
+      ...createEmptySnapshot(),
+      tokens: [{ tokenHash: 'c628a2de3ec73c25f2d9', hostId: 'build-box', issuedAt: '2026-10-01T00:00:00.000Z' }],
+      issuedTokens: [
+        {
+          id: 'c628a2de3ec73c25',
+          hostId: 'build-box',
+          kind: 'machine',
+          issuedTo: 'admin',
+          access: 'control',
+          issuedAt: '2026-10-01T00:00:00.000Z',
+          expiresAt: '2026-10-31T00:00:00.000Z',
+          revokedAt: '2026-10-02T00:00:00.000Z',
+        },
+      ],
+    };
+
+    backend.save(snapshot);
+    expect(backend.load()).toEqual(snapshot);
+  });
+
+  it('writes the store readable by its owner only', async () => {
+    const filePath = path.join(dir, 'relay-store.json');
+    new JsonFileBackend(filePath).save(createEmptySnapshot());
+    expect((await fs.stat(filePath)).mode & 0o777).toBe(0o600);
+  });
+
+  it('starts empty and fills in collections missing from older files', async () => {
+    const filePath = path.join(dir, 'relay-store.json');
+    const backend = new JsonFileBackend(filePath);
+    expect(backend.load()).toEqual(createEmptySnapshot());
+
+    await fs.writeFile(filePath, JSON.stringify({ version: 1, hosts: [], tokens: [] }));
+    expect(backend.load().issuedTokens).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi } from 'vitest';
+import { IssuedTokenService, hashMachineToken, machineTokenId } from '../src/issued-token-service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createService() {
+  let time = Date.parse('2026-10-01T00:00:00.000Z');
+  const onChange = vi.fn();
+  const service = new IssuedTokenService(onChange, () => time);
+  const track = (id: string, hostId: string, hours: number) =>
+    service.track({
+      id,
+      hostId,
+      kind: 'client',
+      issuedTo: 'admin',
+      access: 'control',
+      issuedAt: new Date(time).toISOString(),
+      expiresAt: new Date(time + hours * HOUR_MS).toISOString(),
+    });
+
+  return { service, onChange, track, advance: (ms: number) => (time += ms) };
+}
+
+describe('IssuedTokenService', () => {
+  it('refuses a revoked token until it expires, then forgets it', () => {
+    const { service, onChange, track, advance } = createService();
+    track('a', 'build-box', 2);
+    advance(1000);
+    track('b', 'build-box', 1);
+
+    expect(service.listActive('build-box').map((token) => token.id)).toEqual(['b', 'a']);
+    expect(service.revoke('build-box', 'a')).toMatchObject({ id: 'a', revokedAt: '2026-10-01T00:00:01.000Z' });
+    expect(service.check('a')).toBe('Token has been revoked');
+    expect(service.listActive('build-box').map((token) => token.id)).toEqual(['b']);
+    expect(onChange).toHaveBeenCalledTimes(3);
+
+    advance(HOUR_MS);
+    expect(service.check('b')).toBe('Token has expired');
+    expect(service.prune().map((token) => token.id)).toEqual(['b']);
+
+    advance(HOUR_MS);
+    expect(service.prune().map((token) => token.id)).toEqual(['a']);
+    expect(service.has('a')).toBe(false);
+    expect(service.check('a')).toBeNull();
+  });
+
+  it("only revokes a host's own active tokens", () => {
+    const { service, onChange, track } = createService();
+    track('a', 'build-box', 1);
+
+    expect(service.revoke('other-box', 'a')).toBeNull();
+    expect(service.revoke('build-box', 'missing')).toBeNull();
+    expect(service.revoke('build-box', 'a')).not.toBeNull();
+    expect(service.revoke('build-box', 'a')).toBeNull();
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps account login tokens apart from host tokens', () => {
+    const { service, track } = createService();
+    track('client', 'build-box', 1);
+    service.track({
+      id: 'login',
+      hostId: '',
+      kind: 'user',
+      issuedTo: 'admin',
+      access: 'control',
+      issuedAt: '2026-10-01T00:00:00.000Z',
+      expiresAt: '2026-10-01T12:00:00.000Z',
+    });
+
+    expect(service.listUserTokens('admin').map((token) => token.id)).toEqual(['login']);
+    expect(service.listActive('').map((token) => token.id)).toEqual([]);
+    expect(service.revoke('', 'login')).toBeNull();
+    expect(service.revokeUserToken('admin', 'client')).toBeNull();
+    expect(service.revokeUserToken('other', 'login')).toBeNull();
+    expect(service.revokeUserToken('admin', 'login')).not.toBeNull();
+    expect(service.check('login')).toBe('Token has been revoked');
+  });
+
+  it('identifies machine tokens by a prefix of their hash', () => {
+    const hash = hashMachineToken('secret');
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).not.toContain('secret');
+    expect(machineTokenId(hash)).toBe(hash.slice(0, 16));
+  });
+});
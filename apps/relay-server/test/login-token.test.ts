@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ChildProcess, spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const entry = fileURLToPath(new URL('../src/index.ts', import.meta.url));
+const port = 40_000 + Math.floor(Math.random() * 10_000);
+const baseUrl = `http://127.0.0.1:${port}`;
+
+let dir: string;
+let relay: ChildProcess;
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'relay-'));
+  relay = spawn(process.execPath, ['--import', 'tsx', entry], {
+    env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', DATA_DIR: dir, NODE_ENV: 'test', WEBHOOKS: '' },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise<void>((resolve, reject) => {
+    relay.stdout?.on('data', (chunk: Buffer) => chunk.toString().includes('Relay server running') && resolve());
+    relay.once('exit', (code) => reject(new Error(`Relay exited with code ${code}`)));
+  });
+}, 30_000);
+
+afterAll(async () => {
+  if (relay.exitCode === null) {
+    relay.kill();
+    await once(relay, 'exit');
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function request(method: string, route: string, bearer: string, body?: unknown) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { authorization: `Bearer ${bearer}`, 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+async function login() {
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'admin' }),
+  });
+  return ((await response.json()) as { token: string }).token;
+}
+
+function tokenId(token: string) {
+  return (JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()) as { jti: string }).jti;
+}
+
+describe('login tokens', () => {
+  it('are listed per account and refused with 401 once revoked', async () => {
+    const revoked = await login();
+    const kept = await login();
+    expect((await request('GET', '/api/auth/me', revoked)).status).toBe(200);
+
+    const listed = (await (await request('GET', '/api/users/admin/tokens', kept)).json()) as { items: { id: string; kind: string }[] };
+    expect(listed.items).toHaveLength(2);
+    expect(listed.items.every((token) => token.kind === 'user')).toBe(true);
+
+    const id = tokenId(revoked);
+    expect(listed.items.map((token) => token.id)).toContain(id);
+    expect((await request('DELETE', `/api/users/admin/tokens/${id}`, kept)).status).toBe(200);
+    expect((await request('DELETE', `/api/users/admin/tokens/${id}`, kept)).status).toBe(404);
+
+    expect((await request('GET', '/api/auth/me', revoked)).status).toBe(401);
+    expect((await request('GET', '/api/users', revoked)).status).toBe(401);
+    expect((await request('GET', '/api/auth/me', kept)).status).toBe(200);
+  });
+});
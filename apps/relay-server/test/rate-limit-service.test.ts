@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { authLimitKeys, createAuthLimiter } from '../src/rate-limit-service.js';
+
+function setup() {
+  let time = 0;
+  const limiter = createAuthLimiter({ attemptsPerMinute: 1000, maxFailures: 5 }, () => time);
+  return {
+    limiter,
+    advance: (ms: number) => {
+      time += ms;
+    },
+  };
+}
+
+describe('AuthLimiter', () => {
+  it('locks an account after maxFailures and lets it try again once the lockout expires', () => {
+    const { limiter, advance } = setup();
+    const keys = authLimitKeys('203.0.113.9', 'admin');
+    for (let failure = 1; failure < 5; failure += 1) {
+      expect(limiter.attempt(keys)).toBeNull();
+      expect(limiter.fail(keys)).toEqual([]);
+    }
+    expect(limiter.attempt(keys)).toBeNull();
+    expect(limiter.fail(keys)).toEqual([{ key: 'account:203.0.113.9/admin', failures: 5, durationMs: 30_000 }]);
+
+    expect(limiter.attempt(keys)).toMatchObject({ reason: 'locked', retryAfterMs: 30_000, tripped: true });
+    advance(29_999);
+    expect(limiter.attempt(keys)).toMatchObject({ reason: 'locked', retryAfterMs: 1, tripped: false });
+    advance(1);
+    expect(limiter.attempt(keys)).toBeNull();
+  });
+
+  it('doubles each further lockout', () => {
+    const { limiter, advance } = setup();
+    const keys = authLimitKeys('203.0.113.9', 'admin');
+    for (let failure = 0; failure < 5; failure += 1) {
+      limiter.fail(keys);
+    }
+    advance(30_000);
+    for (let failure = 0; failure < 4; failure += 1) {
+      limiter.fail(keys);
+    }
+    expect(limiter.fail(keys)).toEqual([{ key: 'account:203.0.113.9/admin', failures: 5, durationMs: 60_000 }]);
+  });
+
+  it("does not reset one account's failures when another account logs in from the same IP", () => {
+    const { limiter } = setup();
+    const admin = authLimitKeys('203.0.113.9', 'admin', 'build-box');
+    const viewer = authLimitKeys('203.0.113.9', 'viewer', 'build-box');
+    for (let round = 0; round < 4; round += 1) {
+      expect(limiter.attempt(admin)).toBeNull();
+      limiter.fail(admin);
+      expect(limiter.attempt(viewer)).toBeNull();
+      limiter.succeed(viewer);
+    }
+
+    expect(limiter.attempt(admin)).toBeNull();
+    expect(limiter.fail(admin).map((lockout) => lockout.key)).toEqual(['account:203.0.113.9/admin']);
+    expect(limiter.attempt(admin)).toMatchObject({ key: 'account:203.0.113.9/admin', reason: 'locked' });
+    expect(limiter.attempt(viewer)).toBeNull();
+  });
+
+  it('locks an account on a host across IPs', () => {
+    const { limiter } = setup();
+    for (let failure = 0; failure < 20; failure += 1) {
+      limiter.fail(authLimitKeys(`198.51.100.${failure}`, 'admin', 'build-box'));
+    }
+
+    expect(limiter.attempt(authLimitKeys('198.51.100.200', 'admin', 'build-box'))).toMatchObject({
+      key: 'host:build-box/admin',
+      reason: 'locked',
+    });
+  });
+
+  it('rate limits each IP whatever the account', () => {
+    let time = 0;
+    const limiter = createAuthLimiter({ attemptsPerMinute: 2, maxFailures: 5 }, () => time);
+    expect(limiter.attempt(authLimitKeys('203.0.113.9', 'a'))).toBeNull();
+    expect(limiter.attempt(authLimitKeys('203.0.113.9', 'b'))).toBeNull();
+    expect(limiter.attempt(authLimitKeys('203.0.113.9', 'c'))).toMatchObject({ key: 'ip:203.0.113.9', reason: 'rate-limited' });
+    time += 60_000;
+    expect(limiter.attempt(authLimitKeys('203.0.113.9', 'c'))).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fsSync from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { RecordingService } from '../src/recording-service.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recordings-'));
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function readCast(filePath: string) {
+  const text = await vi.waitFor(async () => {
+    const content = await fs.readFile(filePath, 'utf8');
+    expect(content).toMatch(/\n$/);
+    return content;
+  });
+  return text
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+}
+
+describe('RecordingService', () => {
+  it("sizes the header from the client's first resize and keeps the output before it", async () => {
+    const service = new RecordingService(dir, () => {});
+    const recorder = service.start({ hostId: 'build-box', clientId: 'client-1' });
+
+    recorder?.output('$ ');
+    recorder?.resize(132, 43);
+    recorder?.resize(100, 30);
+    const meta = recorder!.close();
+
+    const [header, ...events] = await readCast(service.find('build-box', meta.id)!.filePath);
+    expect(header).toMatchObject({ version: 2, width: 132, height: 43 });
+    expect(events.map(([, code, data]) => [code, data])).toEqual([
+      ['o', '$ '],
+      ['r', '100x30'],
+    ]);
+    expect(meta).toMatchObject({ cols: 132, rows: 43 });
+  });
+
+  it('falls back to 80x24 when the client never resizes', async () => {
+    const service = new RecordingService(dir, () => {});
+    const recorder = service.start({ hostId: 'build-box', clientId: 'client-1' });
+    recorder?.output('done');
+    const meta = recorder!.close();
+
+    const [header] = await readCast(service.find('build-box', meta.id)!.filePath);
+    expect(header).toMatchObject({ width: 80, height: 24 });
+  });
+
+  it('drops a recording whose directory cannot be created', async () => {
+    await fs.writeFile(path.join(dir, 'not-a-directory'), '');
+    const service = new RecordingService(path.join(dir, 'not-a-directory'), () => {});
+
+    expect(service.start({ hostId: 'build-box', clientId: 'client-1' })).toBeUndefined();
+    expect(service.list('build-box')).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('dropped'));
+  });
+
+  it('drops a recording whose file cannot be written', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-01T00:00:00.000Z'));
+    // A directory where the recording file would go makes the write stream fail.
+    await fs.mkdir(path.join(dir, 'build-box', '2026-10-01T00-00-00-000Z-client-1.cast'), { recursive: true });
+    const onChange = vi.fn();
+    const service = new RecordingService(dir, onChange);
+
+    const recorder = service.start({ hostId: 'build-box', clientId: 'client-1' });
+    expect(recorder).toBeDefined();
+    await vi.waitFor(() => expect(service.get('client-1')).toBeUndefined());
+
+    expect(service.list('build-box')).toEqual([]);
+    expect(onChange).toHaveBeenCalledTimes(2);
+    recorder?.output('still running');
+  });
+
+  it('deletes the partial file of a recording that fails part way through', async () => {
+    const createWriteStream = fsSync.createWriteStream;
+    let stream: fsSync.WriteStream | undefined;
+    vi.spyOn(fsSync, 'createWriteStream').mockImplementation((...args) => {
+      stream = createWriteStream(...args);
+      return stream;
+    });
+    const service = new RecordingService(dir, () => {});
+    const recorder = service.start({ hostId: 'build-box', clientId: 'client-1' });
+    const { filePath } = service.find('build-box', recorder!.meta.id)!;
+    recorder?.resize(80, 24);
+    await vi.waitFor(() => fs.stat(filePath));
+
+    stream?.emit('error', new Error('ENOSPC: no space left on device'));
+
+    await vi.waitFor(() => expect(fs.stat(filePath)).rejects.toMatchObject({ code: 'ENOENT' }));
+    expect(service.list('build-box')).toEqual([]);
+  });
+});
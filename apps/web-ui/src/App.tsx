@@ -1,20 +1,31 @@
-import { startTransition, useEffect, useRef, useState } from 'react';
+import { startTransition, useCallback, useEffect, useRef, useState } from 'react';
 import { FitAddon } from '@xterm/addon-fit';
 import { Terminal as XTerm } from '@xterm/xterm';
 import '@xterm/xterm/css/xterm.css';
 import { terminal as protocol } from 'terminal-tool-protocol';
 import {
   Activity,
+  Eye,
+  FolderOpen,
+  Hand,
   KeyRound,
   MonitorSmartphone,
+  Plus,
   RefreshCcw,
   Save,
   ShieldCheck,
   TerminalSquare,
   Wifi,
+  X,
 } from 'lucide-react';
+import { FileBrowser, FileSystemCall } from './FileBrowser';
+import { RecordingsPanel } from './RecordingsPanel';
+import { ScreenPanel } from './ScreenPanel';
+import { SessionAction, SessionPicker } from './SessionPicker';
+import { TransferBar } from './TransferBar';
+import { TransferItem, TransferManager } from './file-transfer';
 
-type ConnectionState = 'idle' | 'connecting' | 'connected' | 'error' | 'disconnected';
+type ConnectionState = 'idle' | 'connecting' | 'pending' | 'connected' | 'error' | 'disconnected';
 
 interface HostSettings {
   displayName: string;
@@ -23,6 +34,7 @@ interface HostSettings {
   welcomeMessage: string;
   preferredShell: string;
   preferredCwd: string;
+  recordSessions: boolean;
 }
 
 interface HostItem {
@@ -34,6 +46,14 @@ interface HostItem {
   lastClientAt: string | null;
   settings: HostSettings;
   isAdmin?: boolean;
+  owner?: string | null;
+  hasAccessSecret?: boolean;
+  capabilities?: {
+    protocolVersion: number;
+    version: string | null;
+    platform: string | null;
+  } | null;
+  features?: string[];
 }
 
 interface HostsResponse {
@@ -49,12 +69,17 @@ interface TokenResponse {
   host: HostItem;
 }
 
+interface LoginResponse {
+  token: string;
+}
+
 interface SessionState {
   server: string;
   hostId: string;
   displayName: string;
   token: string;
   screenEnabled?: boolean;
+  readOnly?: boolean;
 }
 
 function getDefaultServer() {
@@ -67,6 +92,79 @@ function getDefaultServer() {
     : 'http://localhost:3000';
 }
 
+interface TerminalTab {
+  channelId: string;
+  sessionId: string;
+  title: string;
+  role?: protocol.SessionRole;
+}
+
+interface HostFeatures {
+  admin: boolean;
+  screen: boolean;
+  remoteInput: boolean;
+  // Null until the host reports them; older hosts never do, so everything stays offered.
+  capabilities: protocol.IHostCapabilities | null;
+}
+
+const PROTOCOL_VERSION = protocol.ProtocolVersion.PROTOCOL_VERSION_2;
+
+interface ControlRequest {
+  channelId: string;
+  requesterId: string;
+  requesterName: string;
+}
+
+interface TabEntry {
+  terminal: XTerm;
+  fitAddon: FitAddon;
+  element: HTMLDivElement;
+  dispose: () => void;
+}
+
+function terminalSessionKey(server: string, hostId: string) {
+  return `terminal-session:${server}|${hostId}`;
+}
+
+function terminalTabsKey(server: string, hostId: string) {
+  return `terminal-tabs:${server}|${hostId}`;
+}
+
+// Kept per browser tab so a reload reattaches to the same PTY and gets its scrollback replayed.
+function getTerminalSessionId(server: string, hostId: string) {
+  const key = terminalSessionKey(server, hostId);
+  const existing = window.sessionStorage.getItem(key);
+  if (existing) {
+    return existing;
+  }
+
+  const sessionId = crypto.randomUUID();
+  window.sessionStorage.setItem(key, sessionId);
+  return sessionId;
+}
+
+// The default channel ('') keeps the single-terminal storage key; extra tabs are stored alongside it.
+function loadTerminalTabs(server: string, hostId: string): TerminalTab[] {
+  const main = { channelId: '', sessionId: getTerminalSessionId(server, hostId), title: 'Shell 1' };
+  try {
+    const extra = JSON.parse(window.sessionStorage.getItem(terminalTabsKey(server, hostId)) || '[]');
+    return [main, ...(Array.isArray(extra) ? (extra as TerminalTab[]) : [])];
+  } catch {
+    return [main];
+  }
+}
+
+function saveTerminalTabs(server: string, hostId: string, tabs: TerminalTab[]) {
+  const [main, ...extra] = tabs;
+  if (main?.sessionId) {
+    window.sessionStorage.setItem(terminalSessionKey(server, hostId), main.sessionId);
+  }
+  window.sessionStorage.setItem(
+    terminalTabsKey(server, hostId),
+    JSON.stringify(extra.filter((tab) => tab.sessionId)),
+  );
+}
+
 function formatStamp(value: string | null) {
   if (!value) {
     return 'Never';
@@ -97,34 +195,63 @@ function TerminalSession({
   onClose: () => void;
 }) {
   const terminalContainerRef = useRef<HTMLDivElement | null>(null);
-  const terminalRef = useRef<XTerm | null>(null);
+  const tabsRef = useRef<TerminalTab[]>([]);
+  const activeTabRef = useRef('');
+  const tabApiRef = useRef<{
+    open: (tab: TerminalTab) => void;
+    close: (channelId: string) => void;
+    show: (channelId: string) => void;
+    control: (action: SessionAction, sessionId?: string, persistent?: boolean, role?: protocol.SessionRole) => void;
+    handOver: (targetClientId: string) => void;
+    setFeature: (feature: protocol.HostControl.Feature, enabled: boolean) => void;
+    fit: () => void;
+    remoteInput: (event: protocol.IRemoteInput) => void;
+    screenSubscribe: (subscribed: boolean) => void;
+    upload: (file: File, path?: string) => void;
+    download: (path: string) => void;
+    fileSystem: FileSystemCall;
+  } | null>(null);
   const [status, setStatus] = useState<ConnectionState>('connecting');
   const [error, setError] = useState('');
+  const [sessionList, setSessionList] = useState<protocol.ISessionList | null>(null);
+  const [tabs, setTabs] = useState<TerminalTab[]>([]);
+  const [activeTab, setActiveTab] = useState('');
+  const [controlRequest, setControlRequest] = useState<ControlRequest | null>(null);
+  const [features, setFeatures] = useState<HostFeatures>({
+    admin: false,
+    screen: false,
+    remoteInput: false,
+    capabilities: null,
+  });
+  const supportsAdmin = features.capabilities?.supportsAdminMode ?? true;
+  const supportsScreen = features.capabilities?.supportsScreenShare ?? true;
+  const supportsFiles = Boolean(features.capabilities?.supportsFileTransfer) && status === 'connected';
+  const supportsBrowser = Boolean(features.capabilities?.supportsFileBrowser) && status === 'connected';
+  const [transfers, setTransfers] = useState<TransferItem[]>([]);
+  const [dropping, setDropping] = useState(false);
+  const [showFiles, setShowFiles] = useState(false);
+  const uploadsDone = transfers.filter((item) => item.direction === 'upload' && item.status === 'complete').length;
+  const callFileSystem = useCallback<FileSystemCall>(
+    (request) =>
+      tabApiRef.current?.fileSystem(request) ?? Promise.resolve({ ok: false, error: 'Not connected to the host' }),
+    [],
+  );
+  const [screenFrame, setScreenFrame] = useState<protocol.IScreenFrame | null>(null);
+  const split = supportsScreen && (features.screen || Boolean(screenFrame));
+
+  const updateTabs = (next: TerminalTab[]) => {
+    tabsRef.current = next;
+    saveTerminalTabs(session.server, session.hostId, next);
+    setTabs(next);
+  };
 
   useEffect(() => {
-    if (!terminalContainerRef.current) {
+    const container = terminalContainerRef.current;
+    if (!container) {
       return;
     }
 
-    const terminal = new XTerm({
-      cursorBlink: true,
-      convertEol: true,
-      fontFamily: '"IBM Plex Mono", monospace',
-      fontSize: 14,
-      theme: {
-        background: '#06131d',
-        foreground: '#d3f6ff',
-        cursor: '#7af0ff',
-        selectionBackground: '#225264',
-      },
-    });
-
-    const fitAddon = new FitAddon();
-    terminal.loadAddon(fitAddon);
-    terminal.open(terminalContainerRef.current);
-    fitAddon.fit();
-    terminalRef.current = terminal;
-
+    const entries = new Map<string, TabEntry>();
     const wsUrl = new URL(session.server);
     wsUrl.protocol = wsUrl.protocol === 'https:' ? 'wss:' : 'ws:';
     wsUrl.pathname = '/ws/client';
@@ -136,23 +263,182 @@ function TerminalSession({
       }
     };
 
-    const handleResize = () => {
-      fitAddon.fit();
-      send({
-        ptyResize: {
-          cols: terminal.cols,
-          rows: terminal.rows,
+    const active = () => entries.get(activeTabRef.current) || entries.get('');
+    const fileRequests = new Map<string, (response: protocol.IFileSystemResponse) => void>();
+    const transferManager = new TransferManager(
+      (fileTransfer) => send({ fileTransfer }),
+      (item) =>
+        setTransfers((current) =>
+          current.some((entry) => entry.id === item.id)
+            ? current.map((entry) => (entry.id === item.id ? item : entry))
+            : [...current, item],
+        ),
+    );
+    const notice = (text: string) => active()?.terminal.writeln(text);
+
+    const sendResize = (channelId: string) => {
+      const entry = entries.get(channelId);
+      if (!entry) {
+        return;
+      }
+
+      if (channelId === activeTabRef.current) {
+        entry.fitAddon.fit();
+      }
+      send({ ptyResize: { cols: entry.terminal.cols, rows: entry.terminal.rows, channelId } });
+    };
+
+    const attachTab = (tab: TerminalTab) => {
+      if (tab.channelId && tab.sessionId) {
+        send({
+          sessionControl: {
+            action: protocol.SessionControl.Action.ATTACH,
+            channelId: tab.channelId,
+            sessionId: tab.sessionId,
+            role: tab.role,
+          },
+        });
+      }
+      // The host spawns a missing session on its first resize.
+      sendResize(tab.channelId);
+    };
+
+    const open = (tab: TerminalTab) => {
+      const element = document.createElement('div');
+      element.className = 'terminal-tab-pane';
+      container.appendChild(element);
+
+      const terminal = new XTerm({
+        cursorBlink: true,
+        convertEol: true,
+        fontFamily: '"IBM Plex Mono", monospace',
+        fontSize: 14,
+        theme: {
+          background: '#06131d',
+          foreground: '#d3f6ff',
+          cursor: '#7af0ff',
+          selectionBackground: '#225264',
         },
       });
+      const fitAddon = new FitAddon();
+      terminal.loadAddon(fitAddon);
+      terminal.open(element);
+
+      const dataDisposable = terminal.onData((value) => {
+        // Spectators only watch; the relay would reject their keystrokes.
+        const current = tabsRef.current.find((item) => item.channelId === tab.channelId);
+        if (current?.role !== protocol.SessionRole.SPECTATOR) {
+          send({ ptyInput: { data: value, channelId: tab.channelId } });
+        }
+      });
+      const resizeDisposable = terminal.onResize(({ cols, rows }) => {
+        send({ ptyResize: { cols, rows, channelId: tab.channelId } });
+      });
+
+      entries.set(tab.channelId, {
+        terminal,
+        fitAddon,
+        element,
+        dispose: () => {
+          dataDisposable.dispose();
+          resizeDisposable.dispose();
+          terminal.dispose();
+          element.remove();
+        },
+      });
+    };
+
+    const show = (channelId: string) => {
+      activeTabRef.current = channelId;
+      setActiveTab(channelId);
+      for (const [id, entry] of entries) {
+        entry.element.hidden = id !== channelId;
+      }
+
+      const entry = entries.get(channelId);
+      if (entry) {
+        entry.fitAddon.fit();
+        entry.terminal.focus();
+      }
     };
 
+    const close = (channelId: string) => {
+      send({ sessionControl: { action: protocol.SessionControl.Action.CLOSE, channelId } });
+      entries.get(channelId)?.dispose();
+      entries.delete(channelId);
+    };
+
+    tabApiRef.current = {
+      open: (tab) => {
+        open(tab);
+        show(tab.channelId);
+        attachTab(tab);
+      },
+      close,
+      show,
+      control: (action, sessionId = '', persistent = false, role = protocol.SessionRole.DRIVER) => {
+        const channelId = activeTabRef.current;
+        const entry = entries.get(channelId);
+        send({ sessionControl: { action, sessionId, persistent, channelId, role } });
+        if (action === protocol.SessionControl.Action.ATTACH) {
+          entry?.terminal.reset();
+          sendResize(channelId);
+        }
+        if (action === protocol.SessionControl.Action.DETACH) {
+          entry?.terminal.writeln('\r\n\x1b[33m[detached, pick a session to attach]\x1b[0m');
+        }
+      },
+      handOver: (targetClientId) => {
+        send({
+          sessionControl: {
+            action: protocol.SessionControl.Action.HAND_OVER,
+            channelId: activeTabRef.current,
+            targetClientId,
+          },
+        });
+      },
+      setFeature: (feature, enabled) => {
+        send({ hostControl: { feature, enabled, requestId: crypto.randomUUID() } });
+      },
+      fit: () => sendResize(activeTabRef.current),
+      remoteInput: (event) => send({ remoteInput: event }),
+      screenSubscribe: (subscribed) => send({ screenSubscribe: { subscribed } }),
+      // Files dropped on the terminal land in the host's working directory under their own name.
+      upload: (file, path = file.name) => void transferManager.upload(file, path),
+      download: (path) => transferManager.download(path),
+      fileSystem: (request) =>
+        new Promise((resolve) => {
+          if (ws.readyState !== WebSocket.OPEN) {
+            resolve({ ok: false, error: 'Not connected to the host' });
+            return;
+          }
+
+          const requestId = crypto.randomUUID();
+          fileRequests.set(requestId, resolve);
+          send({ fileSystemRequest: { ...request, requestId } });
+        }),
+    };
+
+    const initialTabs = loadTerminalTabs(session.server, session.hostId);
+    tabsRef.current = initialTabs;
+    setTabs(initialTabs);
+    for (const tab of initialTabs) {
+      open(tab);
+    }
+    show('');
+
+    const handleResize = () => sendResize(activeTabRef.current);
+
     ws.onopen = () => {
       setStatus('connecting');
-      terminal.writeln('\x1b[36m[relay connected]\x1b[0m');
+      notice('\x1b[36m[relay connected]\x1b[0m');
       send({
         authRequest: {
           hostId: session.hostId,
           token: session.token,
+          sessionId: initialTabs[0].sessionId,
+          role: tabsRef.current[0]?.role,
+          protocolVersion: PROTOCOL_VERSION,
         },
       });
     };
@@ -166,33 +452,129 @@ function TerminalSession({
           if (!message.authResponse.ok) {
             setStatus('error');
             setError(message.authResponse.error || 'Authentication failed');
-            terminal.writeln(`\x1b[31m[auth failed] ${message.authResponse.error}\x1b[0m`);
+            notice(`\x1b[31m[auth failed] ${message.authResponse.error}\x1b[0m`);
+            return;
+          }
+
+          if (message.authResponse.pending) {
+            setStatus('pending');
+            notice('\x1b[33m[waiting for host approval]\x1b[0m');
             return;
           }
 
           setStatus('connected');
-          terminal.writeln(`\x1b[32m[connected to ${session.displayName}]\x1b[0m`);
-          handleResize();
+          setFeatures({
+            admin: Boolean(message.authResponse.isAdminActive),
+            screen: Boolean(message.authResponse.isScreenActive),
+            remoteInput: Boolean(message.authResponse.remoteInputAllowed),
+            capabilities: message.authResponse.hostCapabilities || null,
+          });
+          notice(`\x1b[32m[connected to ${session.displayName}]\x1b[0m`);
+          for (const tab of tabsRef.current) {
+            attachTab(tab);
+          }
+          send({ sessionControl: { action: protocol.SessionControl.Action.LIST } });
+          return;
+        }
+
+        if (message.sessionList) {
+          const channelId = message.sessionList.channelId || '';
+          const attachedSessionId = message.sessionList.attachedSessionId || '';
+          const tab = tabsRef.current.find((item) => item.channelId === channelId);
+          if (tab && tab.sessionId !== attachedSessionId) {
+            updateTabs(
+              tabsRef.current.map((item) =>
+                item === tab ? { ...item, sessionId: attachedSessionId } : item,
+              ),
+            );
+          }
+          setSessionList(message.sessionList);
+          return;
+        }
+
+        if (message.screenFrame) {
+          setScreenFrame(message.screenFrame);
+          return;
+        }
+
+        if (message.hostCapabilities) {
+          const capabilities = message.hostCapabilities;
+          setFeatures((current) => ({
+            ...current,
+            remoteInput: Boolean(capabilities.supportsRemoteInput),
+            capabilities,
+          }));
+          return;
+        }
+
+        if (message.fileTransfer) {
+          transferManager.handle(message.fileTransfer);
+          return;
+        }
+
+        if (message.fileSystemResponse) {
+          const requestId = message.fileSystemResponse.requestId || '';
+          fileRequests.get(requestId)?.(message.fileSystemResponse);
+          fileRequests.delete(requestId);
+          return;
+        }
+
+        if (message.hostControlAck) {
+          const ack = message.hostControlAck;
+          const key = ack.feature === protocol.HostControl.Feature.SCREEN ? 'screen' : 'admin';
+          setFeatures((current) => ({ ...current, [key]: Boolean(ack.enabled) }));
+          if (!ack.ok) {
+            notice(`\r\n\x1b[31m[${key} mode] ${ack.error}\x1b[0m`);
+          }
+          return;
+        }
+
+        if (message.roleUpdate) {
+          const channelId = message.roleUpdate.channelId || '';
+          const entry = entries.get(channelId);
+          if (message.roleUpdate.requesterId) {
+            const requesterName = message.roleUpdate.requesterName || message.roleUpdate.requesterId.slice(0, 8);
+            setControlRequest({ channelId, requesterId: message.roleUpdate.requesterId, requesterName });
+            entry?.terminal.writeln(`\r\n\x1b[35m[${requesterName} asks for control]\x1b[0m`);
+            return;
+          }
+
+          const role = message.roleUpdate.role || protocol.SessionRole.DRIVER;
+          const tab = tabsRef.current.find((item) => item.channelId === channelId);
+          if (tab && (tab.role || protocol.SessionRole.DRIVER) !== role) {
+            updateTabs(tabsRef.current.map((item) => (item === tab ? { ...item, role } : item)));
+            entry?.terminal.writeln(
+              role === protocol.SessionRole.SPECTATOR
+                ? '\r\n\x1b[35m[spectating: output only]\x1b[0m'
+                : '\r\n\x1b[35m[you have control]\x1b[0m',
+            );
+          }
           return;
         }
 
         if (message.ptyOutput) {
-          terminal.write(message.ptyOutput.data || '');
+          const entry = entries.get(message.ptyOutput.channelId || '');
+          if (message.ptyOutput.replay) {
+            entry?.terminal.reset();
+          }
+          entry?.terminal.write(message.ptyOutput.data || '');
           return;
         }
 
         if (message.systemMessage) {
-          terminal.writeln(`\r\n\x1b[34m[system] ${message.systemMessage.message}\x1b[0m`);
+          notice(`\r\n\x1b[34m[system] ${message.systemMessage.message}\x1b[0m`);
           return;
         }
 
         if (message.errorMessage) {
-          terminal.writeln(`\r\n\x1b[31m[relay] ${message.errorMessage.message}\x1b[0m`);
+          notice(`\r\n\x1b[31m[relay] ${message.errorMessage.message}\x1b[0m`);
           return;
         }
 
         if (message.ptyExit) {
-          terminal.writeln(`\r\n\x1b[33m[process exited ${message.ptyExit.code}]\x1b[0m`);
+          entries
+            .get(message.ptyExit.channelId || '')
+            ?.terminal.writeln(`\r\n\x1b[33m[process exited ${message.ptyExit.code}]\x1b[0m`);
         }
       } catch (decodeError) {
         console.error('Failed to decode relay message', decodeError);
@@ -206,26 +588,56 @@ function TerminalSession({
 
     ws.onclose = () => {
       setStatus('disconnected');
-      terminal.writeln('\r\n\x1b[31m[relay disconnected]\x1b[0m');
+      transferManager.cancelAll('Connection closed');
+      for (const resolve of fileRequests.values()) {
+        resolve({ ok: false, error: 'Connection closed' });
+      }
+      fileRequests.clear();
+      notice('\r\n\x1b[31m[relay disconnected]\x1b[0m');
     };
 
-    const dataDisposable = terminal.onData((value) => {
-      send({ ptyInput: { data: value } });
-    });
-    const resizeDisposable = terminal.onResize(({ cols, rows }) => {
-      send({ ptyResize: { cols, rows } });
-    });
     window.addEventListener('resize', handleResize);
 
     return () => {
+      tabApiRef.current = null;
       window.removeEventListener('resize', handleResize);
-      dataDisposable.dispose();
-      resizeDisposable.dispose();
       ws.close();
-      terminal.dispose();
+      for (const entry of entries.values()) {
+        entry.dispose();
+      }
     };
   }, [session]);
 
+  // The terminal column narrows when the screen panel moves beside it.
+  useEffect(() => {
+    tabApiRef.current?.fit();
+  }, [split]);
+
+  const addTab = () => {
+    const used = new Set(tabsRef.current.map((tab) => tab.title));
+    let index = tabsRef.current.length + 1;
+    while (used.has(`Shell ${index}`)) {
+      index += 1;
+    }
+
+    const tab = { channelId: crypto.randomUUID().slice(0, 8), sessionId: crypto.randomUUID(), title: `Shell ${index}` };
+    updateTabs([...tabsRef.current, tab]);
+    tabApiRef.current?.open(tab);
+  };
+
+  const closeTab = (channelId: string) => {
+    tabApiRef.current?.close(channelId);
+    updateTabs(tabsRef.current.filter((tab) => tab.channelId !== channelId));
+    if (activeTabRef.current === channelId) {
+      tabApiRef.current?.show('');
+    }
+  };
+
+  const current = tabs.find((tab) => tab.channelId === activeTab);
+  const activeSessionId = current?.sessionId || '';
+  const spectating = current?.role === protocol.SessionRole.SPECTATOR;
+  const pendingRequest = controlRequest?.channelId === activeTab ? controlRequest : null;
+
   return (
     <section className="terminal-shell">
       <div className="terminal-toolbar">
@@ -235,20 +647,153 @@ function TerminalSession({
         </div>
         <div className="terminal-actions">
           <span className={`status-pill status-pill-${status}`}>{status}</span>
+          {supportsAdmin ? (
+            <button
+              className={features.admin ? 'secondary-button' : 'ghost-button'}
+              onClick={() => tabApiRef.current?.setFeature(protocol.HostControl.Feature.ADMIN, !features.admin)}
+              disabled={status !== 'connected'}
+              title="Respawn the host's shells with elevated privileges"
+            >
+              <ShieldCheck size={16} />
+              Admin {features.admin ? 'on' : 'off'}
+            </button>
+          ) : null}
+          {supportsBrowser ? (
+            <button
+              className={showFiles ? 'secondary-button' : 'ghost-button'}
+              onClick={() => setShowFiles((current) => !current)}
+            >
+              <FolderOpen size={16} />
+              Files
+            </button>
+          ) : null}
           <button className="ghost-button" onClick={onClose}>
             Close
           </button>
         </div>
       </div>
-      <div className="terminal-frame" ref={terminalContainerRef} />
+      <div className="terminal-tabs">
+        {tabs.map((tab) => (
+          <div
+            key={tab.channelId}
+            className={`terminal-tab ${tab.channelId === activeTab ? 'terminal-tab-active' : ''}`}
+          >
+            <button className="terminal-tab-label" onClick={() => tabApiRef.current?.show(tab.channelId)}>
+              {tab.role === protocol.SessionRole.SPECTATOR ? <Eye size={14} /> : null}
+              {tab.title}
+            </button>
+            {tab.channelId ? (
+              <button className="terminal-tab-close" onClick={() => closeTab(tab.channelId)} aria-label="Close tab">
+                <X size={14} />
+              </button>
+            ) : null}
+          </div>
+        ))}
+        <button className="ghost-button" onClick={addTab} disabled={status !== 'connected'}>
+          <Plus size={16} />
+          New tab
+        </button>
+      </div>
+      {status === 'connected' && (spectating || pendingRequest) ? (
+        <div className="control-bar">
+          {spectating ? (
+            <>
+              <span>Spectating: output only.</span>
+              <button
+                className="secondary-button"
+                onClick={() => tabApiRef.current?.control(protocol.SessionControl.Action.REQUEST_CONTROL)}
+              >
+                <Hand size={16} />
+                Request control
+              </button>
+            </>
+          ) : null}
+          {pendingRequest ? (
+            <>
+              <span>{pendingRequest.requesterName} asks for control.</span>
+              <button
+                className="secondary-button"
+                onClick={() => {
+                  tabApiRef.current?.handOver(pendingRequest.requesterId);
+                  setControlRequest(null);
+                }}
+              >
+                <Hand size={16} />
+                Hand over
+              </button>
+              <button className="ghost-button" onClick={() => setControlRequest(null)}>
+                Dismiss
+              </button>
+            </>
+          ) : null}
+        </div>
+      ) : null}
+      <div className={`terminal-layout ${split ? 'terminal-layout-split' : ''}`}>
+        <div
+          className={`terminal-frame ${dropping ? 'terminal-frame-dropping' : ''}`}
+          ref={terminalContainerRef}
+          onDragOver={(event) => {
+            if (supportsFiles && event.dataTransfer.types.includes('Files')) {
+              event.preventDefault();
+              setDropping(true);
+            }
+          }}
+          onDragLeave={() => setDropping(false)}
+          onDrop={(event) => {
+            event.preventDefault();
+            setDropping(false);
+            for (const file of event.dataTransfer.files) {
+              tabApiRef.current?.upload(file);
+            }
+          }}
+        />
+        {supportsScreen && (status === 'connected' || screenFrame) ? (
+          <ScreenPanel
+            frame={screenFrame}
+            enabled={features.screen}
+            disabled={status !== 'connected'}
+            remoteInput={features.remoteInput}
+            onToggle={(enabled) => tabApiRef.current?.setFeature(protocol.HostControl.Feature.SCREEN, enabled)}
+            onInput={(event) => tabApiRef.current?.remoteInput(event)}
+            onSubscribe={(subscribed) => tabApiRef.current?.screenSubscribe(subscribed)}
+          />
+        ) : null}
+      </div>
       {status === 'error' && error ? <p className="terminal-error">{error}</p> : null}
+      {supportsFiles || transfers.length ? (
+        <TransferBar
+          transfers={transfers}
+          disabled={!supportsFiles}
+          onDownload={(path) => tabApiRef.current?.download(path)}
+          onClear={() => setTransfers((current) => current.filter((item) => item.status === 'running'))}
+        />
+      ) : null}
+      {supportsBrowser && showFiles ? (
+        <FileBrowser
+          call={callFileSystem}
+          readOnly={Boolean(session.readOnly)}
+          refreshKey={uploadsDone}
+          onDownload={(path) => tabApiRef.current?.download(path)}
+          onUpload={(file, path) => tabApiRef.current?.upload(file, path)}
+        />
+      ) : null}
+      {status === 'connected' ? (
+        <SessionPicker
+          list={sessionList ? { ...sessionList, attachedSessionId: activeSessionId } : null}
+          onControl={(action, sessionId, persistent, role) =>
+            tabApiRef.current?.control(action, sessionId, persistent, role)
+          }
+        />
+      ) : null}
     </section>
   );
 }
 
 export default function App() {
   const [server, setServer] = useState(getDefaultServer());
+  const [username, setUsername] = useState('admin');
   const [password, setPassword] = useState('');
+  const [accessSecret, setAccessSecret] = useState('');
   const [hosts, setHosts] = useState<HostItem[]>([]);
   const [selectedHostId, setSelectedHostId] = useState('');
   const [loadingHosts, setLoadingHosts] = useState(false);
@@ -263,8 +808,11 @@ export default function App() {
     welcomeMessage: '',
     preferredShell: '',
     preferredCwd: '',
+    recordSessions: false,
   });
 
+  const userTokenRef = useRef<{ key: string; token: string } | null>(null);
+
   const selectedHost = hosts.find((host) => host.hostId === selectedHostId) || null;
 
   useEffect(() => {
@@ -317,7 +865,7 @@ export default function App() {
     }
 
     if (!password) {
-      setMessage('Admin password is required to save settings.');
+      setMessage('Account password is required to save settings.');
       return;
     }
 
@@ -328,8 +876,9 @@ export default function App() {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          password,
           ...draft,
+          username,
+          password,
         }),
       });
 
@@ -349,14 +898,38 @@ export default function App() {
     }
   }
 
+  async function getUserToken() {
+    if (!password) {
+      throw new Error('Account password is required to sign in.');
+    }
+
+    const key = `${server}\n${username}\n${password}`;
+    if (userTokenRef.current?.key === key) {
+      return userTokenRef.current.token;
+    }
+
+    const response = await fetch(new URL('/api/auth/login', server), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    const payload = (await response.json()) as LoginResponse | { error?: string };
+    if (!response.ok || !('token' in payload)) {
+      throw new Error(('error' in payload && payload.error) || 'Failed to sign in');
+    }
+
+    userTokenRef.current = { key, token: payload.token };
+    return payload.token;
+  }
+
   async function openSession() {
     if (!selectedHost) {
       setMessage('Select a host first.');
       return;
     }
 
-    if (!password) {
-      setMessage('Admin password is required to issue a client token.');
+    if (!password && !accessSecret) {
+      setMessage('An account password or host access secret is required to issue a client token.');
       return;
     }
 
@@ -368,7 +941,7 @@ export default function App() {
         {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ password }),
+          body: JSON.stringify(accessSecret ? { accessSecret } : { username, password }),
         },
       );
       const payload = (await response.json()) as TokenResponse | { error?: string };
@@ -381,6 +954,7 @@ export default function App() {
         hostId: selectedHost.hostId,
         displayName: payload.host.settings.displayName,
         token: payload.token,
+        readOnly: payload.host.settings.readOnly,
       });
       setHosts((current) =>
         current.map((host) => (host.hostId === payload.host.hostId ? payload.host : host)),
@@ -439,7 +1013,16 @@ export default function App() {
           </label>
 
           <label className="field">
-            <span>Admin password</span>
+            <span>Username</span>
+            <input
+              value={username}
+              onChange={(event) => setUsername(event.target.value)}
+              autoComplete="username"
+            />
+          </label>
+
+          <label className="field">
+            <span>Password</span>
             <input
               type="password"
               value={password}
@@ -476,6 +1059,12 @@ export default function App() {
                   <span>{host.clients} clients</span>
                   <span>Last seen {formatStamp(host.lastSeenAt)}</span>
                 </div>
+                {host.capabilities ? (
+                  <div className="host-card-meta">
+                    <span>{host.features?.join(' · ') || 'terminal only'}</span>
+                    <span>{host.capabilities.version || `protocol ${host.capabilities.protocolVersion}`}</span>
+                  </div>
+                ) : null}
               </button>
             ))}
           </div>
@@ -505,6 +1094,10 @@ export default function App() {
                   <span className="detail-label">Last client</span>
                   <strong>{formatStamp(selectedHost.lastClientAt)}</strong>
                 </div>
+                <div className="detail-card">
+                  <span className="detail-label">Owner</span>
+                  <strong>{selectedHost.owner || 'Unclaimed'}</strong>
+                </div>
               </div>
 
               <div className="form-grid">
@@ -575,8 +1168,34 @@ export default function App() {
                     <p>Keep the shell visible, but block client keystrokes and resizes.</p>
                   </div>
                 </label>
+
+                <label className="toggle-row field-full">
+                  <input
+                    type="checkbox"
+                    checked={draft.recordSessions}
+                    onChange={(event) =>
+                      setDraft((current) => ({ ...current, recordSessions: event.target.checked }))
+                    }
+                  />
+                  <div>
+                    <strong>Record sessions</strong>
+                    <p>Save every client session on this host as an asciicast file on the relay.</p>
+                  </div>
+                </label>
               </div>
 
+              {selectedHost.hasAccessSecret ? (
+                <label className="field">
+                  <span>Host access secret</span>
+                  <input
+                    type="password"
+                    value={accessSecret}
+                    onChange={(event) => setAccessSecret(event.target.value)}
+                    placeholder="Connect without a relay account"
+                  />
+                </label>
+              ) : null}
+
               <div className="action-row">
                 <button className="secondary-button" onClick={() => void saveSettings()} disabled={saving}>
                   <Save size={16} />
@@ -611,6 +1230,10 @@ export default function App() {
           </div>
         )}
       </section>
+
+      {selectedHost ? (
+        <RecordingsPanel server={server} hostId={selectedHost.hostId} getAuthToken={getUserToken} />
+      ) : null}
     </main>
   );
 }
@@ -0,0 +1,282 @@
+import { FormEvent, useEffect, useState } from 'react';
+import { ChevronRight, Download, File, Folder, FolderOpen, Link, Pencil, RefreshCcw, Trash2 } from 'lucide-react';
+import { terminal as protocol } from 'terminal-tool-protocol';
+import { formatBytes } from './file-transfer';
+
+const { Action } = protocol.FileSystemRequest;
+const { Kind } = protocol.FileEntry;
+
+export type FileSystemCall = (request: protocol.IFileSystemRequest) => Promise<protocol.IFileSystemResponse>;
+
+interface Preview {
+  path: string;
+  text: string;
+  truncated: boolean;
+  binary: boolean;
+}
+
+function joinPath(directory: string, name: string) {
+  return directory ? `${directory}/${name}` : name;
+}
+
+function formatMode(mode: number) {
+  return [6, 3, 0]
+    .map((shift) => {
+      const bits = (mode >> shift) & 7;
+      return `${bits & 4 ? 'r' : '-'}${bits & 2 ? 'w' : '-'}${bits & 1 ? 'x' : '-'}`;
+    })
+    .join('');
+}
+
+function EntryIcon({ kind }: { kind: protocol.FileEntry.Kind }) {
+  if (kind === Kind.DIRECTORY) {
+    return <Folder size={16} />;
+  }
+  return kind === Kind.SYMLINK ? <Link size={16} /> : <File size={16} />;
+}
+
+export function FileBrowser({
+  call,
+  readOnly,
+  refreshKey,
+  onDownload,
+  onUpload,
+}: {
+  call: FileSystemCall;
+  readOnly: boolean;
+  /** Changes whenever the directory may have changed under the browser, e.g. after an upload. */
+  refreshKey: number;
+  onDownload: (path: string) => void;
+  onUpload: (file: File, path: string) => void;
+}) {
+  const [directory, setDirectory] = useState('');
+  const [listing, setListing] = useState<protocol.IFileSystemResponse | null>(null);
+  const [preview, setPreview] = useState<Preview | null>(null);
+  const [renaming, setRenaming] = useState<{ name: string; value: string } | null>(null);
+  const [deleting, setDeleting] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    void call({ action: Action.LIST, path: directory }).then((response) => {
+      if (cancelled) {
+        return;
+      }
+
+      setLoading(false);
+      if (response.ok) {
+        setListing(response);
+        setError('');
+      } else {
+        setError(response.error || 'Could not list the directory');
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [call, directory, refreshKey, reloads]);
+
+  const run = async (request: protocol.IFileSystemRequest) => {
+    const response = await call(request);
+    if (!response.ok) {
+      setError(response.error || 'The host refused the request');
+      return null;
+    }
+
+    setError('');
+    return response;
+  };
+
+  const open = async (name: string, kind: protocol.FileEntry.Kind) => {
+    const path = joinPath(directory, name);
+    if (kind === Kind.DIRECTORY) {
+      setDirectory(path);
+      setPreview(null);
+      return;
+    }
+
+    // Symlinks may lead to a directory; the host follows them as long as they stay inside the root.
+    const response = await run({ action: Action.READ, path });
+    if (!response && kind === Kind.SYMLINK) {
+      setError('');
+      setDirectory(path);
+      return;
+    }
+    if (response) {
+      setPreview({
+        path,
+        text: new TextDecoder().decode(response.content || new Uint8Array()),
+        truncated: Boolean(response.truncated),
+        binary: Boolean(response.binary),
+      });
+    }
+  };
+
+  const rename = async (event: FormEvent) => {
+    event.preventDefault();
+    const value = renaming?.value.trim();
+    if (!renaming || !value || value === renaming.name) {
+      setRenaming(null);
+      return;
+    }
+
+    if (await run({ action: Action.RENAME, path: joinPath(directory, renaming.name), newPath: joinPath(directory, value) })) {
+      setRenaming(null);
+      setReloads((count) => count + 1);
+    }
+  };
+
+  const remove = async (name: string) => {
+    setDeleting('');
+    const path = joinPath(directory, name);
+    if (await run({ action: Action.DELETE, path })) {
+      setPreview((current) => (current?.path === path ? null : current));
+      setReloads((count) => count + 1);
+    }
+  };
+
+  const crumbs = directory ? directory.split('/') : [];
+  const entries = listing?.entries || [];
+
+  return (
+    <div
+      className="file-browser"
+      onDragOver={(event) => {
+        if (!readOnly && event.dataTransfer.types.includes('Files')) {
+          event.preventDefault();
+        }
+      }}
+      onDrop={(event) => {
+        event.preventDefault();
+        for (const file of event.dataTransfer.files) {
+          onUpload(file, joinPath(directory, file.name));
+        }
+      }}
+    >
+      <div className="terminal-actions">
+        <FolderOpen className="header-icon" />
+        <strong>Files</strong>
+        <nav className="file-crumbs">
+          <button className="file-crumb" onClick={() => setDirectory('')}>
+            root
+          </button>
+          {crumbs.map((crumb, index) => (
+            <span key={index}>
+              <ChevronRight size={14} />
+              <button className="file-crumb" onClick={() => setDirectory(crumbs.slice(0, index + 1).join('/'))}>
+                {crumb}
+              </button>
+            </span>
+          ))}
+        </nav>
+        <button className="ghost-button" onClick={() => setReloads((count) => count + 1)} disabled={loading}>
+          <RefreshCcw size={16} />
+        </button>
+      </div>
+
+      {error ? <p className="inline-message">{error}</p> : null}
+      {listing?.truncated ? <p className="player-time">Only the first {entries.length} entries are shown.</p> : null}
+      {!readOnly ? <p className="player-time">Drop files here to upload them to this directory.</p> : null}
+
+      <table className="file-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Size</th>
+            <th>Modified</th>
+            <th>Permissions</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {entries.length === 0 && !loading ? (
+            <tr>
+              <td colSpan={5} className="empty-state">
+                This directory is empty.
+              </td>
+            </tr>
+          ) : null}
+          {entries.map((entry) => {
+            const name = entry.name || '';
+            const kind = entry.kind || Kind.FILE;
+            return (
+              <tr key={name}>
+                <td>
+                  {renaming?.name === name ? (
+                    <form className="session-form" onSubmit={rename}>
+                      <input
+                        autoFocus
+                        value={renaming.value}
+                        onChange={(event) => setRenaming({ name, value: event.target.value })}
+                        onBlur={() => setRenaming(null)}
+                        onKeyDown={(event) => event.key === 'Escape' && setRenaming(null)}
+                      />
+                    </form>
+                  ) : (
+                    <button className="file-name" onClick={() => void open(name, kind)}>
+                      <EntryIcon kind={kind} />
+                      {name}
+                    </button>
+                  )}
+                </td>
+                <td>{kind === Kind.DIRECTORY ? '-' : formatBytes(entry.size || 0)}</td>
+                <td>{entry.modifiedAt ? new Date(entry.modifiedAt).toLocaleString() : '-'}</td>
+                <td className="file-mode">{formatMode(entry.mode || 0)}</td>
+                <td className="file-actions">
+                  {kind === Kind.FILE ? (
+                    <button className="ghost-button" onClick={() => onDownload(joinPath(directory, name))} title="Download">
+                      <Download size={14} />
+                    </button>
+                  ) : null}
+                  {!readOnly ? (
+                    <>
+                      <button className="ghost-button" onClick={() => setRenaming({ name, value: name })} title="Rename">
+                        <Pencil size={14} />
+                      </button>
+                      {deleting === name ? (
+                        <>
+                          <button className="secondary-button" onClick={() => void remove(name)}>
+                            Delete {kind === Kind.DIRECTORY ? 'folder and contents' : name}
+                          </button>
+                          <button className="ghost-button" onClick={() => setDeleting('')}>
+                            Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <button className="ghost-button" onClick={() => setDeleting(name)} title="Delete">
+                          <Trash2 size={14} />
+                        </button>
+                      )}
+                    </>
+                  ) : null}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {preview ? (
+        <div className="file-preview">
+          <div className="terminal-actions">
+            <strong>{preview.path}</strong>
+            <button className="ghost-button" onClick={() => setPreview(null)}>
+              Close
+            </button>
+          </div>
+          {preview.binary ? (
+            <p className="empty-state">This file is not text; download it to open it.</p>
+          ) : (
+            <pre>{preview.text}</pre>
+          )}
+          {preview.truncated && !preview.binary ? (
+            <p className="player-time">Only the start of the file is shown; download it for the rest.</p>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,333 @@
+import { useEffect, useRef, useState } from 'react';
+import { Terminal as XTerm } from '@xterm/xterm';
+import { Download, Film, Pause, Play, RefreshCcw } from 'lucide-react';
+import { Cast, CastEvent, compressIdleTime, parseCast, parseResize } from './asciicast';
+
+export interface RecordingItem {
+  id: string;
+  hostId: string;
+  clientId: string;
+  channelId?: string;
+  username?: string;
+  startedAt: string;
+  endedAt: string | null;
+  duration: number;
+  size: number;
+}
+
+interface LoadedRecording {
+  item: RecordingItem;
+  cast: Cast;
+}
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+const IDLE_LIMIT_SECONDS = 2;
+
+function formatDuration(seconds: number) {
+  const whole = Math.floor(seconds);
+  const minutes = Math.floor(whole / 60);
+  return `${minutes}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function formatSize(bytes: number) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function fetchRecording(server: string, item: RecordingItem, token: string) {
+  const response = await fetch(
+    new URL(`/api/hosts/${item.hostId}/recordings/${item.id}`, server),
+    { headers: { Authorization: `Bearer ${token}` } },
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to download recording (${response.status})`);
+  }
+
+  return response.text();
+}
+
+function RecordingPlayer({ recording }: { recording: LoadedRecording }) {
+  const containerRef = useRef<HTMLDivElement | null>(null);
+  const terminalRef = useRef<XTerm | null>(null);
+  const positionRef = useRef(0);
+  const indexRef = useRef(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [compressIdle, setCompressIdle] = useState(true);
+  const [position, setPosition] = useState(0);
+
+  const idleLimit = recording.cast.header.idle_time_limit || IDLE_LIMIT_SECONDS;
+  const events: CastEvent[] = (
+    compressIdle ? compressIdleTime(recording.cast.events, idleLimit) : recording.cast.events
+  ).filter((event) => event.code === 'o' || event.code === 'r');
+  const duration = events.length ? events[events.length - 1].time : 0;
+
+  const applyEvent = (terminal: XTerm, event: CastEvent) => {
+    if (event.code === 'r') {
+      const size = parseResize(event.data);
+      if (size) {
+        terminal.resize(size.cols, size.rows);
+      }
+      return;
+    }
+
+    terminal.write(event.data);
+  };
+
+  const seek = (target: number) => {
+    const terminal = terminalRef.current;
+    if (!terminal) {
+      return;
+    }
+
+    terminal.reset();
+    terminal.resize(recording.cast.header.width, recording.cast.header.height);
+    let index = 0;
+    while (index < events.length && events[index].time <= target) {
+      applyEvent(terminal, events[index]);
+      index += 1;
+    }
+
+    indexRef.current = index;
+    positionRef.current = target;
+    setPosition(target);
+  };
+
+  useEffect(() => {
+    if (!containerRef.current) {
+      return;
+    }
+
+    const terminal = new XTerm({
+      cols: recording.cast.header.width,
+      rows: recording.cast.header.height,
+      disableStdin: true,
+      convertEol: true,
+      fontFamily: '"IBM Plex Mono", monospace',
+      fontSize: 13,
+      theme: {
+        background: '#06131d',
+        foreground: '#d3f6ff',
+        cursor: '#7af0ff',
+        selectionBackground: '#225264',
+      },
+    });
+    terminal.open(containerRef.current);
+    terminalRef.current = terminal;
+    indexRef.current = 0;
+    positionRef.current = 0;
+    setPosition(0);
+    setPlaying(true);
+
+    return () => {
+      terminal.dispose();
+      terminalRef.current = null;
+    };
+  }, [recording]);
+
+  // Idle compression shifts every timestamp, so rebuild the screen on the new timeline.
+  useEffect(() => {
+    seek(Math.min(positionRef.current, duration));
+  }, [compressIdle]);
+
+  useEffect(() => {
+    if (!playing) {
+      return;
+    }
+
+    let last = performance.now();
+    let frame = requestAnimationFrame(function tick(now) {
+      const terminal = terminalRef.current;
+      if (!terminal) {
+        return;
+      }
+
+      positionRef.current = Math.min(duration, positionRef.current + ((now - last) / 1000) * speed);
+      last = now;
+      while (indexRef.current < events.length && events[indexRef.current].time <= positionRef.current) {
+        applyEvent(terminal, events[indexRef.current]);
+        indexRef.current += 1;
+      }
+
+      setPosition(positionRef.current);
+      if (indexRef.current >= events.length) {
+        setPlaying(false);
+        return;
+      }
+
+      frame = requestAnimationFrame(tick);
+    });
+
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, recording, compressIdle]);
+
+  const togglePlaying = () => {
+    if (!playing && indexRef.current >= events.length) {
+      seek(0);
+    }
+    setPlaying((current) => !current);
+  };
+
+  return (
+    <div className="recording-player">
+      <div className="terminal-frame recording-frame" ref={containerRef} />
+      <div className="player-controls">
+        <button className="secondary-button" onClick={togglePlaying}>
+          {playing ? <Pause size={16} /> : <Play size={16} />}
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <input
+          className="player-seek"
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={0.1}
+          value={position}
+          onChange={(event) => seek(Number(event.target.value))}
+        />
+        <span className="player-time">
+          {formatDuration(position)} / {formatDuration(duration)}
+        </span>
+        <select value={speed} onChange={(event) => setSpeed(Number(event.target.value))}>
+          {SPEEDS.map((value) => (
+            <option key={value} value={value}>
+              {value}x
+            </option>
+          ))}
+        </select>
+        <label className="player-toggle">
+          <input
+            type="checkbox"
+            checked={compressIdle}
+            onChange={(event) => setCompressIdle(event.target.checked)}
+          />
+          Skip idle
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export function RecordingsPanel({
+  server,
+  hostId,
+  getAuthToken,
+}: {
+  server: string;
+  hostId: string;
+  getAuthToken: () => Promise<string>;
+}) {
+  const [items, setItems] = useState<RecordingItem[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [active, setActive] = useState<LoadedRecording | null>(null);
+
+  async function refresh() {
+    setLoading(true);
+    setMessage('');
+    try {
+      const token = await getAuthToken();
+      const response = await fetch(new URL(`/api/hosts/${hostId}/recordings`, server), {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const payload = (await response.json()) as { items?: RecordingItem[]; error?: string };
+      if (!response.ok || !payload.items) {
+        throw new Error(payload.error || 'Failed to load recordings');
+      }
+
+      setItems(payload.items);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'Failed to load recordings');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function play(item: RecordingItem) {
+    setMessage('');
+    try {
+      const text = await fetchRecording(server, item, await getAuthToken());
+      setActive({ item, cast: parseCast(text) });
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'Failed to open recording');
+    }
+  }
+
+  async function download(item: RecordingItem) {
+    setMessage('');
+    try {
+      const text = await fetchRecording(server, item, await getAuthToken());
+      const url = URL.createObjectURL(new Blob([text], { type: 'application/x-asciicast' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${item.id}.cast`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'Failed to download recording');
+    }
+  }
+
+  useEffect(() => {
+    setItems([]);
+    setActive(null);
+  }, [hostId, server]);
+
+  return (
+    <section className="terminal-panel">
+      <div className="panel-header">
+        <div>
+          <p className="eyebrow">Audit trail</p>
+          <h2>Recordings</h2>
+        </div>
+        <div className="terminal-actions">
+          <button className="ghost-button" onClick={() => void refresh()} disabled={loading}>
+            <RefreshCcw size={16} />
+            {loading ? 'Loading...' : 'Load recordings'}
+          </button>
+          <Film className="header-icon" />
+        </div>
+      </div>
+
+      {message ? <p className="inline-message">{message}</p> : null}
+
+      <div className="recordings-layout">
+        <div className="recordings-list">
+          {items.length === 0 ? <p className="empty-state">No recordings loaded for this host.</p> : null}
+          {items.map((item) => (
+            <div
+              key={item.id}
+              className={`recording-row ${active?.item.id === item.id ? 'host-card-active' : ''}`}
+            >
+              <div>
+                <strong>{new Date(item.startedAt).toLocaleString()}</strong>
+                <p>
+                  {item.username || item.clientId.slice(0, 8)}
+                  {item.channelId ? ` (tab ${item.channelId})` : ''} · {formatDuration(item.duration)} ·{' '}
+                  {formatSize(item.size)}
+                  {item.endedAt ? '' : ' · in progress'}
+                </p>
+              </div>
+              <div className="terminal-actions">
+                <button className="secondary-button" onClick={() => void play(item)}>
+                  <Play size={16} />
+                  Play
+                </button>
+                <button className="ghost-button" onClick={() => void download(item)}>
+                  <Download size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {active ? (
+          <RecordingPlayer recording={active} />
+        ) : (
+          <div className="terminal-placeholder">
+            <p>Pick a recording to replay it here.</p>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
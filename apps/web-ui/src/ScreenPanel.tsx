@@ -0,0 +1,226 @@
+import { KeyboardEvent, PointerEvent, WheelEvent, useEffect, useRef, useState } from 'react';
+import { MonitorSmartphone, MonitorX, MousePointer2 } from 'lucide-react';
+import { terminal as protocol } from 'terminal-tool-protocol';
+
+const FPS_WINDOW = 10;
+const POINTER_MOVE_INTERVAL_MS = 33;
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'AltGraph']);
+
+// Hosts that predate the format field send raw screenshots, JPEG on most platforms and PNG on some.
+function frameMimeType(frame: protocol.IScreenFrame, data: Uint8Array) {
+  if (frame.format) {
+    return frame.format;
+  }
+  return data[0] === 0x89 && data[1] === 0x50 ? 'image/png' : 'image/jpeg';
+}
+
+function decodeImage(frame: protocol.IScreenFrame, bytes: Uint8Array) {
+  const data = new Uint8Array(bytes);
+  return createImageBitmap(new Blob([data], { type: frameMimeType(frame, data) }));
+}
+
+export function ScreenPanel({
+  frame,
+  enabled,
+  disabled,
+  remoteInput,
+  onToggle,
+  onInput,
+  onSubscribe,
+}: {
+  frame: protocol.IScreenFrame | null;
+  enabled: boolean;
+  disabled: boolean;
+  remoteInput: boolean;
+  onToggle: (enabled: boolean) => void;
+  onInput: (event: protocol.IRemoteInput) => void;
+  onSubscribe: (subscribed: boolean) => void;
+}) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  // Frames decode asynchronously but must be painted in arrival order, tiles on top of their keyframe.
+  const paintRef = useRef<Promise<void>>(Promise.resolve());
+  const hasKeyframeRef = useRef(false);
+  const arrivalsRef = useRef<number[]>([]);
+  const lastMoveRef = useRef(0);
+  const [controlling, setControlling] = useState(false);
+  const interactive = controlling && remoteInput && enabled && !disabled;
+  const [painted, setPainted] = useState(false);
+  const [fps, setFps] = useState(0);
+  const [size, setSize] = useState({ width: 0, height: 0, sourceWidth: 0, sourceHeight: 0 });
+
+  // The host only captures while someone watches, so a hidden browser tab stops the stream.
+  useEffect(() => {
+    if (disabled) {
+      return;
+    }
+
+    const update = () => onSubscribe(!document.hidden);
+    update();
+    document.addEventListener('visibilitychange', update);
+    return () => {
+      document.removeEventListener('visibilitychange', update);
+      onSubscribe(false);
+      hasKeyframeRef.current = false;
+    };
+  }, [disabled]);
+
+  useEffect(() => {
+    if (!frame) {
+      return;
+    }
+
+    // Frames without tiles replace the whole picture; that includes every frame from older hosts.
+    const keyframe = Boolean(frame.keyframe || !frame.tiles?.length);
+    if (keyframe ? !frame.data?.length : !hasKeyframeRef.current) {
+      return;
+    }
+    hasKeyframeRef.current = true;
+
+    paintRef.current = paintRef.current.then(async () => {
+      const canvas = canvasRef.current;
+      const context = canvas?.getContext('2d');
+      if (!canvas || !context) {
+        return;
+      }
+
+      try {
+        if (keyframe) {
+          const image = await decodeImage(frame, frame.data!);
+          canvas.width = image.width;
+          canvas.height = image.height;
+          context.drawImage(image, 0, 0);
+          image.close();
+          setSize({
+            width: image.width,
+            height: image.height,
+            sourceWidth: frame.sourceWidth || image.width,
+            sourceHeight: frame.sourceHeight || image.height,
+          });
+          setPainted(true);
+          return;
+        }
+
+        const images = await Promise.all(frame.tiles!.map((tile) => decodeImage(frame, tile.data || new Uint8Array())));
+        frame.tiles!.forEach((tile, index) => {
+          context.drawImage(images[index], tile.x || 0, tile.y || 0);
+          images[index].close();
+        });
+      } catch {
+        // A frame that fails to decode is skipped; the next keyframe repairs the picture.
+      }
+    });
+
+    const arrivals = [...arrivalsRef.current, performance.now()].slice(-FPS_WINDOW);
+    arrivalsRef.current = arrivals;
+    const span = (arrivals[arrivals.length - 1] - arrivals[0]) / 1000;
+    setFps(arrivals.length > 1 && span > 0 ? (arrivals.length - 1) / span : 0);
+  }, [frame]);
+
+  useEffect(() => {
+    if (!enabled) {
+      arrivalsRef.current = [];
+      setFps(0);
+    }
+  }, [enabled]);
+
+  const { Kind } = protocol.RemoteInput;
+
+  // Positions are sent as fractions of the displayed frame; the host scales them to its screen.
+  const pointer = (event: PointerEvent<HTMLCanvasElement> | WheelEvent<HTMLCanvasElement>) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return { x: (event.clientX - rect.left) / rect.width, y: (event.clientY - rect.top) / rect.height };
+  };
+
+  const onPointerMove = (event: PointerEvent<HTMLCanvasElement>) => {
+    const now = performance.now();
+    if (now - lastMoveRef.current >= POINTER_MOVE_INTERVAL_MS) {
+      lastMoveRef.current = now;
+      onInput({ kind: Kind.POINTER_MOVE, ...pointer(event) });
+    }
+  };
+
+  const onPointerButton = (event: PointerEvent<HTMLCanvasElement>, kind: protocol.RemoteInput.Kind) => {
+    event.preventDefault();
+    if (kind === Kind.POINTER_DOWN) {
+      event.currentTarget.parentElement?.focus();
+    }
+    onInput({ kind, button: event.button + 1, ...pointer(event) });
+  };
+
+  const onWheel = (event: WheelEvent<HTMLCanvasElement>) => {
+    const steps = (delta: number) => (delta ? Math.sign(delta) * Math.max(1, Math.round(Math.abs(delta) / 100)) : 0);
+    onInput({ kind: Kind.SCROLL, scrollX: steps(event.deltaX), scrollY: steps(event.deltaY), ...pointer(event) });
+  };
+
+  const onKey = (event: KeyboardEvent<HTMLDivElement>, kind: protocol.RemoteInput.Kind) => {
+    // Modifiers travel as flags on the keys they change.
+    if (MODIFIER_KEYS.has(event.key)) {
+      return;
+    }
+
+    event.preventDefault();
+    onInput({
+      kind,
+      key: event.key,
+      shift: event.shiftKey,
+      ctrl: event.ctrlKey,
+      alt: event.altKey,
+      meta: event.metaKey,
+    });
+  };
+
+  return (
+    <div className="screen-panel">
+      <div className="terminal-actions">
+        <MonitorSmartphone className="header-icon" />
+        <strong>Screen</strong>
+        <span className="player-time">
+          {enabled ? `${fps.toFixed(1)} fps` : 'paused'}
+          {size.sourceWidth ? ` · ${size.sourceWidth}x${size.sourceHeight}` : ''}
+          {size.width && size.width !== size.sourceWidth ? ` (sent at ${size.width}x${size.height})` : ''}
+        </span>
+        <button
+          className={enabled ? 'secondary-button' : 'ghost-button'}
+          onClick={() => onToggle(!enabled)}
+          disabled={disabled}
+        >
+          {enabled ? <MonitorX size={16} /> : <MonitorSmartphone size={16} />}
+          {enabled ? 'Stop sharing' : 'Share screen'}
+        </button>
+        {remoteInput && enabled ? (
+          <button
+            className={controlling ? 'secondary-button' : 'ghost-button'}
+            onClick={() => setControlling(!controlling)}
+            disabled={disabled}
+            title="Send mouse and keyboard input to the host"
+          >
+            <MousePointer2 size={16} />
+            {controlling ? 'Release control' : 'Control'}
+          </button>
+        ) : null}
+      </div>
+
+      <div
+        className={`screen-viewport ${interactive ? 'screen-viewport-active' : ''}`}
+        hidden={!painted}
+        tabIndex={interactive ? 0 : undefined}
+        onKeyDown={interactive ? (event) => onKey(event, Kind.KEY_DOWN) : undefined}
+        onKeyUp={interactive ? (event) => onKey(event, Kind.KEY_UP) : undefined}
+      >
+        <canvas
+          ref={canvasRef}
+          className={`screen-frame ${enabled ? '' : 'screen-frame-paused'}`}
+          aria-label="Host screen"
+          onPointerMove={interactive ? onPointerMove : undefined}
+          onPointerDown={interactive ? (event) => onPointerButton(event, Kind.POINTER_DOWN) : undefined}
+          onPointerUp={interactive ? (event) => onPointerButton(event, Kind.POINTER_UP) : undefined}
+          onWheel={interactive ? onWheel : undefined}
+          onContextMenu={interactive ? (event) => event.preventDefault() : undefined}
+        />
+      </div>
+      {painted ? null : enabled ? (
+        <div className="terminal-placeholder screen-placeholder">Waiting for the first frame...</div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { FormEvent, useState } from 'react';
+import { Eye, Layers, Plug, RefreshCcw, Trash2, Unplug } from 'lucide-react';
+import { terminal as protocol } from 'terminal-tool-protocol';
+
+export type SessionAction = protocol.SessionControl.Action;
+
+function sessionLabel(session: protocol.ISessionInfo) {
+  const id = session.sessionId || '';
+  return session.persistent ? id : `${id.slice(0, 8)} (temporary)`;
+}
+
+export function SessionPicker({
+  list,
+  onControl,
+}: {
+  list: protocol.ISessionList | null;
+  onControl: (
+    action: SessionAction,
+    sessionId?: string,
+    persistent?: boolean,
+    role?: protocol.SessionRole,
+  ) => void;
+}) {
+  const [name, setName] = useState('');
+  const sessions = list?.sessions || [];
+  const attached = list?.attachedSessionId || '';
+
+  const startNamed = (event: FormEvent) => {
+    event.preventDefault();
+    const sessionId = name.trim();
+    if (!sessionId) {
+      return;
+    }
+
+    onControl(protocol.SessionControl.Action.ATTACH, sessionId, true);
+    setName('');
+  };
+
+  return (
+    <div className="session-picker">
+      <div className="terminal-actions">
+        <Layers className="header-icon" />
+        <strong>Sessions</strong>
+        <button className="ghost-button" onClick={() => onControl(protocol.SessionControl.Action.LIST)}>
+          <RefreshCcw size={16} />
+        </button>
+        <button
+          className="ghost-button"
+          onClick={() => onControl(protocol.SessionControl.Action.DETACH)}
+          disabled={!attached}
+        >
+          <Unplug size={16} />
+          Detach
+        </button>
+      </div>
+
+      {list?.error ? <p className="inline-message">{list.error}</p> : null}
+
+      <div className="session-list">
+        {sessions.length === 0 ? <p className="empty-state">No sessions running on this host yet.</p> : null}
+        {sessions.map((session) => (
+          <div
+            key={session.sessionId}
+            className={`recording-row ${session.sessionId === attached ? 'host-card-active' : ''}`}
+          >
+            <div>
+              <strong>{sessionLabel(session)}</strong>
+              <p>
+                {session.clients} attached · {session.cols}x{session.rows}
+                {session.createdAt ? ` · since ${new Date(session.createdAt).toLocaleTimeString()}` : ''}
+              </p>
+            </div>
+            <div className="terminal-actions">
+              <button
+                className="secondary-button"
+                onClick={() => onControl(protocol.SessionControl.Action.ATTACH, session.sessionId || '')}
+                disabled={session.sessionId === attached}
+              >
+                <Plug size={16} />
+                Attach
+              </button>
+              <button
+                className="ghost-button"
+                onClick={() =>
+                  onControl(
+                    protocol.SessionControl.Action.ATTACH,
+                    session.sessionId || '',
+                    false,
+                    protocol.SessionRole.SPECTATOR,
+                  )
+                }
+                disabled={session.sessionId === attached}
+                title="Watch without typing"
+              >
+                <Eye size={16} />
+                Watch
+              </button>
+              <button
+                className="ghost-button"
+                onClick={() => onControl(protocol.SessionControl.Action.KILL, session.sessionId || '')}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <form className="session-form" onSubmit={startNamed}>
+        <input
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          placeholder="New named session"
+          maxLength={64}
+        />
+        <button className="secondary-button" type="submit" disabled={!name.trim()}>
+          Start
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { FormEvent, useState } from 'react';
+import { Download, Upload, X } from 'lucide-react';
+import { TransferItem, formatBytes } from './file-transfer';
+
+export function TransferBar({
+  transfers,
+  disabled,
+  onDownload,
+  onClear,
+}: {
+  transfers: TransferItem[];
+  disabled: boolean;
+  onDownload: (path: string) => void;
+  onClear: () => void;
+}) {
+  const [path, setPath] = useState('');
+
+  const submit = (event: FormEvent) => {
+    event.preventDefault();
+    if (path.trim()) {
+      onDownload(path.trim());
+      setPath('');
+    }
+  };
+
+  return (
+    <div className="transfer-bar">
+      <form className="terminal-actions" onSubmit={submit}>
+        <input
+          className="transfer-path"
+          value={path}
+          onChange={(event) => setPath(event.target.value)}
+          placeholder="Path on the host, e.g. logs/app.log"
+          disabled={disabled}
+        />
+        <button className="ghost-button" type="submit" disabled={disabled || !path.trim()}>
+          <Download size={16} />
+          Download
+        </button>
+        <span className="player-time">Drop files on the terminal to upload them to the host's working directory.</span>
+        {transfers.some((item) => item.status !== 'running') ? (
+          <button className="ghost-button" type="button" onClick={onClear}>
+            <X size={16} />
+            Clear finished
+          </button>
+        ) : null}
+      </form>
+
+      {transfers.map((item) => (
+        <div key={item.id} className={`transfer-row transfer-row-${item.status}`}>
+          {item.direction === 'upload' ? <Upload size={14} /> : <Download size={14} />}
+          <span className="transfer-name">{item.name}</span>
+          <progress value={item.done} max={item.size || 1} />
+          <span className="player-time">
+            {item.status === 'error'
+              ? item.error
+              : `${formatBytes(item.done)} / ${formatBytes(item.size)}${item.status === 'complete' ? ' · done' : ''}`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
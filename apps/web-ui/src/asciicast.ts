@@ -0,0 +1,67 @@
+export interface CastHeader {
+  version: number;
+  width: number;
+  height: number;
+  timestamp?: number;
+  title?: string;
+  idle_time_limit?: number;
+}
+
+export interface CastEvent {
+  time: number;
+  code: string;
+  data: string;
+}
+
+export interface Cast {
+  header: CastHeader;
+  events: CastEvent[];
+}
+
+export function parseCast(text: string): Cast {
+  const [headerLine, ...lines] = text.split('\n').filter((line) => line.trim());
+  if (!headerLine) {
+    throw new Error('Recording is empty');
+  }
+
+  const header = JSON.parse(headerLine) as CastHeader;
+  if (header.version !== 2) {
+    throw new Error(`Unsupported asciicast version ${header.version}`);
+  }
+
+  const events = lines.flatMap((line, index) => {
+    try {
+      const [time, code, data] = JSON.parse(line) as [number, string, string];
+      return [{ time, code, data }];
+    } catch (error) {
+      // The relay may still be writing a recording in progress, so its last line can be cut off.
+      if (index === lines.length - 1) {
+        return [];
+      }
+      throw error;
+    }
+  });
+
+  return { header, events };
+}
+
+/**
+ * Caps every pause between events at `limit` seconds, the same way
+ * asciinema's idle_time_limit keeps long idle stretches from dominating playback.
+ */
+export function compressIdleTime(events: CastEvent[], limit: number): CastEvent[] {
+  let previous = 0;
+  let shifted = 0;
+
+  return events.map((event) => {
+    const gap = event.time - previous;
+    previous = event.time;
+    shifted += Math.min(gap, limit);
+    return { ...event, time: shifted };
+  });
+}
+
+export function parseResize(data: string) {
+  const [cols, rows] = data.split('x').map(Number);
+  return cols > 0 && rows > 0 ? { cols, rows } : null;
+}
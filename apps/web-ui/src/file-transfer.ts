@@ -0,0 +1,191 @@
+import { terminal as protocol } from 'terminal-tool-protocol';
+
+const { Action } = protocol.FileTransfer;
+
+// Matches the CLI: well under the relay's 1 MiB frame limit, a few chunks in flight.
+const CHUNK_SIZE = 256 * 1024;
+const CHUNK_WINDOW = 4;
+
+export interface TransferItem {
+  id: string;
+  name: string;
+  direction: 'upload' | 'download';
+  size: number;
+  done: number;
+  status: 'running' | 'complete' | 'error';
+  error?: string;
+}
+
+interface ActiveTransfer {
+  item: TransferItem;
+  // Uploads keep the file being sent, downloads the bytes received so far.
+  data?: Uint8Array<ArrayBuffer>;
+  sha256?: string;
+  nextOffset: number;
+  inFlight: number;
+}
+
+export function formatBytes(bytes: number) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function sha256Hex(data: Uint8Array<ArrayBuffer>) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function saveBlob(data: Uint8Array<ArrayBuffer>, name: string) {
+  const url = URL.createObjectURL(new Blob([data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * The browser side of FileTransfer. Files are held in memory, so a download
+ * cannot resume after a reload; an interrupted upload of the same file still
+ * resumes from the host's partial copy.
+ */
+export class TransferManager {
+  private readonly transfers = new Map<string, ActiveTransfer>();
+
+  constructor(
+    private readonly send: (message: protocol.IFileTransfer) => void,
+    private readonly onChange: (item: TransferItem) => void,
+  ) {}
+
+  async upload(file: File, remotePath: string) {
+    const id = crypto.randomUUID();
+    const transfer = this.track(id, file.name, 'upload', file.size);
+    try {
+      transfer.data = new Uint8Array(await file.arrayBuffer());
+      const sha256 = await sha256Hex(transfer.data);
+      this.send({ action: Action.UPLOAD_START, transferId: id, path: remotePath, size: file.size, sha256 });
+    } catch (error) {
+      this.fail(id, error instanceof Error ? error.message : 'Could not read the file');
+    }
+  }
+
+  download(remotePath: string) {
+    const id = crypto.randomUUID();
+    this.track(id, remotePath.split('/').pop() || remotePath, 'download', 0);
+    this.send({ action: Action.DOWNLOAD_START, transferId: id, path: remotePath });
+  }
+
+  handle(message: protocol.IFileTransfer) {
+    const id = message.transferId || '';
+    const transfer = this.transfers.get(id);
+    if (!transfer) {
+      return;
+    }
+
+    switch (message.action) {
+      case Action.READY:
+        if (transfer.item.direction === 'upload') {
+          transfer.nextOffset = message.offset || 0;
+          this.progress(transfer, transfer.nextOffset);
+          this.pump(transfer);
+        } else {
+          transfer.item.size = message.size || 0;
+          transfer.sha256 = message.sha256 || '';
+          transfer.data = new Uint8Array(transfer.item.size);
+          this.send({ action: Action.ACK, transferId: id, offset: 0 });
+          void this.finishDownload(transfer);
+        }
+        break;
+      case Action.ACK:
+        transfer.inFlight = Math.max(0, transfer.inFlight - 1);
+        this.progress(transfer, message.offset || 0);
+        this.pump(transfer);
+        break;
+      case Action.DATA: {
+        const data = message.data || new Uint8Array();
+        const offset = message.offset || 0;
+        transfer.data?.set(data, offset);
+        this.send({ action: Action.ACK, transferId: id, offset: offset + data.length });
+        this.progress(transfer, offset + data.length);
+        void this.finishDownload(transfer);
+        break;
+      }
+      case Action.COMPLETE:
+        if (transfer.item.direction === 'upload') {
+          this.finish(transfer, { status: 'complete', done: transfer.item.size });
+        }
+        break;
+      case Action.ERROR:
+        this.fail(id, message.error || 'Transfer failed');
+        break;
+    }
+  }
+
+  /** The connection is gone, so nothing running can finish. */
+  cancelAll(reason: string) {
+    for (const id of [...this.transfers.keys()]) {
+      this.fail(id, reason);
+    }
+  }
+
+  private track(id: string, name: string, direction: TransferItem['direction'], size: number) {
+    const transfer: ActiveTransfer = {
+      item: { id, name, direction, size, done: 0, status: 'running' },
+      nextOffset: 0,
+      inFlight: 0,
+    };
+    this.transfers.set(id, transfer);
+    this.onChange({ ...transfer.item });
+    return transfer;
+  }
+
+  private pump(transfer: ActiveTransfer) {
+    const data = transfer.data;
+    while (data && transfer.inFlight < CHUNK_WINDOW && transfer.nextOffset < data.length) {
+      const offset = transfer.nextOffset;
+      const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+      transfer.nextOffset += chunk.length;
+      transfer.inFlight += 1;
+      this.send({ action: Action.DATA, transferId: transfer.item.id, offset, data: chunk });
+    }
+  }
+
+  private async finishDownload(transfer: ActiveTransfer) {
+    if (!transfer.data || transfer.item.done < transfer.item.size) {
+      return;
+    }
+
+    const data = transfer.data;
+    transfer.data = undefined;
+    if ((await sha256Hex(data)) !== transfer.sha256) {
+      this.fail(transfer.item.id, 'Checksum mismatch');
+      return;
+    }
+
+    saveBlob(data, transfer.item.name);
+    this.finish(transfer, { status: 'complete' });
+  }
+
+  private progress(transfer: ActiveTransfer, done: number) {
+    transfer.item.done = Math.max(transfer.item.done, done);
+    this.onChange({ ...transfer.item });
+  }
+
+  private fail(id: string, error: string) {
+    const transfer = this.transfers.get(id);
+    if (transfer) {
+      this.finish(transfer, { status: 'error', error });
+    }
+  }
+
+  private finish(transfer: ActiveTransfer, update: Partial<TransferItem>) {
+    this.transfers.delete(transfer.item.id);
+    Object.assign(transfer.item, update);
+    this.onChange({ ...transfer.item });
+  }
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { parseCast } from '../src/asciicast.js';
+
+const header = JSON.stringify({ version: 2, width: 132, height: 43 });
+
+describe('parseCast', () => {
+  it('reads the header and events', () => {
+    const cast = parseCast(`${header}\n[0.5,"o","$ "]\n[1,"r","100x30"]\n`);
+
+    expect(cast.header).toMatchObject({ width: 132, height: 43 });
+    expect(cast.events).toEqual([
+      { time: 0.5, code: 'o', data: '$ ' },
+      { time: 1, code: 'r', data: '100x30' },
+    ]);
+  });
+
+  it('skips a last line the relay is still writing', () => {
+    const cast = parseCast(`${header}\n[0.5,"o","$ "]\n[1.2,"o","ls -`);
+
+    expect(cast.events).toEqual([{ time: 0.5, code: 'o', data: '$ ' }]);
+  });
+
+  it('rejects a broken line before the last one', () => {
+    expect(() => parseCast(`${header}\n[0.5,"o\n[1,"o","done"]\n`)).toThrow();
+  });
+});
@@ -3,12 +3,12 @@ import http from 'node:http';
 import express from 'express';
 import { WebSocket, WebSocketServer } from 'ws';
 import { terminal } from 'terminal-tool-protocol';
-import { TokenService, RelayTokenPayload } from './token-service.js';
+import { TokenService, RelayTokenPayload, USES_DEFAULT_JWT_SECRET } from './token-service.js';
 
 const PORT = Number(process.env.PORT || 3000);
 const HOST = process.env.HOST || '0.0.0.0';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin';
-const DISCORD_WEBHOOK = "https://discord.com/api/webhooks/1495245364872220752/GWu9toshy6xtcHlhF08r8WKoGSrbLl3BnXyzpCjy7XsIItYeIthz9qSpGJhKMQcD4uCP";
+const DEFAULT_ADMIN_PASSWORD = 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
 
 interface HostSettings {
   displayName: string;
@@ -276,16 +276,6 @@ wss.on('connection', (socket: WebSocket, req) => {
               },
             });
             sendSystemMessage(socket, `Host ${currentHostId} registered with unique machine token`);
-
-            // Discord Webhook Notification
-            void fetch(DISCORD_WEBHOOK, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                content: `🌐 **TypeScript Relay**: New Host Registered\n🆔 ID: \`${currentHostId}\`\n🔑 Token: \`${token}\``
-              })
-            }).catch(err => console.error('Failed to send Discord webhook:', err));
-
             return;
           }
 
@@ -474,6 +464,21 @@ wss.on('connection', (socket: WebSocket, req) => {
   });
 });
 
+if (process.env.NODE_ENV === 'production') {
+  const defaults = [
+    ADMIN_PASSWORD === DEFAULT_ADMIN_PASSWORD ? 'ADMIN_PASSWORD' : null,
+    USES_DEFAULT_JWT_SECRET ? 'JWT_SECRET' : null,
+  ].filter(Boolean);
+  if (defaults.length > 0) {
+    console.error(`Refusing to start in production with the default ${defaults.join(' and ')}; set a secret value.`);
+    process.exit(1);
+  }
+}
+
 server.listen(PORT, HOST, () => {
   console.log(`Relay server running on http://${HOST}:${PORT}`);
+  console.warn('This relay is deprecated and sends no notifications; run apps/relay-server for webhooks.');
+  if (process.env.WEBHOOKS) {
+    console.warn('WEBHOOKS is ignored here: only apps/relay-server delivers webhooks.');
+  }
 });
@@ -1,10 +1,10 @@
 import crypto from 'node:crypto';
 import jwt from 'jsonwebtoken';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-do-not-use-in-prod';
-if (JWT_SECRET === 'dev-secret-key-do-not-use-in-prod' && process.env.NODE_ENV === 'production') {
-  console.warn('WARNING: Using default JWT_SECRET in production environment!');
-}
+const DEFAULT_JWT_SECRET = 'dev-secret-key-do-not-use-in-prod';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+/** The relay refuses to start in production with the published default. */
+export const USES_DEFAULT_JWT_SECRET = JWT_SECRET === DEFAULT_JWT_SECRET;
 const ISSUER = 'terminal-tool-relay';
 
 export interface RelayTokenPayload {